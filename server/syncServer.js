@@ -0,0 +1,163 @@
+/**
+ * Reference sync server for development and testing (no dependencies).
+ *
+ *   npm run sync-server            # http://localhost:8787
+ *   PORT=9000 SYNC_KEY=secret SYNC_DATA=/tmp/sync.json npm run sync-server
+ *
+ * - GET  /profile  → { version, publishedAt, profile } (version 0 = none yet).
+ * - PUT  /profile  { baseVersion, profile, force? } → { version, publishedAt };
+ *   409 { error, version } if baseVersion is not the current version.
+ * - POST /quotes   { deviceId, quotes: [{ quote, baseRev }] } → { results }, one
+ *   per quote: { ts, status: "ok", rev } or { ts, status: "conflict", rev, quote }
+ *   when the server copy changed since baseRev. Re-sending an identical copy is ok.
+ * - GET  /quotes   → { quotes: [{ quote, rev, deviceId, receivedAt }] }.
+ * - With SYNC_KEY set, requests need "Authorization: Bearer <SYNC_KEY>".
+ * Data is kept in one JSON file (SYNC_DATA, default ./sync-data.json).
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+function loadData(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    return { profile: null, version: 0, publishedAt: null, quotes: {} };
+  }
+}
+
+// Write to a temp file and rename so a crash never leaves half a file.
+function saveData(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, PUT, POST, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(Object.assign(new Error("Body is not JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function pushQuotes(data, { deviceId, quotes }) {
+  if (
+    !Array.isArray(quotes) ||
+    quotes.some((q) => typeof q?.quote?.ts !== "number")
+  ) {
+    throw Object.assign(new Error("quotes must be [{ quote: { ts } }]"), {
+      status: 400,
+    });
+  }
+  return quotes.map(({ quote, baseRev }) => {
+    const stored = data.quotes[quote.ts];
+    if (stored && JSON.stringify(stored.quote) === JSON.stringify(quote)) {
+      return { ts: quote.ts, status: "ok", rev: stored.rev };
+    }
+    if (stored && stored.rev !== baseRev) {
+      return {
+        ts: quote.ts,
+        status: "conflict",
+        rev: stored.rev,
+        quote: stored.quote,
+      };
+    }
+    const rev = (stored?.rev || 0) + 1;
+    data.quotes[quote.ts] = { quote, rev, deviceId, receivedAt: Date.now() };
+    return { ts: quote.ts, status: "ok", rev };
+  });
+}
+
+function createSyncServer({ dataFile, key } = {}) {
+  const data = loadData(dataFile);
+
+  return http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (key && req.headers.authorization !== `Bearer ${key}`) {
+      return send(res, 401, { error: "Wrong or missing sync key" });
+    }
+    const route = `${req.method} ${new URL(req.url, "http://x").pathname}`;
+    try {
+      switch (route) {
+        case "GET /profile":
+          return send(res, 200, {
+            version: data.version,
+            publishedAt: data.publishedAt,
+            profile: data.profile,
+          });
+        case "PUT /profile": {
+          const { baseVersion, profile, force } = await readBody(req);
+          if (!profile || typeof profile !== "object") {
+            return send(res, 400, { error: "profile is required" });
+          }
+          if (!force && baseVersion !== data.version) {
+            return send(res, 409, {
+              error: `Profile v${data.version} was published since you last synced`,
+              version: data.version,
+            });
+          }
+          data.version += 1;
+          data.publishedAt = Date.now();
+          data.profile = profile;
+          saveData(dataFile, data);
+          return send(res, 200, {
+            version: data.version,
+            publishedAt: data.publishedAt,
+          });
+        }
+        case "POST /quotes": {
+          const results = pushQuotes(data, await readBody(req));
+          saveData(dataFile, data);
+          return send(res, 200, { results });
+        }
+        case "GET /quotes":
+          return send(res, 200, { quotes: Object.values(data.quotes) });
+        default:
+          return send(res, 404, { error: `No route for ${route}` });
+      }
+    } catch (e) {
+      return send(res, e.status || 500, { error: e.message });
+    }
+  });
+}
+
+module.exports = { createSyncServer, pushQuotes };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8787;
+  const dataFile = path.resolve(process.env.SYNC_DATA || "sync-data.json");
+  createSyncServer({ dataFile, key: process.env.SYNC_KEY }).listen(port, () =>
+    console.log(`Sync server on http://localhost:${port} (data: ${dataFile})`)
+  );
+}
@@ -0,0 +1,285 @@
+import React, { useEffect, useState } from "react";
+import { KeyRound, Lock, ShieldCheck, Unlock } from "lucide-react";
+import {
+  MAX_ATTEMPTS,
+  MIN_PIN_LENGTH,
+  PERMISSIONS,
+  ROLE_LABELS,
+  checkPin,
+  hashPin,
+  registerFailure,
+} from "./auth";
+
+/**
+ * Role unlock + PIN management.
+ * - No manager PIN yet: offers to set one (unlocks as manager).
+ * - Locked: pick Lead/Manager and enter that role's PIN.
+ * - Unlocked: lock, change own PIN (old PIN required); managers also set the
+ *   lead PIN and which pricing controls tech/lead can see.
+ */
+export default function AccessPanel({ auth, setAuth, role, setRole }) {
+  const [unlockAs, setUnlockAs] = useState("manager");
+  const [pinInput, setPinInput] = useState("");
+  const [message, setMessage] = useState("");
+  const [panel, setPanel] = useState(null); // null | "change" | "lead" | "perms"
+  const [oldPin, setOldPin] = useState("");
+  const [newPin, setNewPin] = useState("");
+  const [confirmPin, setConfirmPin] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  const locked = auth.lockedUntil > now;
+  useEffect(() => {
+    if (!locked) return undefined;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [locked]);
+
+  function resetForms() {
+    setPinInput("");
+    setOldPin("");
+    setNewPin("");
+    setConfirmPin("");
+  }
+
+  async function setFirstPin() {
+    const p = pinInput.trim();
+    if (p.length < MIN_PIN_LENGTH) {
+      setMessage(`PIN must be at least ${MIN_PIN_LENGTH} digits.`);
+      return;
+    }
+    setBusy(true);
+    setAuth({ ...auth, pins: { ...auth.pins, manager: await hashPin(p) } });
+    setBusy(false);
+    setRole("manager");
+    resetForms();
+    setMessage("");
+  }
+
+  async function unlock() {
+    if (locked || busy) return;
+    setBusy(true);
+    const ok = await checkPin(pinInput, auth.pins[unlockAs]);
+    setBusy(false);
+    setPinInput("");
+    if (ok) {
+      setAuth({ ...auth, failed: 0, lockedUntil: 0 });
+      setRole(unlockAs);
+      setMessage("");
+      return;
+    }
+    const next = registerFailure(auth);
+    setAuth(next);
+    setNow(Date.now());
+    setMessage(
+      next.lockedUntil
+        ? "Too many wrong PINs. Unlock is disabled for a few minutes."
+        : `Wrong PIN (${MAX_ATTEMPTS - next.failed} attempts left).`
+    );
+  }
+
+  async function changePin(target) {
+    const p = newPin.trim();
+    if (p.length < MIN_PIN_LENGTH) {
+      setMessage(`New PIN must be at least ${MIN_PIN_LENGTH} digits.`);
+      return;
+    }
+    if (p !== confirmPin.trim()) {
+      setMessage("New PINs do not match.");
+      return;
+    }
+    setBusy(true);
+    // Changing your own PIN needs the old one; a manager setting the lead PIN does not.
+    if (target === role && !(await checkPin(oldPin, auth.pins[role]))) {
+      setBusy(false);
+      const next = registerFailure(auth);
+      setAuth(next);
+      setMessage("Old PIN is wrong.");
+      if (next.lockedUntil) setRole("tech");
+      return;
+    }
+    setAuth({ ...auth, pins: { ...auth.pins, [target]: await hashPin(p) } });
+    setBusy(false);
+    resetForms();
+    setPanel(null);
+    setMessage(`${ROLE_LABELS[target]} PIN updated.`);
+  }
+
+  function togglePerm(r, key) {
+    const list = auth.rolePerms[r] || [];
+    setAuth({
+      ...auth,
+      rolePerms: {
+        ...auth.rolePerms,
+        [r]: list.includes(key)
+          ? list.filter((k) => k !== key)
+          : [...list, key],
+      },
+    });
+  }
+
+  const btn =
+    "inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white border disabled:opacity-50";
+  const unlockable = ["lead", "manager"].filter((r) => auth.pins[r]);
+
+  return (
+    <div className="mb-2">
+      <div className="flex items-center gap-2 flex-wrap">
+        {!auth.pins.manager ? (
+          <div className="flex items-center gap-2">
+            <input
+              type="password"
+              placeholder={`Set Manager PIN (min ${MIN_PIN_LENGTH})`}
+              className="rounded-xl border px-3 py-2 w-56"
+              value={pinInput}
+              onChange={(e) => setPinInput(e.target.value)}
+            />
+            <button onClick={setFirstPin} disabled={busy} className={btn}>
+              <Lock className="w-4 h-4" /> Set PIN
+            </button>
+          </div>
+        ) : role === "tech" ? (
+          <div className="flex items-center gap-2">
+            {unlockable.length > 1 && (
+              <select
+                className="rounded-xl border px-3 py-2"
+                value={unlockAs}
+                onChange={(e) => setUnlockAs(e.target.value)}
+              >
+                {unlockable.map((r) => (
+                  <option key={r} value={r}>
+                    {ROLE_LABELS[r]}
+                  </option>
+                ))}
+              </select>
+            )}
+            <input
+              type="password"
+              placeholder="PIN"
+              className="rounded-xl border px-3 py-2 w-28"
+              value={pinInput}
+              disabled={locked}
+              onChange={(e) => setPinInput(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && unlock()}
+            />
+            <button onClick={unlock} disabled={locked || busy} className={btn}>
+              <Lock className="w-4 h-4" /> Unlock
+            </button>
+            {locked && (
+              <span className="text-sm text-red-700">
+                Locked for {Math.ceil((auth.lockedUntil - now) / 1000)}s
+              </span>
+            )}
+          </div>
+        ) : (
+          <>
+            <button
+              onClick={() => {
+                setRole("tech");
+                setPanel(null);
+              }}
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-emerald-600 text-white"
+            >
+              <Unlock className="w-4 h-4" /> {ROLE_LABELS[role]} Unlocked
+            </button>
+            <button
+              onClick={() => setPanel(panel === "change" ? null : "change")}
+              className={btn}
+            >
+              <KeyRound className="w-4 h-4" /> Change PIN
+            </button>
+            {role === "manager" && (
+              <>
+                <button
+                  onClick={() => setPanel(panel === "lead" ? null : "lead")}
+                  className={btn}
+                >
+                  <KeyRound className="w-4 h-4" />
+                  {auth.pins.lead ? "Reset Lead PIN" : "Set Lead PIN"}
+                </button>
+                <button
+                  onClick={() => setPanel(panel === "perms" ? null : "perms")}
+                  className={btn}
+                >
+                  <ShieldCheck className="w-4 h-4" /> Role Access
+                </button>
+              </>
+            )}
+          </>
+        )}
+        {message && <div className="text-sm text-slate-700">{message}</div>}
+      </div>
+
+      {(panel === "change" || panel === "lead") && role !== "tech" && (
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          {panel === "change" && (
+            <input
+              type="password"
+              placeholder="Old PIN"
+              className="rounded-xl border px-3 py-2 w-32"
+              value={oldPin}
+              onChange={(e) => setOldPin(e.target.value)}
+            />
+          )}
+          <input
+            type="password"
+            placeholder={`New ${
+              panel === "lead" ? "Lead " : ""
+            }PIN (min ${MIN_PIN_LENGTH})`}
+            className="rounded-xl border px-3 py-2 w-48"
+            value={newPin}
+            onChange={(e) => setNewPin(e.target.value)}
+          />
+          <input
+            type="password"
+            placeholder="Confirm PIN"
+            className="rounded-xl border px-3 py-2 w-32"
+            value={confirmPin}
+            onChange={(e) => setConfirmPin(e.target.value)}
+          />
+          <button
+            onClick={() => changePin(panel === "lead" ? "lead" : role)}
+            disabled={busy}
+            className={btn}
+          >
+            Save PIN
+          </button>
+        </div>
+      )}
+
+      {panel === "perms" && role === "manager" && (
+        <div className="mt-2 overflow-x-auto">
+          <table className="text-sm rounded-xl border bg-white">
+            <thead>
+              <tr className="text-left text-slate-600">
+                <th className="py-1 px-2">Pricing control</th>
+                <th className="py-1 px-2">Tech</th>
+                <th className="py-1 px-2">Lead</th>
+                <th className="py-1 px-2">Manager</th>
+              </tr>
+            </thead>
+            <tbody>
+              {PERMISSIONS.map((p) => (
+                <tr key={p.key} className="border-t">
+                  <td className="py-1 px-2">{p.label}</td>
+                  {["tech", "lead"].map((r) => (
+                    <td key={r} className="py-1 px-2">
+                      <input
+                        type="checkbox"
+                        checked={(auth.rolePerms[r] || []).includes(p.key)}
+                        onChange={() => togglePerm(r, p.key)}
+                      />
+                    </td>
+                  ))}
+                  <td className="py-1 px-2">
+                    <input type="checkbox" checked disabled />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
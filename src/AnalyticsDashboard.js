@@ -0,0 +1,272 @@
+import React, { useMemo, useState } from "react";
+import { BarChart3 } from "lucide-react";
+import { revenueSeries, salesSummary } from "./analytics";
+import { filterQuotes } from "./quotes";
+import { Summary } from "./ui";
+import { currency } from "./utils";
+
+const PERIODS = [
+  { id: "day", label: "Day" },
+  { id: "week", label: "Week" },
+  { id: "month", label: "Month" },
+];
+
+// Rows shown in the top issues/categories lists.
+const TOP_N = 8;
+
+const pct = (n) => `${Math.round(n * 100)}%`;
+
+// Revenue columns as plain SVG, so the chart needs nothing from the network.
+function RevenueChart({ series }) {
+  const max = Math.max(...series.map((s) => s.revenue), 1);
+  const barW = 100 / series.length;
+  return (
+    <div>
+      <svg
+        viewBox="0 0 100 40"
+        preserveAspectRatio="none"
+        className="w-full h-32 bg-slate-50 rounded-lg"
+        role="img"
+        aria-label="Revenue chart"
+      >
+        {series.map((s, n) => {
+          const h = (s.revenue / max) * 38;
+          return (
+            <rect
+              key={s.key}
+              x={n * barW + barW * 0.1}
+              y={40 - h}
+              width={barW * 0.8}
+              height={h}
+              className="fill-emerald-500"
+            >
+              <title>
+                {s.label}: {currency(s.revenue)} ({s.count})
+              </title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="flex justify-between text-xs text-slate-500 mt-1">
+        <span>{series[0].label}</span>
+        <span>max {currency(max)}</span>
+        <span>{series[series.length - 1].label}</span>
+      </div>
+    </div>
+  );
+}
+
+// Horizontal bars scaled to the largest value in the list.
+function BarList({ rows, value, format }) {
+  const max = Math.max(...rows.map(value), 1);
+  return (
+    <ul className="space-y-1">
+      {rows.map((r) => (
+        <li key={r.key}>
+          <div className="flex justify-between gap-2">
+            <span className="truncate">{r.label}</span>
+            <span className="text-slate-600 whitespace-nowrap">
+              {format(r)}
+            </span>
+          </div>
+          <div className="h-1.5 rounded bg-slate-100">
+            <div
+              className="h-1.5 rounded bg-emerald-500"
+              style={{ width: `${(value(r) / max) * 100}%` }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function TopList({ title, rows }) {
+  const [by, setBy] = useState("revenue");
+  const sorted = [...rows]
+    .sort((a, b) => b[by] - a[by] || b.count - a.count)
+    .slice(0, TOP_N);
+  return (
+    <div className="rounded-xl border p-3">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-medium">{title}</div>
+        <select
+          value={by}
+          onChange={(e) => setBy(e.target.value)}
+          className="rounded-lg border px-2 py-1 text-xs"
+          aria-label={`${title} by`}
+        >
+          <option value="revenue">By revenue</option>
+          <option value="count">By count</option>
+        </select>
+      </div>
+      <BarList
+        rows={sorted}
+        value={(r) => r[by]}
+        format={(r) => `${currency(r.revenue)} · ${r.count}`}
+      />
+    </div>
+  );
+}
+
+/**
+ * Manager sales dashboard over saved quotes in a date range: revenue by
+ * day/week/month, average ticket, top issues and categories, after-hours
+ * share, labor/parts mix and approval rate per category (see analytics.js).
+ */
+export default function AnalyticsDashboard({ saved }) {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [period, setPeriod] = useState("week");
+
+  const inRange = useMemo(
+    () => filterQuotes(saved, { from, to }),
+    [saved, from, to]
+  );
+  const summary = useMemo(() => salesSummary(inRange), [inRange]);
+  const series = useMemo(
+    () => revenueSeries(inRange, period),
+    [inRange, period]
+  );
+
+  const { labor, parts, trip } = summary.mix;
+  const mixTotal = labor + parts + trip;
+  const mix = [
+    { key: "labor", label: "Labor", value: labor, color: "bg-emerald-500" },
+    { key: "parts", label: "Parts", value: parts, color: "bg-sky-500" },
+    { key: "trip", label: "Trip fee", value: trip, color: "bg-slate-400" },
+  ];
+
+  return (
+    <section className="mt-6 bg-white rounded-2xl shadow p-3 sm:p-4 text-sm">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-3">
+        <h3 className="font-semibold flex items-center gap-2">
+          <BarChart3 className="w-4 h-4" /> Sales &amp; pricing analytics
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="rounded-xl border px-3 py-2"
+            title="From"
+          />
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="rounded-xl border px-3 py-2"
+            title="To"
+          />
+        </div>
+      </div>
+
+      {summary.sales === 0 ? (
+        <p className="text-slate-600">
+          No approved or invoiced quotes
+          {from || to ? " in this date range" : " yet"}.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            <Summary
+              label="Revenue"
+              value={currency(summary.revenue)}
+              emphasize
+            />
+            <Summary
+              label="Sales / quotes"
+              value={`${summary.sales} / ${summary.quotes}`}
+            />
+            <Summary
+              label="Average ticket"
+              value={currency(summary.averageTicket)}
+            />
+            <Summary
+              label="After-hours share"
+              value={`${pct(summary.afterHours.revenueShare)} of revenue · ${
+                summary.afterHours.count
+              } jobs`}
+            />
+          </div>
+
+          <div className="rounded-xl border p-3">
+            <div className="flex items-center justify-between mb-2">
+              <div className="font-medium">Revenue</div>
+              <div className="flex gap-1">
+                {PERIODS.map((p) => (
+                  <button
+                    key={p.id}
+                    onClick={() => setPeriod(p.id)}
+                    className={`rounded-lg px-2 py-1 border text-xs ${
+                      period === p.id
+                        ? "bg-slate-900 text-white"
+                        : "hover:bg-slate-50"
+                    }`}
+                  >
+                    {p.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <RevenueChart series={series} />
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-3">
+            <TopList title="Top issues" rows={summary.topIssues} />
+            <TopList title="Top categories" rows={summary.topCategories} />
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-3">
+            <div className="rounded-xl border p-3">
+              <div className="font-medium mb-2">Labor vs parts</div>
+              <div className="flex h-3 rounded overflow-hidden bg-slate-100">
+                {mix.map((m) => (
+                  <div
+                    key={m.key}
+                    className={m.color}
+                    style={{ width: `${(m.value / (mixTotal || 1)) * 100}%` }}
+                  />
+                ))}
+              </div>
+              <ul className="mt-2 space-y-1">
+                {mix.map((m) => (
+                  <li key={m.key} className="flex items-center gap-2">
+                    <span
+                      className={`inline-block w-2 h-2 rounded ${m.color}`}
+                    />
+                    <span className="flex-1">{m.label}</span>
+                    <span className="text-slate-600">
+                      {currency(m.value)} ·{" "}
+                      {pct(mixTotal ? m.value / mixTotal : 0)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <div className="text-xs text-slate-500 mt-1">Before tax.</div>
+            </div>
+
+            <div className="rounded-xl border p-3">
+              <div className="font-medium mb-2">Approval rate by category</div>
+              {summary.approval.length === 0 ? (
+                <div className="text-slate-500">No decided quotes.</div>
+              ) : (
+                <BarList
+                  rows={summary.approval.map((r) => ({
+                    ...r,
+                    key: r.category,
+                    label: r.category,
+                  }))}
+                  value={(r) => r.rate}
+                  format={(r) =>
+                    `${pct(r.rate)} (${r.won}/${r.won + r.declined})`
+                  }
+                />
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
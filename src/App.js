@@ -1,26 +1,147 @@
-import React, { useMemo, useState, useEffect } from "react";
-import { motion } from "framer-motion";
+import React, { useMemo, useState, useEffect, useRef } from "react";
 import {
   Search,
   Wrench,
-  Calculator,
   Printer,
-  Download,
-  Wand2,
   PlusCircle,
   Trash2,
   Info,
   DollarSign,
-  Lock,
-  Unlock,
   Upload,
+  ListPlus,
+  Pencil,
+  Stethoscope,
 } from "lucide-react";
+import AccessPanel from "./AccessPanel";
+import AnalyticsDashboard from "./AnalyticsDashboard";
+import AuditLog from "./AuditLog";
+import BackupPanel from "./BackupPanel";
+import BulkPriceAdjust from "./BulkPriceAdjust";
+import BusinessHoursSettings from "./BusinessHoursSettings";
+import CatalogEditor from "./CatalogEditor";
+import CustomerPanel from "./CustomerPanel";
+import DiagnosticFlow from "./DiagnosticFlow";
+import EstimateDocument from "./EstimateDocument";
+import EstimatePreview from "./EstimatePreview";
+import CatalogVersions from "./CatalogVersions";
+import ColumnMapper from "./ColumnMapper";
+import ImportReport from "./ImportReport";
+import LaborReport from "./LaborReport";
+import MarkupMatrix from "./MarkupMatrix";
+import MembershipPlans from "./MembershipPlans";
+import PartsInventory from "./PartsInventory";
+import PwaStatus from "./PwaStatus";
+import SavedQuotes from "./SavedQuotes";
+import QuoteBuilder from "./QuoteBuilder";
+import SignaturePad from "./SignaturePad";
+import SyncPanel from "./SyncPanel";
+import TaxJurisdictions from "./TaxJurisdictions";
+import {
+  IDLE_RELOCK_MS,
+  ROLES,
+  ROLE_LABELS,
+  loadAuth,
+  migrateLegacyPin,
+  permissionsFor,
+  saveAuth,
+} from "./auth";
+import {
+  appendAudit,
+  catalogAudit,
+  quoteDeviations,
+  recordPartCosts,
+  recordSettings,
+} from "./audit";
+import {
+  diffCatalogs,
+  importFailure,
+  mergeCatalogs,
+  mergeFlows,
+  validateCatalog,
+} from "./catalog";
+import {
+  activateVersion,
+  loadActiveVersion,
+  loadVersions,
+  recordVersion,
+} from "./catalogHistory";
+import { findPart, partFor, takeFromTruck } from "./inventory";
+import {
+  EMPTY_MARKUP_MATRIX,
+  issueOptions,
+  lineTitle,
+  newLine,
+  priceQuote,
+  quoteLines,
+  quoteTitle,
+  taxLabel,
+  taxRatesFor,
+} from "./pricing";
+import {
+  EMPTY_CUSTOMER,
+  STATUS_LABELS,
+  equipmentText,
+  quoteStatus,
+  statusAt,
+  withStatus,
+} from "./quotes";
+import { afterHoursReason, toLocalDateTime } from "./schedule";
+import {
+  deleteQuote,
+  getItem,
+  getQuotes,
+  onStorageError,
+  putQuote,
+  setItem,
+} from "./storage";
+import { searchCatalog } from "./search";
+import { checkProfile, queueQuote, startSync } from "./sync";
+import {
+  pauseTimer,
+  startTimer,
+  stopTimer,
+  withBookHours,
+} from "./timeTracking";
+import {
+  guessMapping,
+  isSpreadsheetFile,
+  readSpreadsheet,
+  rowsToCatalog,
+} from "./spreadsheet";
+import { Control, Highlight, Tip } from "./ui";
+import { currency, downloadCSV } from "./utils";
 
 /**
  * HVAC Flat-Rate Pricing — Tech Hours Visible + Catalog Import (JS)
  * - Techs see issue list + troubleshooting + Labor Hours input + Total.
- * - Manager PIN unlocks rates/fees/markup/tax controls.
- * - Import catalog JSON exported from the Excel converter.
+ * - Search is fuzzy and ranked across every category (see search.js).
+ * - Guided diagnostic flows walk a tech from a symptom category to the issue.
+ * - Job timer on saved quotes; managers compare actual vs book labor hours.
+ * - Managers get a sales dashboard (revenue, top issues, approval rates).
+ * - Quotes hold many line items; trip fee once, markup/tax across all lines.
+ * - Issues can offer Good/Better/Best options, priced side by side.
+ * - Membership plans price a quote at member rates and show the savings.
+ * - Parts markup follows a cost-bracket matrix with per-category overrides.
+ * - Parts list by SKU prices catalog parts and tracks truck stock; approving
+ *   a quote takes its parts off the truck; techs export a restock list.
+ * - Sales tax per quote jurisdiction; parts/labor/trip taxability and
+ *   tax-exempt lines are honored and the breakdown is saved with the quote.
+ * - Lead/Manager PINs (hashed, rate-limited) unlock rates/fees/markup/tax
+ *   controls per role; unlocked roles relock when idle.
+ * - After-hours rate is automatic from job time, weekends and holidays.
+ * - Import catalog JSON, CSV or XLSX (columns mapped, validated + previewed).
+ * - Imports replace or merge by id; recent catalog versions are kept for rollback.
+ * - Managers can edit the catalog in-app and export it as JSON.
+ * - Bulk parts/labor adjustments by category or search, previewed, audited.
+ * - Append-only audit log (see audit.js) of settings, access, catalog and
+ *   part cost changes and quote deviations from defaults; managers filter and
+ *   export it.
+ * - Print/PDF produces a customer estimate or invoice, not the dashboard.
+ * - Installable PWA: built assets are precached so it works with no signal.
+ * - Data lives in IndexedDB (see storage.js); old localStorage data is migrated.
+ * - Managers can export a (passphrase-encrypted) backup and restore or merge it.
+ * - Optional sync server: devices pull the manager-published pricing profile
+ *   and upload saved quotes, queued while offline (see sync.js).
  */
 
 // --- Fallback sample so UI has data before you import a catalog ---
@@ -47,6 +168,37 @@ const SAMPLE = {
       defaultLaborHrs: 0.5,
       defaultPartsCost: 25,
       defaultQty: 1,
+      options: [
+        {
+          name: "Good",
+          suggested: "Clean flame sensor and verify µA",
+          defaultLaborHrs: 0.5,
+          defaultPartsCost: 0,
+        },
+        {
+          name: "Better",
+          suggested: "Replace flame sensor",
+          defaultLaborHrs: 0.5,
+          defaultPartsCost: 25,
+        },
+        {
+          name: "Best",
+          suggested: "Replace flame sensor + full furnace tune-up",
+          defaultLaborHrs: 1.5,
+          defaultPartsCost: 40,
+        },
+      ],
+    },
+    {
+      id: "gf-board",
+      issue: "Failed Furnace Control Board",
+      symptoms: "No igniter voltage, or flame not proven with good µA",
+      cause: "Failed relay/flame circuit on integrated board",
+      diagnostics: "Check fault code; verify 120V to igniter during trial",
+      suggested: "Replace integrated furnace control board",
+      defaultLaborHrs: 1.5,
+      defaultPartsCost: 185,
+      defaultQty: 1,
     },
   ],
   "Central A/C – No Cool": [
@@ -64,226 +216,840 @@ const SAMPLE = {
   ],
 };
 
-function currency(n) {
-  if (Number.isNaN(n)) return "$0.00";
-  return Number(n).toLocaleString(undefined, {
-    style: "currency",
-    currency: "USD",
-  });
-}
+// Sample diagnostic flow for the sample catalog (schema in catalog.js).
+const SAMPLE_FLOWS = [
+  {
+    id: "gf-no-heat",
+    category: "Gas Furnace – No Heat",
+    title: "Furnace: no heat",
+    start: "call",
+    steps: {
+      call: {
+        question: "On a call for heat, what happens?",
+        answers: [
+          { label: "Inducer runs, igniter never glows", next: "igniter-volts" },
+          {
+            label: "Burners light, then shut off within ~10 s",
+            next: "flame-ua",
+          },
+        ],
+      },
+      "igniter-volts": {
+        question: "Voltage at the igniter plug during the trial?",
+        hint: "Measure across the igniter leads when the board tries to light.",
+        unit: "V",
+        answers: [
+          { label: "About 120 V", min: 100, issues: ["gf-igniter"] },
+          { label: "Little or none", max: 100, issues: ["gf-board"] },
+        ],
+      },
+      "flame-ua": {
+        question: "Flame sensor current with burners lit?",
+        hint: "Meter (µA) in series with the sensor lead.",
+        unit: "µA",
+        answers: [
+          { label: "Under 1 µA", max: 1, issues: ["gf-flame-sensor"] },
+          { label: "1 µA or more", min: 1, issues: ["gf-board"] },
+        ],
+      },
+    },
+  },
+];
 
-function downloadCSV(filename, rows) {
-  const csv = rows
-    .map((r) =>
-      r.map((v) => `"${String(v ?? "").replaceAll('"', '""')}"`).join(",")
-    )
-    .join("\n");
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-  const a = document.createElement("a");
-  a.href = URL.createObjectURL(blob);
-  a.download = filename;
-  a.click();
-}
+const TIMER_ACTIONS = { start: startTimer, pause: pauseTimer, stop: stopTimer };
 
 export default function App() {
-  // Catalog (from localStorage or SAMPLE). Shape: { "Category": [Issue, ...], ... }
-  const [catalog, setCatalog] = useState(() => {
-    try {
-      const raw = localStorage.getItem("hvac_catalog_json");
-      return raw ? JSON.parse(raw) : SAMPLE;
-    } catch {
-      return SAMPLE;
-    }
-  });
+  // Catalog (from device storage or SAMPLE). Shape: { "Category": [Issue, ...], ... }
+  const [catalog, setCatalog] = useState(() => getItem("catalog", SAMPLE));
+
+  // Catalog version history (newest first) for rollback; quotes record the active version.
+  const [catalogVersions, setCatalogVersions] = useState(loadVersions);
+  const [catalogVersion, setCatalogVersion] = useState(loadActiveVersion);
+
+  // Diagnostic flows travel with the catalog (imports, versions, sync).
+  const [flows, setFlows] = useState(() =>
+    getItem("flows", getItem("catalog") ? [] : SAMPLE_FLOWS)
+  );
+  const [flowId, setFlowId] = useState(null);
+  const activeFlow = flows.find((f) => f.id === flowId);
 
   const categories = Object.keys(catalog);
   const [category, setCategory] = useState(categories[0] || "");
   const [query, setQuery] = useState("");
   const [selectedId, setSelectedId] = useState(null);
 
-  const issues = (catalog[category] || []).filter((i) =>
-    [i.issue, i.symptoms, i.cause, i.suggested, i.sku, i.code]
-      .filter(Boolean)
-      .join(" ")
-      .toLowerCase()
-      .includes(query.toLowerCase())
+  // A query searches every category (fuzzy, ranked); otherwise list the category.
+  const searching = query.trim() !== "";
+  const results = useMemo(
+    () =>
+      searching
+        ? searchCatalog(catalog, query)
+        : (catalog[category] || []).map((issue) => ({ issue, category })),
+    [catalog, category, query, searching]
   );
-  const selected = issues.find((i) => i.id === selectedId) || issues[0];
+  const hit = results.find((r) => r.issue.id === selectedId) || results[0];
+  const selected = hit?.issue;
+  const selectedCategory = hit?.category || category;
+  const categoryFlows = flows.filter((f) => f.category === category);
+
+  // A flow's answer preselects its issue for pricing (and shows the details).
+  function pickFromFlow(id, issueCategory) {
+    setFlowId(null);
+    setQuery("");
+    setCategory(issueCategory);
+    setSelectedId(id);
+    document
+      .getElementById("issue-details")
+      ?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
 
   // Global pricing (persisted). Techs can't see or change these; managers can unlock via PIN.
-  const [stdRate, setStdRate] = useState(
-    () => Number(localStorage.getItem("hvac_std_rate")) || 165
-  );
-  const [afterRate, setAfterRate] = useState(
-    () => Number(localStorage.getItem("hvac_after_rate")) || 267.5
-  );
-  const [afterHours, setAfterHours] = useState(
-    () => localStorage.getItem("hvac_after_hours") === "1" || false
+  const [stdRate, setStdRate] = useState(() => getItem("stdRate", 165));
+  const [afterRate, setAfterRate] = useState(() => getItem("afterRate", 267.5));
+  const [dayStart, setDayStart] = useState(() => getItem("dayStart", "08:00"));
+  const [dayEnd, setDayEnd] = useState(() => getItem("dayEnd", "16:30"));
+  const [weekendDays, setWeekendDays] = useState(() =>
+    getItem("weekendDays", [0, 6])
   );
-  const [dayStart, setDayStart] = useState(
-    () => localStorage.getItem("hvac_day_start") || "08:00"
+  const [holidays, setHolidays] = useState(() => getItem("holidays", []));
+  const [tripFee, setTripFee] = useState(() => getItem("tripFee", 89));
+  const [taxPct, setTaxPct] = useState(() => getItem("taxPct", 0));
+  const [partsMarkupPct, setPartsMarkupPct] = useState(() =>
+    getItem("partsMarkupPct", 35)
   );
-  const [dayEnd, setDayEnd] = useState(
-    () => localStorage.getItem("hvac_day_end") || "16:30"
-  );
-  const [tripFee, setTripFee] = useState(
-    () => Number(localStorage.getItem("hvac_trip_fee")) || 89
-  );
-  const [taxPct, setTaxPct] = useState(
-    () => Number(localStorage.getItem("hvac_tax_pct")) || 0
-  );
-  const [partsMarkupPct, setPartsMarkupPct] = useState(
-    () => Number(localStorage.getItem("hvac_parts_markup")) || 35
+  const [markupMatrix, setMarkupMatrix] = useState(() => ({
+    ...EMPTY_MARKUP_MATRIX,
+    ...getItem("markupMatrix"),
+  }));
+  const [plans, setPlans] = useState(() => getItem("plans", []));
+  const [taxJurisdictions, setTaxJurisdictions] = useState(() =>
+    getItem("taxJurisdictions", [])
   );
 
-  // Manager PIN (controls visibility of rates/fees/inputs except Hours)
-  const [pin, setPin] = useState(() => localStorage.getItem("hvac_pin") || "");
-  const [pinInput, setPinInput] = useState("");
-  const [managerUnlocked, setManagerUnlocked] = useState(false);
+  // Role PINs (control visibility of rates/fees/inputs except Hours)
+  const [auth, setAuthState] = useState(loadAuth);
+  const [role, setRole] = useState("tech");
+  const perms = permissionsFor(role, auth.rolePerms);
+  const can = (perm) => perms.includes(perm);
+
+  function setAuth(next) {
+    const who = ROLE_LABELS[role];
+    appendAudit([
+      ...ROLES.filter((r) => next.pins[r] !== auth.pins[r]).map((r) => ({
+        who,
+        area: "Access",
+        item: `${ROLE_LABELS[r]} PIN`,
+        from: auth.pins[r] ? "set" : null,
+        to: next.pins[r] ? "changed" : null,
+      })),
+      ...ROLES.filter(
+        (r) =>
+          r !== "manager" &&
+          JSON.stringify(next.rolePerms[r]) !==
+            JSON.stringify(auth.rolePerms[r])
+      ).map((r) => ({
+        who,
+        area: "Access",
+        item: `${ROLE_LABELS[r]} permissions`,
+        from: auth.rolePerms[r],
+        to: next.rolePerms[r],
+      })),
+    ]);
+    saveAuth(next);
+    setAuthState(next);
+  }
+
+  useEffect(() => {
+    migrateLegacyPin(loadAuth()).then(setAuthState);
+  }, []);
+
+  // Storage full/unavailable: shown until dismissed; data stays in memory.
+  const [storageProblem, setStorageProblem] = useState(null);
+  useEffect(() => onStorageError(setStorageProblem), []);
 
+  // Drop back to tech after a stretch with no taps/keys while unlocked.
   useEffect(() => {
-    localStorage.setItem("hvac_std_rate", String(stdRate));
-    localStorage.setItem("hvac_after_rate", String(afterRate));
-    localStorage.setItem("hvac_after_hours", afterHours ? "1" : "0");
-    localStorage.setItem("hvac_day_start", dayStart);
-    localStorage.setItem("hvac_day_end", dayEnd);
-    localStorage.setItem("hvac_trip_fee", String(tripFee));
-    localStorage.setItem("hvac_tax_pct", String(taxPct));
-    localStorage.setItem("hvac_parts_markup", String(partsMarkupPct));
+    if (role === "tech") return undefined;
+    let last = Date.now();
+    const touch = () => {
+      last = Date.now();
+    };
+    const events = ["pointerdown", "keydown", "scroll"];
+    events.forEach((e) => window.addEventListener(e, touch, true));
+    const t = setInterval(() => {
+      if (Date.now() - last > IDLE_RELOCK_MS) setRole("tech");
+    }, 15000);
+    return () => {
+      events.forEach((e) => window.removeEventListener(e, touch, true));
+      clearInterval(t);
+    };
+  }, [role]);
+
+  // Settings as last persisted, so each change is audited old → new. Edits
+  // are credited to the unlocked role, or to "Sync" while a pulled pricing
+  // profile is being applied.
+  const persistedSettings = useRef(null);
+  const auditWho = useRef("");
+  auditWho.current = ROLE_LABELS[role];
+  const applyingProfile = useRef(false);
+
+  useEffect(() => {
+    const current = {
+      stdRate,
+      afterRate,
+      dayStart,
+      dayEnd,
+      weekendDays,
+      holidays,
+      tripFee,
+      taxPct,
+      partsMarkupPct,
+      markupMatrix,
+      plans,
+      taxJurisdictions,
+    };
+    Object.entries(current).forEach(([key, value]) => setItem(key, value));
+    if (persistedSettings.current) {
+      recordSettings(
+        persistedSettings.current,
+        current,
+        applyingProfile.current ? "Sync" : auditWho.current
+      );
+    }
+    persistedSettings.current = current;
+    applyingProfile.current = false;
   }, [
     stdRate,
     afterRate,
-    afterHours,
     dayStart,
     dayEnd,
+    weekendDays,
+    holidays,
     tripFee,
     taxPct,
     partsMarkupPct,
+    markupMatrix,
+    plans,
+    taxJurisdictions,
   ]);
 
-  // Line item inputs
+  // Parts list by SKU with this truck's stock (per device, not synced).
+  const [parts, setParts] = useState(() => getItem("parts", []));
+  const persistedParts = useRef(parts);
+  useEffect(() => {
+    setItem("parts", parts);
+    recordPartCosts(persistedParts.current, parts, auditWho.current);
+    persistedParts.current = parts;
+  }, [parts]);
+
+  // Line items on the current quote
   // Techs can always change Labor Hours; everything else is hidden unless manager unlocks.
-  const [laborHrs, setLaborHrs] = useState(selected?.defaultLaborHrs ?? 1);
-  const [parts, setParts] = useState(selected?.defaultPartsCost ?? 0);
-  const [qty, setQty] = useState(selected?.defaultQty ?? 1);
+  const [lines, setLines] = useState([]);
 
-  useEffect(() => {
-    setLaborHrs(selected?.defaultLaborHrs ?? 1);
-    setParts(selected?.defaultPartsCost ?? 0);
-    setQty(selected?.defaultQty ?? 1);
-  }, [selected?.id]);
+  function addLine(option) {
+    if (!selected) return;
+    setLines((prev) => [
+      ...prev,
+      newLine(
+        selected,
+        selectedCategory,
+        option,
+        partFor(parts, selected, option)
+      ),
+    ]);
+  }
 
-  const effectiveLaborRate = afterHours ? afterRate : stdRate;
+  function updateLine(key, patch) {
+    setLines((prev) =>
+      prev.map((l) => (l.key === key ? { ...l, ...patch } : l))
+    );
+  }
 
-  const calc = useMemo(() => {
-    const partsSubtotal =
-      Number(parts) * Number(qty) * (1 + Number(partsMarkupPct) / 100);
-    const laborSubtotal = Number(laborHrs) * Number(effectiveLaborRate);
-    const subtotal = Number(tripFee) + partsSubtotal + laborSubtotal;
-    const tax = subtotal * (Number(taxPct) / 100);
-    const total = subtotal + tax;
-    return { partsSubtotal, laborSubtotal, subtotal, tax, total };
-  }, [
-    parts,
-    qty,
-    partsMarkupPct,
-    laborHrs,
-    effectiveLaborRate,
-    tripFee,
-    taxPct,
-  ]);
+  function removeLine(key) {
+    setLines((prev) => prev.filter((l) => l.key !== key));
+  }
 
-  // Saved quotes (techs see Total only; managers see full detail table)
-  const [saved, setSaved] = useState(() => {
-    try {
-      return JSON.parse(localStorage.getItem("hvac_quotes") || "[]");
-    } catch {
-      return [];
-    }
+  // After-hours rate is picked from the job time vs business hours/weekends/holidays.
+  // `rateOverride` ("auto" | "standard" | "after") lets a manager force either rate.
+  const [jobAt, setJobAt] = useState(() => toLocalDateTime());
+  const [rateOverride, setRateOverride] = useState("auto");
+  const scheduleReason = afterHoursReason(jobAt, {
+    dayStart,
+    dayEnd,
+    weekendDays,
+    holidays,
   });
+  const afterHours =
+    rateOverride === "auto"
+      ? Boolean(scheduleReason)
+      : rateOverride === "after";
+  const afterHoursWhy =
+    rateOverride === "auto"
+      ? scheduleReason
+      : afterHours
+      ? "Manual override"
+      : "";
+  const effectiveLaborRate = afterHours ? afterRate : stdRate;
 
-  function saveQuote() {
-    if (!selected) return;
-    const q = {
-      ts: Date.now(),
-      category,
-      issue: selected.issue,
+  // Membership plan on this quote; `calc` is then the member price.
+  const [planId, setPlanId] = useState("");
+  const plan = plans.find((p) => p.id === planId) || null;
+
+  // Tax jurisdiction on this quote; none means the shop-wide rate on everything.
+  const [jurisdictionId, setJurisdictionId] = useState("");
+  const jurisdiction =
+    taxJurisdictions.find((j) => j.id === jurisdictionId) || null;
+
+  const rates = useMemo(
+    () => ({
       laborRate: effectiveLaborRate,
-      laborHrs,
       tripFee,
-      parts,
-      qty,
       partsMarkupPct,
+      markupMatrix,
+      ...taxRatesFor(jurisdiction, taxPct),
+      plan,
+    }),
+    [
+      effectiveLaborRate,
+      tripFee,
+      partsMarkupPct,
+      markupMatrix,
       taxPct,
+      jurisdiction,
+      plan,
+    ]
+  );
+  const calc = useMemo(() => priceQuote(lines, rates), [lines, rates]);
+  // Plain standard-rate pricing, for catalog-wide previews.
+  const standardRates = useMemo(
+    () => ({
+      laborRate: stdRate,
+      tripFee,
+      partsMarkupPct,
+      markupMatrix,
+      taxPct,
+    }),
+    [stdRate, tripFee, partsMarkupPct, markupMatrix, taxPct]
+  );
+
+  // Tiered options for the selected issue, each priced as the quote total if chosen.
+  const options = selected ? issueOptions(selected) : null;
+  const selectedPart = selected ? partFor(parts, selected) : null;
+  const optionCalcs = useMemo(
+    () =>
+      options?.map((o) =>
+        priceQuote(
+          [
+            ...lines,
+            newLine(selected, selectedCategory, o, partFor(parts, selected, o)),
+          ],
+          rates
+        )
+      ),
+    [options, selected, selectedCategory, lines, rates, parts]
+  );
+
+  // Customer/job details go on the estimate and the saved quote; company details are persisted.
+  const [company, setCompany] = useState(() => getItem("company", {}));
+  const [customer, setCustomer] = useState(EMPTY_CUSTOMER);
+  const [docType, setDocType] = useState("estimate");
+  const [showEstimate, setShowEstimate] = useState(false);
+
+  useEffect(() => {
+    setItem("company", company);
+  }, [company]);
+
+  const estimateProps = {
+    company,
+    customer,
+    docType,
+    date: new Date(jobAt).toLocaleDateString(),
+    calc,
+    taxText: taxLabel(rates.taxPct, rates.taxRules, jurisdiction?.name),
+  };
+
+  // Saved quotes, newest first (techs see Total only; managers see full detail table).
+  // Each quote is its own storage record, so saving one never rewrites the rest.
+  const [saved, setSaved] = useState(getQuotes);
+
+  // Draft reopened from Saved Quotes; saving updates it in place.
+  const [editingTs, setEditingTs] = useState(null);
+  const editing = saved.find((s) => s.ts === editingTs);
+  // Quote awaiting the customer's signature before it is marked approved.
+  const [signingTs, setSigningTs] = useState(null);
+
+  function storeQuote(q) {
+    putQuote(q);
+    setSaved(getQuotes());
+    queueQuote(q.ts);
+  }
+
+  function saveQuote() {
+    if (lines.length === 0) return;
+    const now = Date.now();
+    const q = {
+      ts: now,
+      status: "draft",
+      statusHistory: [{ status: "draft", at: now }],
+      category: lines[0].category,
+      issue: lines.map(lineTitle).join(" + "),
+      lines: calc.lines,
+      jobAt,
+      afterHours,
+      afterHoursReason: afterHoursWhy,
+      catalogVersion,
+      customer,
+      rateOverride,
+      laborRate: effectiveLaborRate,
+      tripFee: calc.tripFee,
+      partsMarkupPct,
+      taxPct: rates.taxPct,
+      taxJurisdiction: jurisdiction,
+      taxRules: rates.taxRules,
+      taxable: calc.taxable,
+      laborSubtotal: calc.laborSubtotal,
+      partsSubtotal: calc.partsSubtotal,
+      tax: calc.tax,
       total: calc.total,
+      plan,
+      regularTotal: plan ? calc.regularTotal : calc.total,
+      savings: plan ? calc.savings : 0,
     };
-    const next = [q, ...saved].slice(0, 200);
-    setSaved(next);
-    localStorage.setItem("hvac_quotes", JSON.stringify(next));
+    // Fields pricing doesn't own (job timer log, actual hours…) carry over.
+    const stored = editing
+      ? {
+          ...editing,
+          ...q,
+          ts: editing.ts,
+          status: quoteStatus(editing),
+          statusHistory: editing.statusHistory || q.statusHistory,
+          updatedAt: now,
+        }
+      : q;
+    appendAudit(
+      quoteDeviations(stored, editing, ROLE_LABELS[role], lineTitle),
+      now
+    );
+    storeQuote(stored);
+    if (editing) setEditingTs(null);
   }
 
-  function exportQuotes() {
+  // Only drafts can be edited; once presented the quote is what the customer saw.
+  function reopenQuote(q) {
+    if (quoteStatus(q) !== "draft") return;
+    setLines(
+      quoteLines(q).map((l, idx) => ({ ...l, key: l.key || `${q.ts}-${idx}` }))
+    );
+    setCustomer({ ...EMPTY_CUSTOMER, ...q.customer });
+    if (q.jobAt) setJobAt(q.jobAt);
+    setRateOverride(q.rateOverride || "auto");
+    setPlanId(plans.some((p) => p.id === q.plan?.id) ? q.plan.id : "");
+    setJurisdictionId(
+      taxJurisdictions.some((j) => j.id === q.taxJurisdiction?.id)
+        ? q.taxJurisdiction.id
+        : ""
+    );
+    setEditingTs(q.ts);
+  }
+
+  function cancelEditing() {
+    setEditingTs(null);
+    setLines([]);
+    setCustomer(EMPTY_CUSTOMER);
+    setPlanId("");
+    setJurisdictionId("");
+  }
+
+  function setQuoteStatus(ts, status, extra) {
+    const q = saved.find((s) => s.ts === ts);
+    if (q) storeQuote(withStatus(q, status, extra));
+    if (q && status === "approved") setParts((prev) => takeFromTruck(prev, q));
+    if (ts === editingTs) setEditingTs(null);
+  }
+
+  function timeJob(q, action) {
+    storeQuote(TIMER_ACTIONS[action](q));
+  }
+
+  function changeStatus(q, status) {
+    if (status === "approved") setSigningTs(q.ts);
+    else setQuoteStatus(q.ts, status);
+  }
+
+  // One CSV row per line item of `quotes` (the Saved Quotes matches);
+  // quote-level totals repeat on each of its rows.
+  function exportQuotes(quotes) {
     const rows = [
       [
-        managerUnlocked ? "Date" : "Date",
+        "Date",
+        "Quote",
+        "Status",
+        "Status Updated",
+        "Approved By",
+        "Customer",
+        "Phone",
+        "Email",
+        "Service Address",
+        "Job #",
+        "Equipment",
+        "Line",
         "Category",
         "Issue",
-        ...(managerUnlocked
-          ? ["Labor Rate", "Hours", "Trip", "Parts", "Qty", "Markup%", "Tax%"]
-          : []),
-        "Total",
-      ],
-      ...saved.map((s) => [
-        new Date(s.ts).toLocaleString(),
-        s.category,
-        s.issue,
-        ...(managerUnlocked
+        "Option",
+        "Hours",
+        "Actual Hrs",
+        ...(can("savedDetail")
           ? [
-              String(s.laborRate),
-              String(s.laborHrs),
-              String(s.tripFee),
-              String(s.parts),
-              String(s.qty),
-              String(s.partsMarkupPct),
-              String(s.taxPct),
+              "Labor Rate",
+              "Parts",
+              "Qty",
+              "Markup%",
+              "Markup Tier",
+              "Trip",
+              "Tax%",
+              "Tax Jurisdiction",
+              "Taxable",
+              "Tax",
+              "Line Tax Exempt",
             ]
           : []),
-        String(Math.round(s.total * 100) / 100),
-      ]),
+        "Total",
+        "Plan",
+        "Regular Total",
+        "You Save",
+      ],
+      ...quotes.flatMap((s) =>
+        quoteLines(s).map((l, idx) => [
+          new Date(s.ts).toLocaleString(),
+          String(s.ts),
+          STATUS_LABELS[quoteStatus(s)],
+          new Date(
+            statusAt(s, quoteStatus(s)) ?? s.updatedAt ?? s.ts
+          ).toLocaleString(),
+          s.signedBy || "",
+          s.customer?.name,
+          s.customer?.phone,
+          s.customer?.email,
+          s.customer?.address,
+          s.customer?.jobNumber,
+          equipmentText(s.customer),
+          String(idx + 1),
+          l.category,
+          l.issue,
+          l.option || "",
+          String(l.laborHrs),
+          s.actualHrs != null ? String(s.actualHrs) : "",
+          ...(can("savedDetail")
+            ? [
+                String(s.laborRate),
+                String(l.parts),
+                String(l.qty),
+                String(l.markupPct ?? s.partsMarkupPct),
+                l.markupTier || "flat",
+                String(s.tripFee),
+                String(s.taxPct),
+                s.taxJurisdiction?.name || "",
+                s.taxable
+                  ? String(
+                      Math.round(
+                        (s.taxable.parts + s.taxable.labor + s.taxable.trip) *
+                          100
+                      ) / 100
+                    )
+                  : "",
+                String(Math.round((s.tax || 0) * 100) / 100),
+                l.taxExempt ? "Yes" : "",
+              ]
+            : []),
+          String(Math.round(s.total * 100) / 100),
+          s.plan?.name || "",
+          String(Math.round((s.regularTotal ?? s.total) * 100) / 100),
+          String(Math.round((s.savings || 0) * 100) / 100),
+        ])
+      ),
     ];
     downloadCSV("hvac_quotes.csv", rows);
   }
 
   function removeSaved(ts) {
-    const next = saved.filter((s) => s.ts !== ts);
-    setSaved(next);
-    localStorage.setItem("hvac_quotes", JSON.stringify(next));
+    deleteQuote(ts);
+    setSaved(getQuotes());
+    if (ts === editingTs) setEditingTs(null);
   }
 
+  // Spreadsheet imports first go through column mapping:
+  // { fileName, headers, rows, mapping, defaultCategory }.
+  const [pendingSheet, setPendingSheet] = useState(null);
+  // Pending import: { fileName, result } from validateCatalog, shown for review.
+  const [pendingImport, setPendingImport] = useState(null);
+
   async function handleImport(file) {
+    setPendingSheet(null);
+    setPendingImport(null);
+    if (isSpreadsheetFile(file)) {
+      try {
+        const [headers = [], ...rows] = await readSpreadsheet(file);
+        setPendingSheet({
+          fileName: file.name,
+          headers,
+          rows,
+          mapping: guessMapping(headers),
+          defaultCategory: file.name.replace(/\.[^.]+$/, ""),
+        });
+      } catch (e) {
+        setPendingImport({
+          fileName: file.name,
+          result: importFailure(`Could not read spreadsheet: ${e.message}`),
+        });
+      }
+      return;
+    }
+
     const text = await file.text();
+    let parsed;
     try {
-      const parsed = JSON.parse(text);
-      if (!parsed || typeof parsed !== "object")
-        throw new Error("Invalid catalog JSON");
-      setCatalog(parsed);
-      localStorage.setItem("hvac_catalog_json", text);
-      const first = Object.keys(parsed)[0];
-      if (first) {
-        setCategory(first);
-        setSelectedId(null);
-        setQuery("");
-      }
+      parsed = JSON.parse(text);
     } catch (e) {
-      alert(
-        "Invalid catalog JSON. Please export from the Excel converter I gave you."
+      setPendingImport({
+        fileName: file.name,
+        result: importFailure(
+          "File is not valid JSON. Import a catalog .json, .csv or .xlsx file."
+        ),
+      });
+      return;
+    }
+    setPendingImport({ fileName: file.name, result: validateCatalog(parsed) });
+  }
+
+  function mapSheet() {
+    const { fileName, rows, mapping, defaultCategory } = pendingSheet;
+    const parsed = rowsToCatalog(rows, mapping, {
+      defaultCategory: defaultCategory.trim() || "Imported",
+    });
+    setPendingSheet(null);
+    setPendingImport({ fileName, result: validateCatalog(parsed) });
+  }
+
+  // "replace" swaps in the file as-is; "merge" updates/adds by issue id.
+  const [importMode, setImportMode] = useState("replace");
+  const importedCatalog = useMemo(() => {
+    if (!pendingImport || pendingImport.result.errors.length) return null;
+    return importMode === "merge"
+      ? mergeCatalogs(catalog, pendingImport.result.catalog)
+      : pendingImport.result.catalog;
+  }, [catalog, pendingImport, importMode]);
+  const importDiff = useMemo(
+    () =>
+      importedCatalog
+        ? diffCatalogs(catalog, importedCatalog)
+        : { added: [], changed: [], removed: [] },
+    [catalog, importedCatalog]
+  );
+
+  // `audit` overrides fields of the logged Catalog entry (see catalogAudit).
+  function commitCatalog(
+    next,
+    { source, mode, flows: nextFlows = flows, audit }
+  ) {
+    let versions = catalogVersions;
+    // Keep the pre-versioning catalog so the first import can be rolled back too.
+    if (versions.length === 0) {
+      versions = recordVersion(versions, catalog, {
+        source: "Catalog before first import",
+        mode: "",
+        flows,
+      });
+    }
+    versions = recordVersion(versions, next, {
+      source,
+      mode,
+      flows: nextFlows,
+    });
+    setCatalogVersions(versions);
+    setCatalogVersion(versions[0].version);
+    appendAudit({
+      ...catalogAudit(catalog, next, {
+        who: mode === "sync" ? "Sync" : ROLE_LABELS[role],
+        item: source,
+        version: versions[0].version,
+        flowsChanged: JSON.stringify(nextFlows) !== JSON.stringify(flows),
+      }),
+      ...audit,
+    });
+    setCatalog(next);
+    setItem("catalog", next);
+    setFlows(nextFlows);
+    setItem("flows", nextFlows);
+    setFlowId(null);
+    if (!next[category]) {
+      setCategory(Object.keys(next)[0] || "");
+      setSelectedId(null);
+      setQuery("");
+    }
+  }
+
+  function applyImport() {
+    if (!importedCatalog || !can("catalog")) return;
+    // Files without flows leave the current flows in place.
+    const incoming = pendingImport.result.flows;
+    commitCatalog(importedCatalog, {
+      source: pendingImport.fileName,
+      mode: importMode,
+      flows: !incoming
+        ? flows
+        : importMode === "merge"
+        ? mergeFlows(flows, incoming)
+        : incoming,
+    });
+    setPendingImport(null);
+  }
+
+  const [editingCatalog, setEditingCatalog] = useState(false);
+
+  function adjustBookHours(issueId, option, hrs) {
+    const next = withBookHours(catalog, issueId, option, hrs);
+    if (JSON.stringify(next) === JSON.stringify(catalog)) return;
+    commitCatalog(next, {
+      source: `Labor report: ${issueId}${
+        option ? ` (${option})` : ""
+      } → ${hrs} h`,
+      mode: "edit",
+    });
+  }
+
+  function applyBulkAdjust({ catalog: next, changes, description, scope }) {
+    commitCatalog(next, {
+      source: `Bulk adjust (${scope}): ${description}`,
+      mode: "edit",
+      audit: {
+        item: `Bulk adjustment – ${scope}`,
+        to: `${description} (${changes.length} values)`,
+        changes,
+      },
+    });
+  }
+
+  function restoreVersion(entry) {
+    appendAudit(
+      catalogAudit(catalog, entry.catalog, {
+        who: ROLE_LABELS[role],
+        item: `Rolled back from version ${catalogVersion}`,
+        version: entry.version,
+        flowsChanged:
+          Boolean(entry.flows) &&
+          JSON.stringify(entry.flows) !== JSON.stringify(flows),
+      })
+    );
+    activateVersion(entry);
+    setCatalogVersion(entry.version);
+    setCatalog(entry.catalog);
+    setItem("catalog", entry.catalog);
+    // Versions saved before flows existed keep the current flows.
+    if (entry.flows) {
+      setFlows(entry.flows);
+      setItem("flows", entry.flows);
+    }
+    setFlowId(null);
+    if (!entry.catalog[category]) {
+      setCategory(Object.keys(entry.catalog)[0] || "");
+      setSelectedId(null);
+      setQuery("");
+    }
+  }
+
+  // Pricing profile shared through the sync server (keys as in sync.js PROFILE_KEYS).
+  const pricingProfile = {
+    catalog,
+    flows,
+    stdRate,
+    afterRate,
+    dayStart,
+    dayEnd,
+    weekendDays,
+    holidays,
+    tripFee,
+    taxPct,
+    partsMarkupPct,
+    markupMatrix,
+    plans,
+    taxJurisdictions,
+  };
+
+  // Throws (so sync keeps the old version and shows the error) on a bad profile.
+  function applyProfile(pulled, version) {
+    const { profile, errors } = checkProfile(pulled, catalog);
+    if (errors.length) {
+      throw new Error(
+        `Synced profile v${version} rejected: ${errors[0]}${
+          errors.length > 1 ? ` (+${errors.length - 1} more)` : ""
+        }`
       );
     }
+    const setters = {
+      stdRate: setStdRate,
+      afterRate: setAfterRate,
+      dayStart: setDayStart,
+      dayEnd: setDayEnd,
+      weekendDays: setWeekendDays,
+      holidays: setHolidays,
+      tripFee: setTripFee,
+      taxPct: setTaxPct,
+      partsMarkupPct: setPartsMarkupPct,
+      plans: setPlans,
+      taxJurisdictions: setTaxJurisdictions,
+    };
+    applyingProfile.current = [...Object.keys(setters), "markupMatrix"].some(
+      (k) =>
+        profile[k] !== undefined &&
+        JSON.stringify(profile[k]) !== JSON.stringify(pricingProfile[k])
+    );
+    Object.entries(setters).forEach(([k, set]) => {
+      if (profile[k] !== undefined) set(profile[k]);
+    });
+    if (profile.markupMatrix) {
+      setMarkupMatrix({ ...EMPTY_MARKUP_MATRIX, ...profile.markupMatrix });
+    }
+    const nextCatalog = profile.catalog || catalog;
+    const nextFlows = profile.flows || flows;
+    if (
+      JSON.stringify(nextCatalog) !== JSON.stringify(catalog) ||
+      JSON.stringify(nextFlows) !== JSON.stringify(flows)
+    ) {
+      commitCatalog(nextCatalog, {
+        source: `Synced profile v${version}`,
+        mode: "sync",
+        flows: nextFlows,
+      });
+    }
   }
 
+  // Background sync calls the latest applyProfile, not the one from first render.
+  const applyProfileRef = useRef(applyProfile);
+  applyProfileRef.current = applyProfile;
+  useEffect(
+    () =>
+      startSync({
+        onProfile: (profile, version) =>
+          applyProfileRef.current(profile, version),
+        onQuotes: () => setSaved(getQuotes()),
+      }),
+    []
+  );
+
   return (
     <div className="min-h-screen bg-slate-50">
-      <div className="mx-auto max-w-6xl p-4 sm:p-6">
+      <div className="mx-auto max-w-6xl p-4 sm:p-6 no-print">
+        {storageProblem && (
+          <div className="mb-4 flex items-start justify-between gap-2 rounded-xl px-3 py-2 text-sm bg-red-50 border border-red-200 text-red-800">
+            <span>{storageProblem.message}</span>
+            <button
+              onClick={() => setStorageProblem(null)}
+              className="rounded-xl px-2 py-1 border border-red-300 bg-white hover:bg-red-100"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
         <header className="mb-4 sm:mb-6 flex flex-col gap-3 sm:flex-row sm:items-end sm:justify-between">
           <div>
             <h1 className="text-2xl sm:text-3xl font-semibold tracking-tight">
@@ -295,105 +1061,110 @@ export default function App() {
             </p>
           </div>
           <div className="grid grid-cols-2 sm:flex gap-2 sm:gap-3">
-            <label className="inline-flex items-center gap-2 rounded-2xl border px-3 py-2 bg-white hover:bg-slate-50 cursor-pointer">
-              <Upload className="w-4 h-4" />
-              <span>Import Catalog JSON</span>
-              <input
-                type="file"
-                accept="application/json"
-                className="hidden"
-                onChange={(e) => {
-                  const f = e.target.files?.[0];
-                  if (f) handleImport(f);
-                }}
-              />
-            </label>
+            {can("catalog") && (
+              <label className="inline-flex items-center gap-2 rounded-2xl border px-3 py-2 bg-white hover:bg-slate-50 cursor-pointer">
+                <Upload className="w-4 h-4" />
+                <span>Import Catalog</span>
+                <input
+                  type="file"
+                  accept=".json,.csv,.xlsx,application/json,text/csv"
+                  className="hidden"
+                  onChange={(e) => {
+                    const f = e.target.files?.[0];
+                    if (f) handleImport(f);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+            )}
             <button
               onClick={saveQuote}
-              className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-emerald-600 text-white hover:bg-emerald-700"
+              disabled={lines.length === 0}
+              className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
             >
-              <PlusCircle className="w-4 h-4" /> Save Quote
+              <PlusCircle className="w-4 h-4" />{" "}
+              {editing ? "Update Draft" : "Save Quote"}
             </button>
             <button
-              onClick={() => window.print()}
+              onClick={() => setShowEstimate(true)}
               className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50"
             >
               <Printer className="w-4 h-4" /> Print
             </button>
-            <button
-              onClick={exportQuotes}
-              className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50"
-            >
-              <Download className="w-4 h-4" /> Export CSV
-            </button>
           </div>
         </header>
 
-        {/* PIN + Manager toggle */}
+        {can("catalog") && editingCatalog && (
+          <CatalogEditor
+            key={catalogVersion}
+            catalog={catalog}
+            flows={flows}
+            onSave={(next, nextFlows) =>
+              commitCatalog(next, {
+                source: "Catalog editor",
+                mode: "edit",
+                flows: nextFlows,
+              })
+            }
+            onClose={() => setEditingCatalog(false)}
+          />
+        )}
+
+        {can("catalog") && pendingSheet && (
+          <ColumnMapper
+            fileName={pendingSheet.fileName}
+            headers={pendingSheet.headers}
+            rows={pendingSheet.rows}
+            mapping={pendingSheet.mapping}
+            setMapping={(mapping) =>
+              setPendingSheet({ ...pendingSheet, mapping })
+            }
+            defaultCategory={pendingSheet.defaultCategory}
+            setDefaultCategory={(defaultCategory) =>
+              setPendingSheet({ ...pendingSheet, defaultCategory })
+            }
+            onContinue={mapSheet}
+            onCancel={() => setPendingSheet(null)}
+          />
+        )}
+
+        {can("catalog") && pendingImport && (
+          <ImportReport
+            fileName={pendingImport.fileName}
+            result={pendingImport.result}
+            mode={importMode}
+            setMode={setImportMode}
+            diff={importDiff}
+            onApply={applyImport}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+
+        {/* PIN + role toggle */}
         <section className="mb-4">
+          <AccessPanel
+            auth={auth}
+            setAuth={setAuth}
+            role={role}
+            setRole={setRole}
+          />
           <div className="flex items-center gap-2 mb-2 flex-wrap">
-            {pin ? (
-              managerUnlocked ? (
-                <button
-                  onClick={() => setManagerUnlocked(false)}
-                  className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-emerald-600 text-white"
-                >
-                  <Unlock className="w-4 h-4" /> Manager Unlocked
-                </button>
-              ) : (
-                <div className="flex items-center gap-2">
-                  <input
-                    type="password"
-                    placeholder="PIN"
-                    className="rounded-xl border px-3 py-2 w-28"
-                    value={pinInput}
-                    onChange={(e) => setPinInput(e.target.value)}
-                  />
-                  <button
-                    onClick={() => {
-                      if (pinInput === pin) {
-                        setManagerUnlocked(true);
-                        setPinInput("");
-                      }
-                    }}
-                    className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white border"
-                  >
-                    <Lock className="w-4 h-4" /> Unlock
-                  </button>
-                </div>
-              )
-            ) : (
-              <div className="flex items-center gap-2">
-                <input
-                  type="password"
-                  placeholder="Set New PIN (min 4)"
-                  className="rounded-xl border px-3 py-2 w-48"
-                  value={pinInput}
-                  onChange={(e) => setPinInput(e.target.value)}
-                />
-                <button
-                  onClick={() => {
-                    const p = (pinInput || "").trim();
-                    if (p.length >= 4) {
-                      localStorage.setItem("hvac_pin", p);
-                      setPin(p);
-                      setManagerUnlocked(true);
-                      setPinInput("");
-                    }
-                  }}
-                  className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white border"
-                >
-                  <Lock className="w-4 h-4" /> Set PIN
-                </button>
-              </div>
+            {can("catalog") && (
+              <button
+                onClick={() => setEditingCatalog(!editingCatalog)}
+                className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white border"
+              >
+                <Pencil className="w-4 h-4" /> Edit Catalog
+              </button>
             )}
             <div className="text-xs text-slate-500">
               Tech mode hides rates, parts, markup, and tax. “Hours” stays
-              visible.
+              visible. Unlocked roles relock after{" "}
+              {Math.round(IDLE_RELOCK_MS / 60000)} min idle.
             </div>
           </div>
 
-          {managerUnlocked ? (
+          {can("rates") ? (
             <>
               <div className="grid grid-cols-2 sm:grid-cols-7 gap-2">
                 <Control label="Std Labor Rate ($/hr)">
@@ -428,22 +1199,16 @@ export default function App() {
                     onChange={(e) => setDayEnd(e.target.value)}
                   />
                 </Control>
-                <Control label="After Hours?">
-                  <div className="flex items-center gap-2">
-                    <input
-                      id="afterhours"
-                      type="checkbox"
-                      className="rounded"
-                      checked={afterHours}
-                      onChange={(e) => setAfterHours(e.target.checked)}
-                    />
-                    <label
-                      htmlFor="afterhours"
-                      className="text-sm text-slate-700"
-                    >
-                      Use after-hours
-                    </label>
-                  </div>
+                <Control label="Rate (this quote)">
+                  <select
+                    className="w-full rounded-xl border px-3 py-2"
+                    value={rateOverride}
+                    onChange={(e) => setRateOverride(e.target.value)}
+                  >
+                    <option value="auto">Auto (by job time)</option>
+                    <option value="standard">Force standard</option>
+                    <option value="after">Force after-hours</option>
+                  </select>
                 </Control>
                 <Control label="Trip Fee ($)">
                   <input
@@ -467,15 +1232,56 @@ export default function App() {
                 <span className="font-medium">
                   {currency(effectiveLaborRate)}
                 </span>{" "}
-                {afterHours ? "(After Hours)" : "(Standard)"}
+                {afterHours ? `(After Hours – ${afterHoursWhy})` : "(Standard)"}
               </div>
+              <BusinessHoursSettings
+                weekendDays={weekendDays}
+                setWeekendDays={setWeekendDays}
+                holidays={holidays}
+                setHolidays={setHolidays}
+              />
+              <MarkupMatrix
+                matrix={markupMatrix}
+                setMatrix={setMarkupMatrix}
+                categories={categories}
+              />
+              <MembershipPlans plans={plans} setPlans={setPlans} />
+              <TaxJurisdictions
+                jurisdictions={taxJurisdictions}
+                setJurisdictions={setTaxJurisdictions}
+              />
             </>
           ) : (
             <div className="rounded-xl border bg-slate-50 p-3 text-sm text-slate-600">
-              Tech Mode: pricing inputs are hidden (except Labor Hours in the
-              job panel).
+              {ROLE_LABELS[role]} Mode: pricing inputs are hidden (except Labor
+              Hours in the job panel).
             </div>
           )}
+          {can("catalog") && (
+            <CatalogVersions
+              versions={catalogVersions}
+              activeVersion={catalogVersion}
+              onRestore={restoreVersion}
+            />
+          )}
+          {can("catalog") && (
+            <BulkPriceAdjust
+              catalog={catalog}
+              categories={categories}
+              parts={parts}
+              rates={standardRates}
+              onApply={applyBulkAdjust}
+            />
+          )}
+          {can("catalog") && (
+            <LaborReport
+              saved={saved}
+              catalog={catalog}
+              onAdjust={adjustBookHours}
+            />
+          )}
+          {role === "manager" && <BackupPanel who={ROLE_LABELS[role]} />}
+          <SyncPanel canManage={role === "manager"} profile={pricingProfile} />
         </section>
 
         <div className="grid md:grid-cols-2 gap-4">
@@ -500,41 +1306,97 @@ export default function App() {
                 <input
                   value={query}
                   onChange={(e) => setQuery(e.target.value)}
-                  placeholder="Search issues, symptoms, causes, SKU…"
+                  placeholder="Search all categories: issues, symptoms, SKU…"
                   className="w-full rounded-xl border pl-9 pr-3 py-2"
                 />
               </div>
             </div>
 
-            <ul className="divide-y">
-              {issues.map((i) => (
-                <li
-                  key={i.id || i.issue}
-                  className={`py-3 cursor-pointer ${
-                    selected?.id === i.id ? "bg-slate-50" : ""
-                  }`}
-                  onClick={() => setSelectedId(i.id || null)}
-                >
-                  <div className="flex items-start justify-between gap-3">
-                    <div>
-                      <div className="font-medium">{i.issue}</div>
-                      <div className="text-sm text-slate-600">{i.symptoms}</div>
-                    </div>
-                    <Wrench className="w-4 h-4 text-slate-400" />
+            {!searching && !activeFlow && categoryFlows.length > 0 && (
+              <div className="mb-3 flex flex-col sm:flex-row gap-2">
+                {categoryFlows.map((f) => (
+                  <button
+                    key={f.id}
+                    onClick={() => setFlowId(f.id)}
+                    className="inline-flex items-center justify-center gap-2 rounded-xl px-3 py-2 border bg-amber-50 border-amber-200 hover:bg-amber-100"
+                  >
+                    <Stethoscope className="w-4 h-4" /> Guided diagnosis
+                    {categoryFlows.length > 1 && `: ${f.title || f.id}`}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {activeFlow ? (
+              <DiagnosticFlow
+                key={activeFlow.id}
+                flow={activeFlow}
+                catalog={catalog}
+                onPick={pickFromFlow}
+                onClose={() => setFlowId(null)}
+              />
+            ) : (
+              <>
+                <ul className="divide-y">
+                  {results.map(({ issue: i, category: c, matches }) => (
+                    <li
+                      key={`${c}/${i.id || i.issue}`}
+                      className={`py-3 cursor-pointer ${
+                        selected === i ? "bg-slate-50" : ""
+                      }`}
+                      onClick={() => setSelectedId(i.id || null)}
+                    >
+                      <div className="flex items-start justify-between gap-3">
+                        <div>
+                          <div className="font-medium">
+                            <Highlight text={i.issue} ranges={matches?.issue} />
+                          </div>
+                          <div className="text-sm text-slate-600">
+                            <Highlight
+                              text={i.symptoms}
+                              ranges={matches?.symptoms}
+                            />
+                          </div>
+                          {searching && (
+                            <div className="text-xs text-slate-500">
+                              <Highlight text={c} ranges={matches?.category} />
+                              {(i.sku || i.code) && (
+                                <>
+                                  {" · "}
+                                  <Highlight
+                                    text={i.sku || i.code}
+                                    ranges={matches?.[i.sku ? "sku" : "code"]}
+                                  />
+                                </>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                        <Wrench className="w-4 h-4 text-slate-400" />
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+                {searching && results.length === 0 && (
+                  <div className="py-3 text-sm text-slate-500">
+                    No issues match “{query}” in any category.
                   </div>
-                </li>
-              ))}
-            </ul>
+                )}
+              </>
+            )}
           </section>
 
           {/* Details & pricing */}
-          <section className="bg-white rounded-2xl shadow p-3 sm:p-4">
+          <section
+            id="issue-details"
+            className="bg-white rounded-2xl shadow p-3 sm:p-4"
+          >
             {selected && (
               <div className="space-y-4">
                 <div className="flex items-start justify-between gap-3">
                   <div>
                     <h2 className="text-lg font-semibold">{selected.issue}</h2>
-                    <p className="text-sm text-slate-600">{category}</p>
+                    <p className="text-sm text-slate-600">{selectedCategory}</p>
                   </div>
                   <div className="inline-flex items-center gap-2 rounded-xl px-2 py-1 border text-slate-700 bg-slate-50">
                     <Info className="w-4 h-4" /> Troubleshooting
@@ -554,295 +1416,240 @@ export default function App() {
                   />
                 </div>
 
-                <div className="border-t pt-3">
-                  <h3 className="font-semibold mb-2 flex items-center gap-2">
-                    <Calculator className="w-4 h-4" /> Price
-                  </h3>
-
-                  {/* TECH VIEW: only Hours input + Total/Included lines */}
-                  {!managerUnlocked && (
-                    <>
-                      <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
-                        <Control label="Labor Hours">
-                          <input
-                            type="number"
-                            step="0.1"
-                            className="w-full rounded-xl border px-3 py-2"
-                            value={laborHrs}
-                            onChange={(e) =>
-                              setLaborHrs(Number(e.target.value))
-                            }
-                          />
-                        </Control>
-                        {/* Parts and Qty are kept internal (from catalog defaults) */}
-                      </div>
-                      <div className="mt-3 grid sm:grid-cols-3 gap-2 text-sm">
-                        <Summary
-                          label="Total"
-                          value={currency(calc.total)}
-                          emphasize
-                        />
-                        <Summary label="Trip" value="Included" />
-                        <Summary label="Tax" value="Included" />
-                      </div>
-                    </>
-                  )}
-
-                  {/* MANAGER VIEW: full builder */}
-                  {managerUnlocked && (
-                    <>
-                      <div className="grid grid-cols-2 sm:grid-cols-6 gap-2">
-                        <Control label="Labor Hours">
-                          <input
-                            type="number"
-                            step="0.1"
-                            className="w-full rounded-xl border px-3 py-2"
-                            value={laborHrs}
-                            onChange={(e) =>
-                              setLaborHrs(Number(e.target.value))
-                            }
-                          />
-                        </Control>
-                        <Control label="Parts Cost ($)">
-                          <input
-                            type="number"
-                            className="w-full rounded-xl border px-3 py-2"
-                            value={parts}
-                            onChange={(e) => setParts(Number(e.target.value))}
-                          />
-                        </Control>
-                        <Control label="Quantity">
-                          <input
-                            type="number"
-                            className="w-full rounded-xl border px-3 py-2"
-                            value={qty}
-                            onChange={(e) => setQty(Number(e.target.value))}
-                          />
-                        </Control>
-                        <Control label="Parts Markup (%)">
-                          <input
-                            type="number"
-                            className="w-full rounded-xl border px-3 py-2"
-                            value={partsMarkupPct}
-                            onChange={(e) =>
-                              setPartsMarkupPct(Number(e.target.value))
-                            }
-                          />
-                        </Control>
-                        <Control label="Trip Fee ($)">
-                          <input
-                            type="number"
-                            className="w-full rounded-xl border px-3 py-2"
-                            value={tripFee}
-                            onChange={(e) => setTripFee(Number(e.target.value))}
-                          />
-                        </Control>
-                        <Control label="Sales Tax (%)">
-                          <input
-                            type="number"
-                            className="w-full rounded-xl border px-3 py-2"
-                            value={taxPct}
-                            onChange={(e) => setTaxPct(Number(e.target.value))}
-                          />
-                        </Control>
-                      </div>
-
-                      <div className="mt-3 grid sm:grid-cols-5 gap-2 text-sm">
-                        <Summary
-                          label="Labor"
-                          value={`${laborHrs} hr × ${currency(
-                            effectiveLaborRate
-                          )} = ${currency(calc.laborSubtotal)}`}
-                        />
-                        <Summary
-                          label="Parts"
-                          value={`${qty} × ${currency(
-                            parts
-                          )} → markup ${partsMarkupPct}% = ${currency(
-                            calc.partsSubtotal
-                          )}`}
-                        />
-                        <Summary label="Trip" value={currency(tripFee)} />
-                        <Summary
-                          label="Tax"
-                          value={`${taxPct}% = ${currency(calc.tax)}`}
-                        />
-                        <Summary
-                          label="Total"
-                          value={currency(calc.total)}
-                          emphasize
-                        />
-                      </div>
-                    </>
-                  )}
-                </div>
+                {!options && selectedPart && (
+                  <div className="text-sm text-slate-600">
+                    Part {selectedPart.sku}: {selectedPart.onTruck} on truck
+                  </div>
+                )}
 
-                <div className="flex flex-wrap gap-2">
-                  <button
-                    onClick={saveQuote}
-                    className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-emerald-600 text-white hover:bg-emerald-700"
+                {options ? (
+                  <div
+                    className={`grid gap-2 ${
+                      options.length > 1 ? "sm:grid-cols-3" : ""
+                    }`}
                   >
-                    <DollarSign className="w-4 h-4" /> Save this price
-                  </button>
+                    {options.map((o, n) => {
+                      const line = optionCalcs[n].lines[lines.length];
+                      const stock = findPart(parts, line.sku);
+                      return (
+                        <div
+                          key={o.name}
+                          className="rounded-xl border p-3 flex flex-col gap-2"
+                        >
+                          <div className="font-semibold">{o.name}</div>
+                          <div className="text-sm text-slate-600 flex-1">
+                            {o.suggested}
+                          </div>
+                          <div className="text-xs text-slate-500">
+                            {line.laborHrs} hrs
+                            {can("lineParts") &&
+                              ` · parts ${currency(line.parts)} × ${line.qty}`}
+                            {stock && ` · ${stock.onTruck} on truck`}
+                          </div>
+                          <div className="text-lg font-semibold">
+                            {currency(optionCalcs[n].total)}
+                          </div>
+                          <div className="text-xs text-slate-500 -mt-2">
+                            {lines.length ? "Quote total with this" : "Total"}
+                            {optionCalcs[n].savings > 0 &&
+                              ` · you save ${currency(optionCalcs[n].savings)}`}
+                          </div>
+                          <button
+                            onClick={() => addLine(o)}
+                            className="inline-flex items-center justify-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50"
+                          >
+                            <ListPlus className="w-4 h-4" /> Choose
+                          </button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ) : (
                   <button
-                    onClick={() => {
-                      setLaborHrs(selected.defaultLaborHrs ?? 1);
-                      setParts(selected.defaultPartsCost ?? 0);
-                      setQty(selected.defaultQty ?? 1);
-                    }}
+                    onClick={() => addLine()}
                     className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50"
                   >
-                    <Wand2 className="w-4 h-4" /> Reset to defaults
+                    <ListPlus className="w-4 h-4" /> Add to quote
                   </button>
-                </div>
+                )}
               </div>
             )}
+
+            <div className={selected ? "border-t pt-3 mt-4" : ""}>
+              <div className="flex flex-wrap items-end gap-2 mb-3">
+                <Control label="Job Date/Time">
+                  <input
+                    type="datetime-local"
+                    className="rounded-xl border px-3 py-2"
+                    value={jobAt}
+                    onChange={(e) => setJobAt(e.target.value)}
+                  />
+                </Control>
+                <button
+                  onClick={() => setJobAt(toLocalDateTime())}
+                  className="rounded-xl px-3 py-2 border hover:bg-slate-50 text-sm"
+                >
+                  Now
+                </button>
+                {afterHours && (
+                  <span className="rounded-xl px-2 py-1 text-sm bg-amber-50 border border-amber-200 text-amber-800">
+                    After-hours: {afterHoursWhy}
+                  </span>
+                )}
+              </div>
+              {editing && (
+                <div className="flex items-center justify-between gap-2 rounded-xl px-3 py-2 mb-3 text-sm bg-amber-50 border border-amber-200 text-amber-800">
+                  <span>
+                    Editing draft from {new Date(editing.ts).toLocaleString()}
+                  </span>
+                  <button
+                    onClick={cancelEditing}
+                    className="rounded-xl px-2 py-1 border border-amber-300 bg-white hover:bg-amber-100"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
+              <CustomerPanel customer={customer} setCustomer={setCustomer} />
+              {plans.length > 0 && (
+                <div className="mb-3">
+                  <Control label="Membership plan">
+                    <select
+                      className="w-full rounded-xl border px-3 py-2"
+                      value={planId}
+                      onChange={(e) => setPlanId(e.target.value)}
+                    >
+                      <option value="">Not a member</option>
+                      {plans.map((p) => (
+                        <option key={p.id} value={p.id}>
+                          {p.name}
+                        </option>
+                      ))}
+                    </select>
+                  </Control>
+                </div>
+              )}
+              {taxJurisdictions.length > 0 && (
+                <div className="mb-3">
+                  <Control label="Tax jurisdiction">
+                    <select
+                      className="w-full rounded-xl border px-3 py-2"
+                      value={jurisdictionId}
+                      onChange={(e) => setJurisdictionId(e.target.value)}
+                    >
+                      <option value="">Shop default ({taxPct}%)</option>
+                      {taxJurisdictions.map((j) => (
+                        <option key={j.id} value={j.id}>
+                          {j.name}
+                        </option>
+                      ))}
+                    </select>
+                  </Control>
+                </div>
+              )}
+              <QuoteBuilder
+                lines={lines}
+                calc={calc}
+                laborRate={calc.laborRate}
+                canEditParts={can("lineParts")}
+                canPrice={can("quotePricing")}
+                partsMarkupPct={partsMarkupPct}
+                setPartsMarkupPct={setPartsMarkupPct}
+                tripFee={tripFee}
+                setTripFee={setTripFee}
+                taxPct={taxPct}
+                setTaxPct={setTaxPct}
+                taxText={estimateProps.taxText}
+                onChangeLine={updateLine}
+                onRemoveLine={removeLine}
+              />
+            </div>
+
+            <div className="flex flex-wrap gap-2 mt-4">
+              <button
+                onClick={saveQuote}
+                disabled={lines.length === 0}
+                className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+              >
+                <DollarSign className="w-4 h-4" /> Save this price
+              </button>
+              <button
+                onClick={() => setLines([])}
+                disabled={lines.length === 0}
+                className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50 disabled:opacity-50"
+              >
+                <Trash2 className="w-4 h-4" /> Clear quote
+              </button>
+            </div>
           </section>
         </div>
 
         {/* Saved quotes */}
-        <section className="mt-6 bg-white rounded-2xl shadow p-3 sm:p-4">
-          <div className="flex items-center justify-between mb-2">
-            <h3 className="font-semibold">Saved Quotes</h3>
-            <div className="text-sm text-slate-500">Stored on this device</div>
-          </div>
-          {saved.length === 0 ? (
-            <p className="text-slate-600 text-sm">No quotes yet.</p>
-          ) : (
-            <div className="overflow-x-auto">
-              {managerUnlocked ? (
-                <table className="min-w-full text-sm">
-                  <thead>
-                    <tr className="text-left text-slate-600">
-                      <th className="py-2 pr-4">Date</th>
-                      <th className="py-2 pr-4">Category</th>
-                      <th className="py-2 pr-4">Issue</th>
-                      <th className="py-2 pr-4">Labor Rate</th>
-                      <th className="py-2 pr-4">Hours</th>
-                      <th className="py-2 pr-4">Trip</th>
-                      <th className="py-2 pr-4">Parts</th>
-                      <th className="py-2 pr-4">Qty</th>
-                      <th className="py-2 pr-4">Markup%</th>
-                      <th className="py-2 pr-4">Tax%</th>
-                      <th className="py-2 pr-4">Total</th>
-                      <th className="py-2 pr-4">Actions</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {saved.map((s) => (
-                      <tr key={s.ts} className="border-t">
-                        <td className="py-2 pr-4 whitespace-nowrap">
-                          {new Date(s.ts).toLocaleString()}
-                        </td>
-                        <td className="py-2 pr-4">{s.category}</td>
-                        <td className="py-2 pr-4">{s.issue}</td>
-                        <td className="py-2 pr-4">{currency(s.laborRate)}</td>
-                        <td className="py-2 pr-4">{s.laborHrs}</td>
-                        <td className="py-2 pr-4">{currency(s.tripFee)}</td>
-                        <td className="py-2 pr-4">{currency(s.parts)}</td>
-                        <td className="py-2 pr-4">{s.qty}</td>
-                        <td className="py-2 pr-4">{s.partsMarkupPct}%</td>
-                        <td className="py-2 pr-4">{s.taxPct}%</td>
-                        <td className="py-2 pr-4 font-semibold">
-                          {currency(s.total)}
-                        </td>
-                        <td className="py-2 pr-4">
-                          <button
-                            onClick={() => removeSaved(s.ts)}
-                            className="inline-flex items-center gap-1 rounded-xl px-2 py-1 border hover:bg-slate-50"
-                          >
-                            <Trash2 className="w-4 h-4" />
-                            Delete
-                          </button>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              ) : (
-                <table className="min-w-full text-sm">
-                  <thead>
-                    <tr className="text-left text-slate-600">
-                      <th className="py-2 pr-4">Date</th>
-                      <th className="py-2 pr-4">Category</th>
-                      <th className="py-2 pr-4">Issue</th>
-                      <th className="py-2 pr-4">Total</th>
-                      <th className="py-2 pr-4">Actions</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {saved.map((s) => (
-                      <tr key={s.ts} className="border-t">
-                        <td className="py-2 pr-4 whitespace-nowrap">
-                          {new Date(s.ts).toLocaleString()}
-                        </td>
-                        <td className="py-2 pr-4">{s.category}</td>
-                        <td className="py-2 pr-4">{s.issue}</td>
-                        <td className="py-2 pr-4 font-semibold">
-                          {currency(s.total)}
-                        </td>
-                        <td className="py-2 pr-4">
-                          <button
-                            onClick={() => removeSaved(s.ts)}
-                            className="inline-flex items-center gap-1 rounded-xl px-2 py-1 border hover:bg-slate-50"
-                          >
-                            <Trash2 className="w-4 h-4" />
-                            Delete
-                          </button>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              )}
-            </div>
-          )}
-        </section>
+        <SavedQuotes
+          saved={saved}
+          showDetail={can("savedDetail")}
+          editingTs={editingTs}
+          onDelete={removeSaved}
+          onEdit={reopenQuote}
+          onStatus={changeStatus}
+          onTimer={timeJob}
+          onExport={exportQuotes}
+          onReuseCustomer={(c) => setCustomer({ ...EMPTY_CUSTOMER, ...c })}
+        />
+
+        <PartsInventory
+          parts={parts}
+          setParts={setParts}
+          saved={saved}
+          canEdit={can("inventory")}
+        />
+
+        {role === "manager" && <AnalyticsDashboard saved={saved} />}
+
+        {role === "manager" && <AuditLog />}
 
         <footer className="text-xs text-slate-500 mt-6">
           © {new Date().getFullYear()} – Internal use only.
         </footer>
       </div>
-    </div>
-  );
-}
 
-function Control({ label, children }) {
-  return (
-    <label className="text-sm">
-      <div className="text-slate-600 mb-1">{label}</div>
-      {children}
-    </label>
-  );
-}
-function Tip({ title, text }) {
-  return (
-    <motion.div
-      initial={{ opacity: 0, y: 8 }}
-      animate={{ opacity: 1, y: 0 }}
-      className="rounded-2xl border p-3 bg-slate-50"
-    >
-      <div className="text-xs uppercase tracking-wider text-slate-500 mb-1">
-        {title}
+      <div className="no-print">
+        <PwaStatus />
       </div>
-      <div className="text-slate-800 text-sm leading-relaxed">{text}</div>
-    </motion.div>
-  );
-}
-function Summary({ label, value, emphasize }) {
-  return (
-    <div
-      className={`rounded-xl border p-2 ${
-        emphasize ? "bg-emerald-50 border-emerald-200" : "bg-slate-50"
-      }`}
-    >
-      <div className="text-xs text-slate-500">{label}</div>
-      <div
-        className={`font-medium ${
-          emphasize ? "text-emerald-700" : "text-slate-800"
-        }`}
-      >
-        {value}
+
+      {signingTs && (
+        <div className="no-print">
+          <SignaturePad
+            title="Customer approval"
+            onAccept={({ signature, signedBy }) => {
+              setQuoteStatus(signingTs, "approved", {
+                signature,
+                signedBy,
+                approvedAt: Date.now(),
+              });
+              setSigningTs(null);
+            }}
+            onCancel={() => setSigningTs(null)}
+          />
+        </div>
+      )}
+
+      {showEstimate && (
+        <div className="no-print">
+          <EstimatePreview
+            {...estimateProps}
+            setCompany={setCompany}
+            canEditCompany={can("rates")}
+            setCustomer={setCustomer}
+            setDocType={setDocType}
+            onClose={() => setShowEstimate(false)}
+          />
+        </div>
+      )}
+
+      {/* Only the customer document prints, never the dashboard */}
+      <div className="print-only">
+        <EstimateDocument {...estimateProps} />
       </div>
     </div>
   );
@@ -0,0 +1,60 @@
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import App from "./App";
+import { getQuotes } from "./storage";
+
+// Without IndexedDB every write fails and is reported after the test's act()
+// has returned; background sync likewise updates state on its own schedule.
+jest.mock("./storage", () => ({
+  ...jest.requireActual("./storage"),
+  onStorageError: () => () => {},
+}));
+jest.mock("./sync", () => ({
+  ...jest.requireActual("./sync"),
+  startSync: () => () => {},
+  queueQuote: () => Promise.resolve(),
+}));
+
+function button(text) {
+  return [...document.querySelectorAll("button")].find((b) =>
+    b.textContent.includes(text)
+  );
+}
+
+function click(el) {
+  act(() => el.dispatchEvent(new MouseEvent("click", { bubbles: true })));
+}
+
+let root;
+// Async so the legacy PIN check on mount settles inside act().
+beforeEach(async () => {
+  const div = document.createElement("div");
+  document.body.appendChild(div);
+  root = createRoot(div);
+  await act(async () => root.render(<App />));
+});
+afterEach(() => {
+  act(() => root.unmount());
+  document.body.innerHTML = "";
+});
+
+test("updating a reopened draft keeps its job timer log", () => {
+  click(button("Add to quote"));
+  click(button("Save Quote"));
+  click(button("Start"));
+  click(button("Stop"));
+  const timed = getQuotes()[0];
+  expect(timed.timeLog).toHaveLength(1);
+
+  click(button("Edit"));
+  click(button("Update Draft"));
+  const updated = getQuotes()[0];
+  expect(updated.ts).toBe(timed.ts);
+  expect(updated.timeLog).toEqual(timed.timeLog);
+  expect(updated.actualHrs).toBe(timed.actualHrs);
+});
+
+test("a tech without the catalog permission cannot import a catalog", () => {
+  expect(document.body.textContent).not.toContain("Import Catalog");
+  expect(document.querySelector('input[type="file"]')).toBeNull();
+});
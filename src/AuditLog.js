@@ -0,0 +1,167 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Download, History } from "lucide-react";
+import { AREAS, auditValue, filterAudit, subscribeAudit } from "./audit";
+import { downloadCSV } from "./utils";
+
+// Entries shown per "Show more".
+const PAGE = 50;
+
+/**
+ * Manager view of the audit log (see audit.js): newest first, filtered by
+ * text, area, who and date, and exported as CSV with the filters applied.
+ */
+export default function AuditLog() {
+  const [log, setLog] = useState([]);
+  const [filters, setFilters] = useState({
+    query: "",
+    area: "",
+    who: "",
+    from: "",
+    to: "",
+  });
+  const [shown, setShown] = useState(PAGE);
+
+  useEffect(() => subscribeAudit(setLog), []);
+
+  const whos = useMemo(
+    () => [...new Set(log.map((e) => e.who).filter(Boolean))].sort(),
+    [log]
+  );
+  const rows = useMemo(
+    () => filterAudit(log, filters).sort((a, b) => b.at - a.at),
+    [log, filters]
+  );
+
+  function set(patch) {
+    setFilters({ ...filters, ...patch });
+    setShown(PAGE);
+  }
+
+  function exportCSV() {
+    downloadCSV("hvac_audit_log.csv", [
+      ["When", "Who", "Area", "Item", "Field", "Old Value", "New Value"],
+      ...rows.map((e) => [
+        new Date(e.at).toISOString(),
+        e.who,
+        e.area,
+        e.item,
+        e.field || "",
+        auditValue(e.from),
+        auditValue(e.to),
+      ]),
+    ]);
+  }
+
+  return (
+    <section className="mt-6 bg-white rounded-2xl shadow p-3 sm:p-4 text-sm">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-3">
+        <h3 className="font-semibold flex items-center gap-2">
+          <History className="w-4 h-4" /> Audit log
+        </h3>
+        <button
+          onClick={exportCSV}
+          disabled={rows.length === 0}
+          className="inline-flex items-center gap-2 rounded-xl px-3 py-1 border hover:bg-slate-50 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" /> Export CSV
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        <input
+          placeholder="Search item or value…"
+          className="rounded-xl border px-3 py-2 flex-1 min-w-[10rem]"
+          value={filters.query}
+          onChange={(e) => set({ query: e.target.value })}
+        />
+        <select
+          className="rounded-xl border px-3 py-2"
+          value={filters.area}
+          onChange={(e) => set({ area: e.target.value })}
+          aria-label="Audit area"
+        >
+          <option value="">All areas</option>
+          {AREAS.map((a) => (
+            <option key={a} value={a}>
+              {a}
+            </option>
+          ))}
+        </select>
+        <select
+          className="rounded-xl border px-3 py-2"
+          value={filters.who}
+          onChange={(e) => set({ who: e.target.value })}
+          aria-label="Changed by"
+        >
+          <option value="">Anyone</option>
+          {whos.map((w) => (
+            <option key={w} value={w}>
+              {w}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => set({ from: e.target.value })}
+          className="rounded-xl border px-3 py-2"
+          title="Audit from"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => set({ to: e.target.value })}
+          className="rounded-xl border px-3 py-2"
+          title="Audit to"
+        />
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-slate-600">
+          {log.length ? "No changes match these filters." : "No changes yet."}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead>
+              <tr className="text-left text-slate-600">
+                <th className="py-1 pr-3">When</th>
+                <th className="py-1 pr-3">Who</th>
+                <th className="py-1 pr-3">Area</th>
+                <th className="py-1 pr-3">Item</th>
+                <th className="py-1 pr-3">Field</th>
+                <th className="py-1 pr-3">Old</th>
+                <th className="py-1 pr-3">New</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, shown).map((e, idx) => (
+                <tr key={`${e.at}-${idx}`} className="border-t align-top">
+                  <td className="py-1 pr-3 whitespace-nowrap">
+                    {new Date(e.at).toLocaleString()}
+                  </td>
+                  <td className="py-1 pr-3">{e.who}</td>
+                  <td className="py-1 pr-3">{e.area}</td>
+                  <td className="py-1 pr-3">{e.item}</td>
+                  <td className="py-1 pr-3">{e.field || ""}</td>
+                  <td className="py-1 pr-3 break-all text-slate-600">
+                    {auditValue(e.from)}
+                  </td>
+                  <td className="py-1 pr-3 break-all">{auditValue(e.to)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {rows.length > shown && (
+        <button
+          onClick={() => setShown(shown + PAGE)}
+          className="mt-2 rounded-xl px-3 py-1 border hover:bg-slate-50"
+        >
+          Show more ({rows.length - shown} left)
+        </button>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,301 @@
+import React, { useState } from "react";
+import { DatabaseBackup, Download, Upload, X } from "lucide-react";
+import {
+  buildBackup,
+  checkBackup,
+  decryptBackup,
+  encryptBackup,
+  mergeData,
+  parseBackupFile,
+  planRestore,
+} from "./backup";
+import { restoredAudit } from "./audit";
+import { quoteTitle } from "./pricing";
+import { exportData, importData } from "./storage";
+import { currency, downloadJSON } from "./utils";
+
+/**
+ * Manager backup of the whole device (settings, PINs, catalog, saved quotes).
+ * - Export: one JSON file, encrypted when a passphrase is entered.
+ * - Restore: reads a file (asking for its passphrase if encrypted), then
+ *   replaces this device or merges into it. Merging keeps this device's
+ *   settings, adds new quotes and lets the manager pick a side for each quote
+ *   that differs on both. The app reloads after a restore.
+ * - Either way the audit log keeps this device's entries and records the
+ *   restore, credited to `who`.
+ */
+export default function BackupPanel({ who }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [locked, setLocked] = useState(null); // encrypted file awaiting passphrase
+  const [unlockPass, setUnlockPass] = useState("");
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [mode, setMode] = useState("merge");
+  const [useBackup, setUseBackup] = useState(() => new Set());
+
+  const plan = backup ? planRestore(backup, exportData()) : null;
+
+  const exportBackup = async () => {
+    setError("");
+    setBusy(true);
+    try {
+      const data = buildBackup(exportData());
+      const file = passphrase ? await encryptBackup(data, passphrase) : data;
+      const day = new Date().toISOString().slice(0, 10);
+      downloadJSON(`hvac_backup_${day}.json`, file);
+    } catch (e) {
+      setError(`Backup failed: ${e.message}`);
+    }
+    setBusy(false);
+  };
+
+  const review = (data) => {
+    setBackup(checkBackup(data));
+    setMode("merge");
+    setUseBackup(new Set());
+  };
+
+  const openFile = async (file) => {
+    setError("");
+    setBackup(null);
+    setLocked(null);
+    setFileName(file.name);
+    try {
+      const parsed = parseBackupFile(await file.text());
+      if (parsed.encrypted) {
+        setUnlockPass("");
+        setLocked(parsed);
+      } else {
+        review(parsed);
+      }
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const unlock = async () => {
+    setError("");
+    setBusy(true);
+    try {
+      review(await decryptBackup(locked, unlockPass));
+      setLocked(null);
+    } catch (e) {
+      setError(e.message);
+    }
+    setBusy(false);
+  };
+
+  const toggleSide = (ts, fromBackup) => {
+    const next = new Set(useBackup);
+    if (fromBackup) next.add(ts);
+    else next.delete(ts);
+    setUseBackup(next);
+  };
+
+  const apply = async () => {
+    const replace = mode === "replace";
+    if (
+      replace &&
+      !window.confirm(
+        "Replace everything on this device (rates, PINs, catalog and saved quotes) with the backup?"
+      )
+    ) {
+      return;
+    }
+    setBusy(true);
+    const data = replace ? backup : mergeData(backup, plan, useBackup);
+    const auditLog = restoredAudit(backup, data, {
+      who,
+      file: fileName,
+      replace,
+    });
+    const err = await importData(
+      { ...data, settings: { ...data.settings, auditLog } },
+      { replace }
+    );
+    if (err) {
+      setError(`Restore failed: ${err.message || err}`);
+      setBusy(false);
+      return;
+    }
+    window.location.reload();
+  };
+
+  const cancel = () => {
+    setBackup(null);
+    setLocked(null);
+    setError("");
+  };
+
+  return (
+    <div className="mt-2 rounded-xl border p-3 bg-white text-sm">
+      <div className="text-slate-600 mb-2 flex items-center gap-2">
+        <DatabaseBackup className="w-4 h-4" /> Backup &amp; restore
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase (optional)"
+          className="rounded-xl border px-3 py-2"
+        />
+        <button
+          onClick={exportBackup}
+          disabled={busy}
+          className="inline-flex items-center gap-2 rounded-xl px-3 py-2 border hover:bg-slate-50 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" /> Export backup
+        </button>
+        <label className="inline-flex items-center gap-2 rounded-xl px-3 py-2 border hover:bg-slate-50 cursor-pointer">
+          <Upload className="w-4 h-4" /> Restore backup
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = "";
+              if (file) openFile(file);
+            }}
+          />
+        </label>
+      </div>
+      <div className="mt-1 text-xs text-slate-500">
+        Without a passphrase the file is plain text, including customer details.
+      </div>
+
+      {error && <div className="mt-2 text-red-700">{error}</div>}
+
+      {locked && (
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <span>This backup is encrypted.</span>
+          <input
+            type="password"
+            value={unlockPass}
+            onChange={(e) => setUnlockPass(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && unlock()}
+            placeholder="Backup passphrase"
+            className="rounded-xl border px-3 py-2"
+          />
+          <button
+            onClick={unlock}
+            disabled={busy}
+            className="rounded-xl px-3 py-2 border hover:bg-slate-50 disabled:opacity-50"
+          >
+            Unlock
+          </button>
+          <button
+            onClick={cancel}
+            className="inline-flex items-center rounded-xl px-2 py-2 hover:bg-slate-50"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {backup && (
+        <div className="mt-3 rounded-xl border bg-slate-50 p-3">
+          <div className="mb-2">
+            Backup from{" "}
+            <span className="font-medium">
+              {new Date(backup.createdAt).toLocaleString()}
+            </span>
+            : {Object.keys(backup.settings).length} settings,{" "}
+            {backup.quotes.length} quotes.
+          </div>
+          <div className="flex flex-wrap gap-4 mb-2">
+            <label className="inline-flex items-center gap-2">
+              <input
+                type="radio"
+                checked={mode === "merge"}
+                onChange={() => setMode("merge")}
+              />
+              Merge into this device
+            </label>
+            <label className="inline-flex items-center gap-2">
+              <input
+                type="radio"
+                checked={mode === "replace"}
+                onChange={() => setMode("replace")}
+              />
+              Replace this device
+            </label>
+          </div>
+
+          {mode === "replace" ? (
+            <div className="text-slate-700">
+              All settings and saved quotes on this device are replaced by the
+              backup, including PINs and the catalog.
+            </div>
+          ) : (
+            <>
+              <div className="text-slate-700">
+                {plan.added.length} new quotes, {plan.same.length} already here,{" "}
+                {plan.conflicts.length} conflicting; {plan.newSettings.length}{" "}
+                settings this device doesn't have. Existing settings are kept.
+              </div>
+              {plan.conflicts.length > 0 && (
+                <table className="min-w-full mt-2">
+                  <thead>
+                    <tr className="text-left text-slate-600">
+                      <th className="py-1 pr-4">Saved</th>
+                      <th className="py-1 pr-4">This device</th>
+                      <th className="py-1 pr-4">Backup</th>
+                      <th className="py-1 pr-4">Keep</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plan.conflicts.map((c) => (
+                      <tr key={c.ts} className="border-t">
+                        <td className="py-1 pr-4 whitespace-nowrap">
+                          {new Date(c.ts).toLocaleString()}
+                        </td>
+                        <td className="py-1 pr-4">
+                          {quoteTitle(c.mine)} ({currency(c.mine.total)})
+                        </td>
+                        <td className="py-1 pr-4">
+                          {quoteTitle(c.theirs)} ({currency(c.theirs.total)})
+                        </td>
+                        <td className="py-1 pr-4">
+                          <select
+                            value={useBackup.has(c.ts) ? "backup" : "device"}
+                            onChange={(e) =>
+                              toggleSide(c.ts, e.target.value === "backup")
+                            }
+                            className="rounded-xl border px-2 py-1"
+                          >
+                            <option value="device">This device</option>
+                            <option value="backup">Backup</option>
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+
+          <div className="mt-3 flex gap-2">
+            <button
+              onClick={apply}
+              disabled={busy}
+              className="rounded-xl px-3 py-2 bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+            >
+              {mode === "replace" ? "Replace and reload" : "Merge and reload"}
+            </button>
+            <button
+              onClick={cancel}
+              className="rounded-xl px-3 py-2 border hover:bg-white"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
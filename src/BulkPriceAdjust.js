@@ -0,0 +1,254 @@
+import React, { useMemo, useState } from "react";
+import { TrendingUp } from "lucide-react";
+import { partFor } from "./inventory";
+import {
+  HOURS_ROUNDING,
+  PARTS_ROUNDING,
+  adjustCatalog,
+  describeAdjustment,
+  previewRows,
+} from "./priceAdjust";
+import { newLine, priceQuote } from "./pricing";
+import { currency } from "./utils";
+
+// Preview rows shown before "and N more".
+const PREVIEW_ROWS = 25;
+
+const EMPTY_ADJUST = {
+  parts: { on: false, mode: "percent", amount: "", rounding: "cent" },
+  labor: { on: false, mode: "percent", amount: "", rounding: "tenth" },
+};
+
+// Only enabled adjustments with a non-zero amount take part.
+function activeAdjustments(adjust) {
+  return Object.fromEntries(
+    Object.entries(adjust)
+      .filter(([, a]) => a.on && a.amount !== "" && Number(a.amount) !== 0)
+      .map(([k, { on, ...a }]) => [k, { ...a, amount: Number(a.amount) }])
+  );
+}
+
+/**
+ * Manager tool to raise or lower catalog parts costs and labor hours in bulk
+ * (whole catalog, a category or a search), with rounding and a preview of the
+ * customer price per repair at the standard rate before anything is applied.
+ * `onApply({ catalog, changes, description, scope })` commits it.
+ */
+export default function BulkPriceAdjust({
+  catalog,
+  categories,
+  parts,
+  rates,
+  onApply,
+}) {
+  const [scopeType, setScopeType] = useState("all");
+  const [scopeCategory, setScopeCategory] = useState(categories[0] || "");
+  const [scopeQuery, setScopeQuery] = useState("");
+  const [adjust, setAdjust] = useState(EMPTY_ADJUST);
+
+  const scopeText =
+    scopeType === "category"
+      ? scopeCategory
+      : scopeType === "search"
+      ? `search “${scopeQuery}”`
+      : "whole catalog";
+
+  const active = useMemo(() => activeAdjustments(adjust), [adjust]);
+
+  const result = useMemo(
+    () =>
+      Object.keys(active).length
+        ? adjustCatalog(
+            catalog,
+            { type: scopeType, category: scopeCategory, query: scopeQuery },
+            active
+          )
+        : null,
+    [catalog, scopeType, scopeCategory, scopeQuery, active]
+  );
+
+  const rows = useMemo(() => {
+    if (!result) return [];
+    const priceOf = (issue, category, option) =>
+      priceQuote(
+        [newLine(issue, category, option, partFor(parts, issue, option))],
+        rates
+      ).total;
+    return previewRows(catalog, result.catalog, result.changes, priceOf);
+  }, [catalog, result, parts, rates]);
+
+  function set(key, patch) {
+    setAdjust({ ...adjust, [key]: { ...adjust[key], ...patch } });
+  }
+
+  function apply() {
+    if (!result?.changes.length) return;
+    onApply({
+      catalog: result.catalog,
+      changes: result.changes,
+      description: describeAdjustment(active),
+      scope: scopeText,
+    });
+    setAdjust(EMPTY_ADJUST);
+  }
+
+  const adjustRow = (key, label, unit, rounding) => (
+    <div className="flex flex-wrap items-center gap-2">
+      <label className="inline-flex items-center gap-1 w-28">
+        <input
+          type="checkbox"
+          className="rounded"
+          checked={adjust[key].on}
+          onChange={(e) => set(key, { on: e.target.checked })}
+        />
+        {label}
+      </label>
+      <select
+        className="rounded-xl border px-2 py-1"
+        value={adjust[key].mode}
+        disabled={!adjust[key].on}
+        onChange={(e) => set(key, { mode: e.target.value })}
+        aria-label={`${label} adjustment`}
+      >
+        <option value="percent">%</option>
+        <option value="fixed">{unit}</option>
+      </select>
+      <input
+        type="number"
+        step="0.01"
+        placeholder="e.g. 5 or -2"
+        className="w-28 rounded-xl border px-2 py-1"
+        value={adjust[key].amount}
+        disabled={!adjust[key].on}
+        onChange={(e) => set(key, { amount: e.target.value })}
+        aria-label={`${label} amount`}
+      />
+      <select
+        className="rounded-xl border px-2 py-1"
+        value={adjust[key].rounding}
+        disabled={!adjust[key].on}
+        onChange={(e) => set(key, { rounding: e.target.value })}
+        aria-label={`${label} rounding`}
+      >
+        {rounding.map((r) => (
+          <option key={r.id} value={r.id}>
+            Round: {r.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="mt-2 rounded-xl border p-3 bg-white text-sm">
+      <div className="text-slate-600 mb-2 flex items-center gap-2">
+        <TrendingUp className="w-4 h-4" /> Bulk price adjustment
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <select
+          className="rounded-xl border px-2 py-1"
+          value={scopeType}
+          onChange={(e) => setScopeType(e.target.value)}
+          aria-label="Adjust which issues"
+        >
+          <option value="all">Whole catalog</option>
+          <option value="category">One category</option>
+          <option value="search">Search results</option>
+        </select>
+        {scopeType === "category" && (
+          <select
+            className="rounded-xl border px-2 py-1"
+            value={scopeCategory}
+            onChange={(e) => setScopeCategory(e.target.value)}
+          >
+            {categories.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+        )}
+        {scopeType === "search" && (
+          <input
+            placeholder="Search issues, SKU…"
+            className="rounded-xl border px-2 py-1 flex-1 min-w-[10rem]"
+            value={scopeQuery}
+            onChange={(e) => setScopeQuery(e.target.value)}
+          />
+        )}
+      </div>
+
+      <div className="space-y-2 mb-2">
+        {adjustRow("parts", "Parts cost", "$", PARTS_ROUNDING)}
+        {adjustRow("labor", "Labor hours", "h", HOURS_ROUNDING)}
+      </div>
+
+      {result && (
+        <div className="mt-2">
+          {result.changes.length === 0 ? (
+            <div className="text-slate-500">Nothing in scope would change.</div>
+          ) : (
+            <>
+              <div className="text-slate-600 mb-1">
+                {describeAdjustment(active)} · {scopeText}:{" "}
+                {result.changes.length} values on {rows.length} repairs.
+                Customer price at the standard rate:
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full">
+                  <thead>
+                    <tr className="text-left text-slate-600">
+                      <th className="py-1 pr-4">Repair</th>
+                      <th className="py-1 pr-4">Before</th>
+                      <th className="py-1 pr-4">After</th>
+                      <th className="py-1 pr-4">Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.slice(0, PREVIEW_ROWS).map((r) => (
+                      <tr key={r.key} className="border-t">
+                        <td className="py-1 pr-4">
+                          {r.issue}
+                          {r.option && ` (${r.option})`}
+                          <div className="text-xs text-slate-500">
+                            {r.category}
+                          </div>
+                        </td>
+                        <td className="py-1 pr-4">{currency(r.before)}</td>
+                        <td className="py-1 pr-4">{currency(r.after)}</td>
+                        <td
+                          className={`py-1 pr-4 ${
+                            r.after > r.before
+                              ? "text-red-700"
+                              : r.after < r.before
+                              ? "text-emerald-700"
+                              : ""
+                          }`}
+                        >
+                          {r.after >= r.before ? "+" : "−"}
+                          {currency(Math.abs(r.after - r.before))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {rows.length > PREVIEW_ROWS && (
+                <div className="text-xs text-slate-500">
+                  …and {rows.length - PREVIEW_ROWS} more.
+                </div>
+              )}
+              <button
+                onClick={apply}
+                className="mt-2 rounded-xl px-3 py-1 bg-emerald-600 text-white hover:bg-emerald-700"
+              >
+                Apply to {rows.length} repairs
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
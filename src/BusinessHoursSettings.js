@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { CalendarDays, Trash2 } from "lucide-react";
+import { DAY_NAMES } from "./schedule";
+
+/**
+ * Manager settings for the automatic after-hours rate:
+ * weekend days and a holiday calendar (business hours live in the main grid).
+ */
+export default function BusinessHoursSettings({
+  weekendDays,
+  setWeekendDays,
+  holidays,
+  setHolidays,
+}) {
+  const [date, setDate] = useState("");
+  const [name, setName] = useState("");
+
+  function toggleDay(d) {
+    setWeekendDays(
+      weekendDays.includes(d)
+        ? weekendDays.filter((x) => x !== d)
+        : [...weekendDays, d].sort()
+    );
+  }
+
+  function addHoliday() {
+    if (!date) return;
+    const rest = holidays.filter((h) => h.date !== date);
+    setHolidays(
+      [...rest, { date, name: name.trim() }].sort((a, b) =>
+        a.date.localeCompare(b.date)
+      )
+    );
+    setDate("");
+    setName("");
+  }
+
+  return (
+    <div className="mt-2 grid sm:grid-cols-2 gap-2 text-sm">
+      <div className="rounded-xl border p-3 bg-white">
+        <div className="text-slate-600 mb-2">Weekend days (after-hours)</div>
+        <div className="flex flex-wrap gap-3">
+          {DAY_NAMES.map((d, idx) => (
+            <label key={d} className="inline-flex items-center gap-1">
+              <input
+                type="checkbox"
+                className="rounded"
+                checked={weekendDays.includes(idx)}
+                onChange={() => toggleDay(idx)}
+              />
+              {d}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="rounded-xl border p-3 bg-white">
+        <div className="text-slate-600 mb-2 flex items-center gap-2">
+          <CalendarDays className="w-4 h-4" /> Holidays (after-hours all day)
+        </div>
+        <div className="flex flex-wrap gap-2 mb-2">
+          <input
+            type="date"
+            className="rounded-xl border px-3 py-1"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+          />
+          <input
+            placeholder="Name"
+            className="rounded-xl border px-3 py-1 flex-1"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <button
+            onClick={addHoliday}
+            className="rounded-xl px-3 py-1 border hover:bg-slate-50"
+          >
+            Add
+          </button>
+        </div>
+        {holidays.length === 0 ? (
+          <div className="text-slate-500">No holidays set.</div>
+        ) : (
+          <ul className="divide-y">
+            {holidays.map((h) => (
+              <li
+                key={h.date}
+                className="py-1 flex items-center justify-between gap-2"
+              >
+                <span>
+                  {h.date} {h.name && `– ${h.name}`}
+                </span>
+                <button
+                  onClick={() =>
+                    setHolidays(holidays.filter((x) => x.date !== h.date))
+                  }
+                  className="inline-flex items-center rounded-xl px-2 py-1 border hover:bg-slate-50"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
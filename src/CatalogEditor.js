@@ -0,0 +1,483 @@
+import React, { useState } from "react";
+import {
+  ArrowDown,
+  ArrowUp,
+  Copy,
+  Download,
+  PlusCircle,
+  Save,
+  Trash2,
+  X,
+} from "lucide-react";
+import { Control } from "./ui";
+import { NUMBER_FIELDS, validateCatalog } from "./catalog";
+import { downloadJSON } from "./utils";
+
+const FIELDS = [
+  { field: "id", label: "ID" },
+  { field: "issue", label: "Issue" },
+  { field: "symptoms", label: "Quick Symptoms", multiline: true },
+  { field: "cause", label: "Likely Cause/Parts", multiline: true },
+  { field: "diagnostics", label: "Diagnostic Notes", multiline: true },
+  { field: "suggested", label: "Suggested Line Item", multiline: true },
+  { field: "sku", label: "SKU" },
+  { field: "code", label: "Code" },
+  { field: "defaultLaborHrs", label: "Default Labor Hours" },
+  { field: "defaultPartsCost", label: "Default Parts Cost ($)" },
+  { field: "defaultQty", label: "Default Qty" },
+];
+
+const OPTION_FIELDS = [
+  { field: "name", label: "Option" },
+  { field: "suggested", label: "Suggested repair" },
+  { field: "sku", label: "SKU" },
+  { field: "defaultLaborHrs", label: "Hours" },
+  { field: "defaultPartsCost", label: "Parts ($)" },
+  { field: "defaultQty", label: "Qty" },
+];
+
+const TIER_NAMES = ["Good", "Better", "Best"];
+
+function move(list, from, to) {
+  if (to < 0 || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+// Category order is the object's key order, so reordering/renaming rebuilds it.
+function withCategories(catalog, names, renamed = {}) {
+  const next = {};
+  for (const name of names) next[renamed[name] ?? name] = catalog[name];
+  return next;
+}
+
+function uniqueId(catalog, base) {
+  const ids = new Set(
+    Object.values(catalog)
+      .flat()
+      .map((i) => i.id)
+  );
+  let id = base;
+  for (let n = 2; ids.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// Tiered options for one issue; blank numbers fall back to the issue defaults.
+function OptionsEditor({ options, onChange, btn }) {
+  function setOption(n, field, value) {
+    const v = NUMBER_FIELDS.includes(field)
+      ? value === ""
+        ? undefined
+        : Number(value)
+      : value;
+    onChange(options.map((o, i) => (i === n ? { ...o, [field]: v } : o)));
+  }
+
+  function addOption() {
+    const used = new Set(options.map((o) => o.name));
+    const name =
+      TIER_NAMES.find((t) => !used.has(t)) || `Option ${options.length + 1}`;
+    onChange([...options, { name }]);
+  }
+
+  return (
+    <div className="rounded-xl border p-2">
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-slate-600">Options (Good/Better/Best)</span>
+        <button className={btn} onClick={addOption}>
+          <PlusCircle className="w-4 h-4" /> Add
+        </button>
+      </div>
+      {options.map((o, n) => (
+        <div key={n} className="grid grid-cols-7 gap-1 items-end mb-1">
+          {OPTION_FIELDS.map(({ field, label }) => (
+            <div
+              key={field}
+              className={field === "suggested" ? "col-span-2" : ""}
+            >
+              <Control label={label}>
+                <input
+                  type={NUMBER_FIELDS.includes(field) ? "number" : "text"}
+                  step={NUMBER_FIELDS.includes(field) ? "0.1" : undefined}
+                  className="w-full rounded-xl border px-2 py-1"
+                  value={o[field] ?? ""}
+                  onChange={(e) => setOption(n, field, e.target.value)}
+                />
+              </Control>
+            </div>
+          ))}
+          <div className="col-span-7 flex gap-1 justify-end">
+            <button
+              className={btn}
+              onClick={() => onChange(move(options, n, n - 1))}
+            >
+              <ArrowUp className="w-4 h-4" />
+            </button>
+            <button
+              className={btn}
+              onClick={() => onChange(move(options, n, n + 1))}
+            >
+              <ArrowDown className="w-4 h-4" />
+            </button>
+            <button
+              className={btn}
+              onClick={() => onChange(options.filter((_, i) => i !== n))}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Manager-only catalog editor. Edits a draft copy; Save validates it and writes
+ * it back as a new catalog version, Export downloads the draft as JSON (with
+ * the diagnostic flows). Flows aren't edited here, but follow their category
+ * when it is renamed and go with it when it is deleted.
+ * `onSave(catalog, flows)` commits both.
+ */
+export default function CatalogEditor({
+  catalog,
+  flows = [],
+  onSave,
+  onClose,
+}) {
+  const [draft, setDraft] = useState(catalog);
+  const [draftFlows, setDraftFlows] = useState(flows);
+  const [cat, setCat] = useState(Object.keys(catalog)[0] || "");
+  const [idx, setIdx] = useState(0);
+  const [newCat, setNewCat] = useState("");
+  const [problems, setProblems] = useState([]);
+  const [dirty, setDirty] = useState(false);
+
+  const names = Object.keys(draft);
+  const rows = draft[cat] || [];
+  const item = rows[idx];
+
+  function update(next) {
+    setDraft(next);
+    setDirty(true);
+    setProblems([]);
+  }
+
+  function setRows(nextRows) {
+    update({ ...draft, [cat]: nextRows });
+  }
+
+  function setField(field, value) {
+    const v = NUMBER_FIELDS.includes(field)
+      ? value === ""
+        ? undefined
+        : Number(value)
+      : value;
+    setRows(rows.map((r, i) => (i === idx ? { ...r, [field]: v } : r)));
+  }
+
+  function addCategory() {
+    const name = newCat.trim();
+    if (!name || draft[name]) return;
+    update({ ...draft, [name]: [] });
+    setCat(name);
+    setIdx(0);
+    setNewCat("");
+  }
+
+  function renameCategory() {
+    const name = window.prompt("Rename category", cat)?.trim();
+    if (!name || name === cat || draft[name]) return;
+    update(withCategories(draft, names, { [cat]: name }));
+    setDraftFlows(
+      draftFlows.map((f) => (f.category === cat ? { ...f, category: name } : f))
+    );
+    setCat(name);
+  }
+
+  function deleteCategory() {
+    const catFlows = draftFlows.filter((f) => f.category === cat).length;
+    const what = catFlows
+      ? `its ${rows.length} issues and ${catFlows} diagnostic flows`
+      : `its ${rows.length} issues`;
+    if (!window.confirm(`Delete "${cat}" and ${what}?`)) return;
+    const rest = names.filter((n) => n !== cat);
+    update(withCategories(draft, rest));
+    setDraftFlows(draftFlows.filter((f) => f.category !== cat));
+    setCat(rest[0] || "");
+    setIdx(0);
+  }
+
+  function moveCategory(delta) {
+    const from = names.indexOf(cat);
+    update(withCategories(draft, move(names, from, from + delta)));
+  }
+
+  function addIssue() {
+    const id = uniqueId(draft, "new-issue");
+    setRows([
+      ...rows,
+      { id, issue: "New issue", defaultLaborHrs: 1, defaultQty: 1 },
+    ]);
+    setIdx(rows.length);
+  }
+
+  function duplicateIssue() {
+    const copy = {
+      ...item,
+      id: uniqueId(draft, `${item.id}-copy`),
+      issue: `${item.issue} (copy)`,
+    };
+    setRows([...rows.slice(0, idx + 1), copy, ...rows.slice(idx + 1)]);
+    setIdx(idx + 1);
+  }
+
+  function deleteIssue() {
+    setRows(rows.filter((_, i) => i !== idx));
+    setIdx(Math.max(0, idx - 1));
+  }
+
+  function moveIssue(delta) {
+    if (idx + delta < 0 || idx + delta >= rows.length) return;
+    setRows(move(rows, idx, idx + delta));
+    setIdx(idx + delta);
+  }
+
+  function moveIssueTo(target) {
+    if (target === cat) return;
+    update({
+      ...draft,
+      [cat]: rows.filter((_, i) => i !== idx),
+      [target]: [...draft[target], item],
+    });
+    setCat(target);
+    setIdx(draft[target].length);
+  }
+
+  function save() {
+    const { catalog: next, errors } = validateCatalog(draft);
+    if (errors.length) {
+      setProblems(errors);
+      return;
+    }
+    onSave(next, draftFlows);
+    setDraft(next);
+    setDirty(false);
+  }
+
+  const btn =
+    "inline-flex items-center gap-1 rounded-xl px-2 py-1 border hover:bg-slate-50 disabled:opacity-50";
+
+  return (
+    <section className="mb-4 bg-white rounded-2xl shadow p-3 sm:p-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-3">
+        <h3 className="font-semibold">
+          Catalog Editor {dirty && <span className="text-amber-700">•</span>}
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={save}
+            disabled={!dirty}
+            className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" /> Save catalog
+          </button>
+          <button
+            onClick={() =>
+              downloadJSON(
+                "hvac_catalog.json",
+                draftFlows.length
+                  ? { categories: draft, flows: draftFlows }
+                  : draft
+              )
+            }
+            className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50"
+          >
+            <Download className="w-4 h-4" /> Export JSON
+          </button>
+          <button
+            onClick={() => {
+              if (!dirty || window.confirm("Discard unsaved catalog edits?"))
+                onClose();
+            }}
+            className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50"
+          >
+            <X className="w-4 h-4" /> Close
+          </button>
+        </div>
+      </div>
+
+      {problems.length > 0 && (
+        <ul className="mb-3 text-sm text-red-700 list-disc pl-5">
+          {problems.slice(0, 20).map((p, i) => (
+            <li key={i}>
+              {p.category ? `${p.category}` : "Catalog"}
+              {p.row ? ` row ${p.row}` : ""}
+              {p.field ? ` (${p.field})` : ""}: {p.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid md:grid-cols-3 gap-3 text-sm">
+        {/* Categories */}
+        <div>
+          <div className="text-slate-600 mb-1">Categories</div>
+          <ul className="rounded-xl border divide-y mb-2 max-h-72 overflow-y-auto">
+            {names.map((n) => (
+              <li
+                key={n}
+                onClick={() => {
+                  setCat(n);
+                  setIdx(0);
+                }}
+                className={`px-2 py-1 cursor-pointer ${
+                  n === cat ? "bg-slate-100 font-medium" : ""
+                }`}
+              >
+                {n} <span className="text-slate-500">({draft[n].length})</span>
+              </li>
+            ))}
+          </ul>
+          <div className="flex flex-wrap gap-1 mb-2">
+            <button
+              className={btn}
+              disabled={!cat}
+              onClick={() => moveCategory(-1)}
+            >
+              <ArrowUp className="w-4 h-4" />
+            </button>
+            <button
+              className={btn}
+              disabled={!cat}
+              onClick={() => moveCategory(1)}
+            >
+              <ArrowDown className="w-4 h-4" />
+            </button>
+            <button className={btn} disabled={!cat} onClick={renameCategory}>
+              Rename
+            </button>
+            <button className={btn} disabled={!cat} onClick={deleteCategory}>
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="flex gap-1">
+            <input
+              placeholder="New category"
+              className="flex-1 rounded-xl border px-2 py-1"
+              value={newCat}
+              onChange={(e) => setNewCat(e.target.value)}
+            />
+            <button className={btn} onClick={addCategory}>
+              <PlusCircle className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {/* Issues in category */}
+        <div>
+          <div className="text-slate-600 mb-1">Issues in {cat || "—"}</div>
+          <ul className="rounded-xl border divide-y mb-2 max-h-72 overflow-y-auto">
+            {rows.map((r, i) => (
+              <li
+                key={`${r.id}-${i}`}
+                onClick={() => setIdx(i)}
+                className={`px-2 py-1 cursor-pointer ${
+                  i === idx ? "bg-slate-100 font-medium" : ""
+                }`}
+              >
+                {r.issue || <em className="text-slate-500">(unnamed)</em>}
+              </li>
+            ))}
+          </ul>
+          <div className="flex flex-wrap gap-1">
+            <button className={btn} disabled={!cat} onClick={addIssue}>
+              <PlusCircle className="w-4 h-4" /> Add
+            </button>
+            <button className={btn} disabled={!item} onClick={duplicateIssue}>
+              <Copy className="w-4 h-4" /> Duplicate
+            </button>
+            <button
+              className={btn}
+              disabled={!item}
+              onClick={() => moveIssue(-1)}
+            >
+              <ArrowUp className="w-4 h-4" />
+            </button>
+            <button
+              className={btn}
+              disabled={!item}
+              onClick={() => moveIssue(1)}
+            >
+              <ArrowDown className="w-4 h-4" />
+            </button>
+            <button className={btn} disabled={!item} onClick={deleteIssue}>
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {/* Issue fields */}
+        <div>
+          {item ? (
+            <div className="grid gap-2">
+              <Control label="Category">
+                <select
+                  className="w-full rounded-xl border px-3 py-2"
+                  value={cat}
+                  onChange={(e) => moveIssueTo(e.target.value)}
+                >
+                  {names.map((n) => (
+                    <option key={n}>{n}</option>
+                  ))}
+                </select>
+              </Control>
+              {FIELDS.map(({ field, label, multiline }) => (
+                <Control key={field} label={label}>
+                  {multiline ? (
+                    <textarea
+                      rows={2}
+                      className="w-full rounded-xl border px-3 py-2"
+                      value={item[field] ?? ""}
+                      onChange={(e) => setField(field, e.target.value)}
+                    />
+                  ) : (
+                    <input
+                      type={NUMBER_FIELDS.includes(field) ? "number" : "text"}
+                      step={NUMBER_FIELDS.includes(field) ? "0.1" : undefined}
+                      className="w-full rounded-xl border px-3 py-2"
+                      value={item[field] ?? ""}
+                      onChange={(e) => setField(field, e.target.value)}
+                    />
+                  )}
+                </Control>
+              ))}
+              <label className="inline-flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  className="rounded"
+                  checked={Boolean(item.taxExempt)}
+                  onChange={(e) =>
+                    setField("taxExempt", e.target.checked || undefined)
+                  }
+                />
+                Tax exempt (quote lines start untaxed)
+              </label>
+              <OptionsEditor
+                options={item.options || []}
+                onChange={(opts) =>
+                  setField("options", opts.length ? opts : undefined)
+                }
+                btn={btn}
+              />
+            </div>
+          ) : (
+            <div className="text-slate-500">Select or add an issue.</div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
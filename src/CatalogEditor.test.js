@@ -0,0 +1,68 @@
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import CatalogEditor from "./CatalogEditor";
+
+const catalog = {
+  Furnace: [{ id: "ig", issue: "Igniter", defaultLaborHrs: 1 }],
+  Cooling: [{ id: "cap", issue: "Capacitor", defaultLaborHrs: 1 }],
+};
+const flows = [
+  { id: "no-heat", category: "Furnace", start: "a", steps: {} },
+  { id: "no-cool", category: "Cooling", start: "a", steps: {} },
+];
+
+function button(text) {
+  return [...document.querySelectorAll("button")].find((b) =>
+    b.textContent.includes(text)
+  );
+}
+
+function click(el) {
+  act(() => el.dispatchEvent(new MouseEvent("click", { bubbles: true })));
+}
+
+let root;
+let onSave;
+beforeEach(() => {
+  onSave = jest.fn();
+  const div = document.createElement("div");
+  document.body.appendChild(div);
+  root = createRoot(div);
+  act(() =>
+    root.render(
+      <CatalogEditor
+        catalog={catalog}
+        flows={flows}
+        onSave={onSave}
+        onClose={() => {}}
+      />
+    )
+  );
+});
+afterEach(() => {
+  act(() => root.unmount());
+  document.body.innerHTML = "";
+  jest.restoreAllMocks();
+});
+
+test("renaming a category moves its diagnostic flows with it", () => {
+  jest.spyOn(window, "prompt").mockReturnValue("Gas Furnace");
+  click(button("Rename"));
+  click(button("Save catalog"));
+  const [saved, savedFlows] = onSave.mock.calls[0];
+  expect(Object.keys(saved)).toEqual(["Gas Furnace", "Cooling"]);
+  expect(savedFlows.map((f) => [f.id, f.category])).toEqual([
+    ["no-heat", "Gas Furnace"],
+    ["no-cool", "Cooling"],
+  ]);
+});
+
+test("deleting a category deletes its flows", () => {
+  const confirm = jest.spyOn(window, "confirm").mockReturnValue(true);
+  click(document.querySelector("button:has(svg.lucide-trash2)"));
+  expect(confirm.mock.calls[0][0]).toBe(
+    'Delete "Furnace" and its 1 issues and 1 diagnostic flows?'
+  );
+  click(button("Save catalog"));
+  expect(onSave.mock.calls[0][1].map((f) => f.id)).toEqual(["no-cool"]);
+});
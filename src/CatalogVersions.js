@@ -0,0 +1,65 @@
+import React from "react";
+import { History, RotateCcw } from "lucide-react";
+
+/**
+ * Manager view of recently applied catalog versions with one-click rollback.
+ */
+export default function CatalogVersions({
+  versions,
+  activeVersion,
+  onRestore,
+}) {
+  return (
+    <div className="mt-2 rounded-xl border p-3 bg-white text-sm">
+      <div className="text-slate-600 mb-2 flex items-center gap-2">
+        <History className="w-4 h-4" /> Catalog versions
+        <span className="text-slate-500">
+          (active: {activeVersion ? `v${activeVersion}` : "unversioned"})
+        </span>
+      </div>
+      {versions.length === 0 ? (
+        <div className="text-slate-500">
+          No versions yet. Each applied import is kept here for rollback.
+        </div>
+      ) : (
+        <table className="min-w-full">
+          <thead>
+            <tr className="text-left text-slate-600">
+              <th className="py-1 pr-4">Version</th>
+              <th className="py-1 pr-4">Applied</th>
+              <th className="py-1 pr-4">Source</th>
+              <th className="py-1 pr-4">Issues</th>
+              <th className="py-1 pr-4"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {versions.map((v) => (
+              <tr key={v.version} className="border-t">
+                <td className="py-1 pr-4 font-medium">v{v.version}</td>
+                <td className="py-1 pr-4 whitespace-nowrap">
+                  {new Date(v.appliedAt).toLocaleString()}
+                </td>
+                <td className="py-1 pr-4">
+                  {v.source} {v.mode && `(${v.mode})`}
+                </td>
+                <td className="py-1 pr-4">{v.issues}</td>
+                <td className="py-1 pr-4">
+                  {v.version === activeVersion ? (
+                    <span className="text-emerald-700">Active</span>
+                  ) : (
+                    <button
+                      onClick={() => onRestore(v)}
+                      className="inline-flex items-center gap-1 rounded-xl px-2 py-1 border hover:bg-slate-50"
+                    >
+                      <RotateCcw className="w-4 h-4" /> Roll back
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
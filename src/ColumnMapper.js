@@ -0,0 +1,121 @@
+import React from "react";
+import { Table2 } from "lucide-react";
+import { Control } from "./ui";
+import { CATALOG_COLUMNS } from "./spreadsheet";
+
+const PREVIEW_ROWS = 3;
+
+/**
+ * Spreadsheet import step 1: map spreadsheet headers to catalog fields.
+ * The mapped rows then go through the normal validation/preview step.
+ */
+export default function ColumnMapper({
+  fileName,
+  headers,
+  rows,
+  mapping,
+  setMapping,
+  defaultCategory,
+  setDefaultCategory,
+  onContinue,
+  onCancel,
+}) {
+  const cell = (r, field) =>
+    mapping[field] == null ? "" : String(r[mapping[field]] ?? "");
+
+  return (
+    <section className="mb-4 bg-white rounded-2xl shadow p-3 sm:p-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-3">
+        <div>
+          <h3 className="font-semibold flex items-center gap-2">
+            <Table2 className="w-4 h-4" /> Map columns: {fileName}
+          </h3>
+          <p className="text-sm text-slate-600">
+            {rows.length} data rows · {headers.length} columns
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={onContinue}
+            disabled={mapping.issue == null}
+            className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+          >
+            Continue
+          </button>
+          <button
+            onClick={onCancel}
+            className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-3">
+        {CATALOG_COLUMNS.map((col) => (
+          <Control key={col.field} label={col.label}>
+            <select
+              className="w-full rounded-xl border px-3 py-2"
+              value={mapping[col.field] ?? ""}
+              onChange={(e) => {
+                const next = { ...mapping };
+                if (e.target.value === "") delete next[col.field];
+                else next[col.field] = Number(e.target.value);
+                setMapping(next);
+              }}
+            >
+              <option value="">— not mapped —</option>
+              {headers.map((h, idx) => (
+                <option key={idx} value={idx}>
+                  {String(h ?? "") || `Column ${idx + 1}`}
+                </option>
+              ))}
+            </select>
+          </Control>
+        ))}
+        <Control label="Category when blank/unmapped">
+          <input
+            className="w-full rounded-xl border px-3 py-2"
+            value={defaultCategory}
+            onChange={(e) => setDefaultCategory(e.target.value)}
+          />
+        </Control>
+      </div>
+
+      {mapping.issue == null && (
+        <p className="mb-3 text-sm text-amber-700">
+          Map the Issue column to continue.
+        </p>
+      )}
+
+      <div className="overflow-x-auto rounded-xl border">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-600">
+              {CATALOG_COLUMNS.filter((c) => mapping[c.field] != null).map(
+                (c) => (
+                  <th key={c.field} className="py-1 px-2">
+                    {c.label}
+                  </th>
+                )
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, PREVIEW_ROWS).map((r, idx) => (
+              <tr key={idx} className="border-t">
+                {CATALOG_COLUMNS.filter((c) => mapping[c.field] != null).map(
+                  (c) => (
+                    <td key={c.field} className="py-1 px-2">
+                      {cell(r, c.field)}
+                    </td>
+                  )
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
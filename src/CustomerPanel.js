@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { ChevronDown, ChevronRight, UserRound } from "lucide-react";
+import { Control } from "./ui";
+import { CUSTOMER_FIELDS, EMPTY_CUSTOMER } from "./quotes";
+
+/**
+ * Customer, service address and equipment for the current quote.
+ * Collapsed it shows a one-line summary so the pricing stays in view on phones.
+ */
+export default function CustomerPanel({ customer, setCustomer }) {
+  const [open, setOpen] = useState(true);
+  const summary = [customer.name, customer.phone, customer.address]
+    .filter(Boolean)
+    .join(" · ");
+
+  return (
+    <div className="rounded-xl border p-3 mb-3">
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={() => setOpen(!open)}
+          className="font-semibold flex items-center gap-2 text-left"
+        >
+          {open ? (
+            <ChevronDown className="w-4 h-4" />
+          ) : (
+            <ChevronRight className="w-4 h-4" />
+          )}
+          <UserRound className="w-4 h-4" /> Customer & Job
+          {!open && summary && (
+            <span className="font-normal text-sm text-slate-600">
+              {summary}
+            </span>
+          )}
+        </button>
+        {open && (
+          <button
+            onClick={() => setCustomer(EMPTY_CUSTOMER)}
+            className="text-sm rounded-xl px-2 py-1 border hover:bg-slate-50"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="mt-2 grid grid-cols-2 sm:grid-cols-3 gap-2">
+          {CUSTOMER_FIELDS.map((f) => (
+            <div
+              key={f.key}
+              className={
+                f.key === "notes" || f.key === "address"
+                  ? "col-span-2 sm:col-span-3"
+                  : ""
+              }
+            >
+              <Control label={f.label}>
+                {f.key === "notes" ? (
+                  <textarea
+                    rows={2}
+                    className="w-full rounded-xl border px-3 py-2"
+                    value={customer[f.key] || ""}
+                    onChange={(e) =>
+                      setCustomer({ ...customer, [f.key]: e.target.value })
+                    }
+                  />
+                ) : (
+                  <input
+                    type={
+                      f.key === "email"
+                        ? "email"
+                        : f.key === "phone"
+                        ? "tel"
+                        : "text"
+                    }
+                    className="w-full rounded-xl border px-3 py-2"
+                    value={customer[f.key] || ""}
+                    onChange={(e) =>
+                      setCustomer({ ...customer, [f.key]: e.target.value })
+                    }
+                  />
+                )}
+              </Control>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
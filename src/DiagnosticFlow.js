@@ -0,0 +1,186 @@
+import React, { useState } from "react";
+import { ArrowLeft, ChevronRight, RotateCcw, X } from "lucide-react";
+
+// Answer of a measurement step covering `reading` (min inclusive, max exclusive).
+function answerForReading(step, reading) {
+  return step.answers.find(
+    (a) =>
+      (a.min == null || reading >= a.min) && (a.max == null || reading < a.max)
+  );
+}
+
+/**
+ * Walks one diagnostic flow (see catalog.js) a step at a time, sized for a
+ * phone: big answer buttons, Back/Start over, and a measurement box for steps
+ * with a `unit`. Ends on the likely issue(s); `onPick(id, category)` preselects
+ * one for pricing.
+ */
+export default function DiagnosticFlow({ flow, catalog, onPick, onClose }) {
+  const [trail, setTrail] = useState([]); // [{ stepId, answer, reading? }]
+  const [reading, setReading] = useState("");
+  const [readingMiss, setReadingMiss] = useState(false);
+
+  const last = trail[trail.length - 1];
+  const result = last?.answer.issues;
+  const stepId = last ? last.answer.next : flow.start;
+  const step = result ? null : flow.steps[stepId];
+
+  const goTo = (next) => {
+    setTrail(next);
+    setReading("");
+    setReadingMiss(false);
+  };
+
+  const choose = (answer, value) =>
+    goTo([...trail, { stepId, answer, reading: value }]);
+
+  const submitReading = () => {
+    const value = Number(reading);
+    if (reading.trim() === "" || !Number.isFinite(value)) return;
+    const answer = answerForReading(step, value);
+    if (answer) choose(answer, value);
+    else setReadingMiss(true);
+  };
+
+  const byId = new Map(
+    Object.entries(catalog).flatMap(([category, rows]) =>
+      rows.map((issue) => [issue.id, { issue, category }])
+    )
+  );
+
+  return (
+    <div className="rounded-xl border p-3 bg-slate-50">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <div className="font-medium">{flow.title || flow.category}</div>
+        <button
+          onClick={onClose}
+          title="Close"
+          className="inline-flex items-center rounded-xl px-2 py-1 hover:bg-white"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {trail.length > 0 && (
+        <ol className="mb-3 text-sm text-slate-600 space-y-1">
+          {trail.map((t, n) => (
+            <li key={n}>
+              {flow.steps[t.stepId]?.question}{" "}
+              <span className="font-medium text-slate-800">
+                {t.reading != null
+                  ? `${t.reading} ${flow.steps[t.stepId]?.unit} (${
+                      t.answer.label
+                    })`
+                  : t.answer.label}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {step && (
+        <div className="space-y-2">
+          <div className="text-lg font-semibold">{step.question}</div>
+          {step.hint && (
+            <div className="text-sm text-slate-600">{step.hint}</div>
+          )}
+          {step.unit && (
+            <div className="flex gap-2">
+              <input
+                type="number"
+                inputMode="decimal"
+                value={reading}
+                onChange={(e) => {
+                  setReading(e.target.value);
+                  setReadingMiss(false);
+                }}
+                onKeyDown={(e) => e.key === "Enter" && submitReading()}
+                placeholder={`Reading (${step.unit})`}
+                className="flex-1 rounded-xl border px-3 py-3 text-lg"
+              />
+              <button
+                onClick={submitReading}
+                className="rounded-xl px-4 py-3 bg-emerald-600 text-white hover:bg-emerald-700"
+              >
+                Next
+              </button>
+            </div>
+          )}
+          {readingMiss && (
+            <div className="text-sm text-amber-800">
+              No answer covers {reading} {step.unit}; pick the closest below.
+            </div>
+          )}
+          {step.answers.map((a) => (
+            <button
+              key={a.label}
+              onClick={() => choose(a)}
+              className="w-full flex items-center justify-between gap-2 rounded-xl border bg-white px-4 py-3 text-left hover:bg-slate-100"
+            >
+              {a.label}
+              <ChevronRight className="w-4 h-4 text-slate-400" />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {result && (
+        <div className="space-y-2">
+          <div className="text-lg font-semibold">
+            Likely {result.length > 1 ? "issues" : "issue"}
+          </div>
+          {result.map((id) => {
+            const hit = byId.get(id);
+            if (!hit) {
+              return (
+                <div key={id} className="text-sm text-slate-500">
+                  “{id}” is not in the current catalog.
+                </div>
+              );
+            }
+            return (
+              <div key={id} className="rounded-xl border bg-white p-3">
+                <div className="font-medium">{hit.issue.issue}</div>
+                <div className="text-sm text-slate-600">{hit.category}</div>
+                {hit.issue.symptoms && (
+                  <div className="text-sm text-slate-600">
+                    {hit.issue.symptoms}
+                  </div>
+                )}
+                <button
+                  onClick={() => onPick(id, hit.category)}
+                  className="mt-2 w-full rounded-xl px-4 py-3 bg-emerald-600 text-white hover:bg-emerald-700"
+                >
+                  Price this repair
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {!step && !result && (
+        <div className="text-sm text-red-700">
+          This flow points to a missing step “{stepId}”.
+        </div>
+      )}
+
+      {trail.length > 0 && (
+        <div className="mt-3 flex gap-2">
+          <button
+            onClick={() => goTo(trail.slice(0, -1))}
+            className="inline-flex items-center gap-1 rounded-xl px-3 py-2 border bg-white hover:bg-slate-100"
+          >
+            <ArrowLeft className="w-4 h-4" /> Back
+          </button>
+          <button
+            onClick={() => goTo([])}
+            className="inline-flex items-center gap-1 rounded-xl px-3 py-2 border bg-white hover:bg-slate-100"
+          >
+            <RotateCcw className="w-4 h-4" /> Start over
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import React from "react";
+import { lineTitle } from "./pricing";
+import { currency } from "./utils";
+
+export const DEFAULT_TERMS =
+  "This estimate is valid for 30 days. Prices are flat-rate per repair and include labor and parts. Payment is due upon completion of work.";
+
+/**
+ * Customer-facing estimate/invoice. Shows flat-rate prices per line only
+ * (no hours, rates or markup) plus the trip/tax/total breakdown from `calc`.
+ */
+export default function EstimateDocument({
+  company,
+  customer,
+  docType,
+  date,
+  calc,
+  taxText,
+}) {
+  const title = docType === "invoice" ? "Invoice" : "Estimate";
+
+  return (
+    <div className="estimate-doc bg-white text-slate-900 p-8 text-sm">
+      <div className="flex items-start justify-between gap-6 border-b pb-4 mb-4">
+        <div className="flex items-start gap-4">
+          {company.logo && (
+            <img
+              src={company.logo}
+              alt=""
+              className="h-16 w-auto object-contain"
+            />
+          )}
+          <div>
+            <div className="text-xl font-semibold">
+              {company.name || "Your Company"}
+            </div>
+            <div className="whitespace-pre-line text-slate-600">
+              {company.address}
+            </div>
+            <div className="text-slate-600">
+              {[company.phone, company.email].filter(Boolean).join(" · ")}
+            </div>
+            {company.license && (
+              <div className="text-slate-600">Lic. {company.license}</div>
+            )}
+          </div>
+        </div>
+        <div className="text-right">
+          <div className="text-2xl font-semibold uppercase tracking-wider">
+            {title}
+          </div>
+          {customer.jobNumber && <div>Job # {customer.jobNumber}</div>}
+          <div>{date}</div>
+        </div>
+      </div>
+
+      <div className="mb-4">
+        <div className="text-xs uppercase tracking-wider text-slate-500">
+          Prepared for
+        </div>
+        <div className="font-medium">{customer.name || "—"}</div>
+        <div className="whitespace-pre-line">{customer.address}</div>
+      </div>
+
+      <table className="w-full mb-4">
+        <thead>
+          <tr className="text-left border-b">
+            <th className="py-2 pr-4">Description</th>
+            <th className="py-2 text-right">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {calc.lines.map((l) => (
+            <tr key={l.key} className="border-b align-top">
+              <td className="py-2 pr-4">
+                <div className="font-medium">{lineTitle(l)}</div>
+                {l.suggested && (
+                  <div className="text-slate-600">{l.suggested}</div>
+                )}
+              </td>
+              <td className="py-2 text-right whitespace-nowrap">
+                {currency(l.total)}
+              </td>
+            </tr>
+          ))}
+          {calc.tripFee > 0 && (
+            <tr className="border-b">
+              <td className="py-2 pr-4">Service call / trip charge</td>
+              <td className="py-2 text-right">{currency(calc.tripFee)}</td>
+            </tr>
+          )}
+          {calc.plan?.waiveTripFee && calc.lines.length > 0 && (
+            <tr className="border-b">
+              <td className="py-2 pr-4">Service call / trip charge</td>
+              <td className="py-2 text-right">Waived</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <div className="flex justify-end mb-6">
+        <table className="w-64">
+          <tbody>
+            <tr>
+              <td className="py-1">Subtotal</td>
+              <td className="py-1 text-right">{currency(calc.subtotal)}</td>
+            </tr>
+            <tr>
+              <td className="py-1">Tax ({taxText})</td>
+              <td className="py-1 text-right">{currency(calc.tax)}</td>
+            </tr>
+            <tr className="border-t font-semibold text-base">
+              <td className="py-1">Total</td>
+              <td className="py-1 text-right">{currency(calc.total)}</td>
+            </tr>
+            {calc.plan && (
+              <>
+                <tr className="text-slate-500">
+                  <td className="py-1">Regular price</td>
+                  <td className="py-1 text-right">
+                    {currency(calc.regularTotal)}
+                  </td>
+                </tr>
+                <tr className="font-semibold text-emerald-700">
+                  <td className="py-1">You save ({calc.plan.name})</td>
+                  <td className="py-1 text-right">{currency(calc.savings)}</td>
+                </tr>
+              </>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mb-8">
+        <div className="text-xs uppercase tracking-wider text-slate-500 mb-1">
+          Terms
+        </div>
+        <div className="whitespace-pre-line text-slate-700">
+          {company.terms || DEFAULT_TERMS}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-8 pt-8">
+        <div>
+          <div className="border-b border-slate-400 h-10" />
+          <div className="text-xs text-slate-500 mt-1">Customer signature</div>
+        </div>
+        <div>
+          <div className="border-b border-slate-400 h-10" />
+          <div className="text-xs text-slate-500 mt-1">Date</div>
+        </div>
+      </div>
+    </div>
+  );
+}
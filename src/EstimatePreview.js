@@ -0,0 +1,162 @@
+import React, { useState } from "react";
+import { FileDown, Printer, X } from "lucide-react";
+import EstimateDocument from "./EstimateDocument";
+import { saveEstimatePdf } from "./estimatePdf";
+import { Control } from "./ui";
+
+const MAX_LOGO_BYTES = 200 * 1024;
+
+/**
+ * On-screen preview of the customer estimate/invoice with print and PDF actions.
+ * Printing uses the hidden `.print-only` copy of EstimateDocument rendered by App.
+ */
+export default function EstimatePreview({
+  company,
+  setCompany,
+  canEditCompany,
+  customer,
+  setCustomer,
+  docType,
+  setDocType,
+  date,
+  calc,
+  taxText,
+  onClose,
+}) {
+  const [showCompany, setShowCompany] = useState(false);
+  const [error, setError] = useState("");
+  const docProps = { company, customer, docType, date, calc, taxText };
+
+  function handleLogo(file) {
+    if (file.size > MAX_LOGO_BYTES) {
+      setError("Logo must be under 200 KB.");
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      setCompany({ ...company, logo: reader.result });
+      setError("");
+    };
+    reader.readAsDataURL(file);
+  }
+
+  async function savePdf() {
+    try {
+      await saveEstimatePdf(docProps);
+    } catch (e) {
+      setError(`Could not create PDF: ${e.message}`);
+    }
+  }
+
+  const field = (obj, set, key, label, multiline) => (
+    <Control key={key} label={label}>
+      {multiline ? (
+        <textarea
+          rows={2}
+          className="w-full rounded-xl border px-3 py-2"
+          value={obj[key] || ""}
+          onChange={(e) => set({ ...obj, [key]: e.target.value })}
+        />
+      ) : (
+        <input
+          className="w-full rounded-xl border px-3 py-2"
+          value={obj[key] || ""}
+          onChange={(e) => set({ ...obj, [key]: e.target.value })}
+        />
+      )}
+    </Control>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/50 overflow-y-auto p-2 sm:p-6">
+      <div className="mx-auto max-w-4xl bg-slate-50 rounded-2xl shadow p-3 sm:p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <div className="flex items-center gap-2">
+            <select
+              className="rounded-xl border px-3 py-2"
+              value={docType}
+              onChange={(e) => setDocType(e.target.value)}
+            >
+              <option value="estimate">Estimate</option>
+              <option value="invoice">Invoice</option>
+            </select>
+            {canEditCompany && (
+              <button
+                onClick={() => setShowCompany(!showCompany)}
+                className="rounded-2xl px-3 py-2 bg-white border hover:bg-slate-50"
+              >
+                Company & terms
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => window.print()}
+              className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-emerald-600 text-white hover:bg-emerald-700"
+            >
+              <Printer className="w-4 h-4" /> Print
+            </button>
+            <button
+              onClick={savePdf}
+              className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50"
+            >
+              <FileDown className="w-4 h-4" /> Save PDF
+            </button>
+            <button
+              onClick={onClose}
+              className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50"
+            >
+              <X className="w-4 h-4" /> Close
+            </button>
+          </div>
+        </div>
+
+        {error && <p className="mb-2 text-sm text-red-700">{error}</p>}
+
+        <div className="grid sm:grid-cols-3 gap-2 mb-3">
+          {field(customer, setCustomer, "name", "Customer name")}
+          {field(customer, setCustomer, "address", "Service address")}
+          {field(customer, setCustomer, "jobNumber", "Job #")}
+        </div>
+
+        {showCompany && canEditCompany && (
+          <div className="grid sm:grid-cols-3 gap-2 mb-3 rounded-xl border bg-white p-3">
+            {field(company, setCompany, "name", "Company name")}
+            {field(company, setCompany, "phone", "Phone")}
+            {field(company, setCompany, "email", "Email")}
+            {field(company, setCompany, "address", "Address", true)}
+            {field(company, setCompany, "license", "License #")}
+            <Control label="Logo (PNG/JPG)">
+              <div className="flex items-center gap-2">
+                <input
+                  type="file"
+                  accept="image/png,image/jpeg"
+                  className="text-xs"
+                  onChange={(e) => {
+                    const f = e.target.files?.[0];
+                    if (f) handleLogo(f);
+                  }}
+                />
+                {company.logo && (
+                  <button
+                    onClick={() => setCompany({ ...company, logo: "" })}
+                    className="text-xs underline"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </Control>
+            <div className="sm:col-span-3">
+              {field(company, setCompany, "terms", "Terms", true)}
+            </div>
+          </div>
+        )}
+
+        <div className="rounded-xl border shadow-sm overflow-hidden">
+          <EstimateDocument {...docProps} />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+import React from "react";
+import { AlertTriangle, CheckCircle2, XCircle } from "lucide-react";
+
+const MAX_ROWS = 50;
+
+/**
+ * Validation report + preview for a pending catalog import.
+ * Apply stays disabled while the file has errors, so a broken file never
+ * replaces the working catalog. `diff` compares the current catalog with what
+ * Apply would produce in the chosen mode ("replace" | "merge").
+ */
+export default function ImportReport({
+  fileName,
+  result,
+  mode,
+  setMode,
+  diff,
+  onApply,
+  onCancel,
+}) {
+  const { catalog, errors, warnings, stats } = result;
+  const ok = errors.length === 0;
+
+  return (
+    <section className="mb-4 bg-white rounded-2xl shadow p-3 sm:p-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-3">
+        <div>
+          <h3 className="font-semibold flex items-center gap-2">
+            {ok ? (
+              <CheckCircle2 className="w-4 h-4 text-emerald-600" />
+            ) : (
+              <XCircle className="w-4 h-4 text-red-600" />
+            )}
+            Import preview: {fileName}
+          </h3>
+          <p className="text-sm text-slate-600">
+            {stats.categories} categories · {stats.issues} issues ·{" "}
+            {stats.flows > 0 && `${stats.flows} diagnostic flows · `}
+            {errors.length} errors · {warnings.length} warnings
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={onApply}
+            disabled={!ok}
+            className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+          >
+            Apply catalog
+          </button>
+          <button
+            onClick={onCancel}
+            className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+
+      {!ok && (
+        <p className="mb-3 text-sm text-red-700">
+          Fix the errors below and import again. Your current catalog has not
+          been changed.
+        </p>
+      )}
+
+      <ProblemTable title="Errors" rows={errors} tone="red" />
+      <ProblemTable title="Warnings" rows={warnings} tone="amber" />
+
+      {ok && (
+        <div className="mb-3">
+          <div className="flex flex-wrap items-center gap-4 text-sm mb-2">
+            <label className="inline-flex items-center gap-1">
+              <input
+                type="radio"
+                checked={mode === "replace"}
+                onChange={() => setMode("replace")}
+              />
+              Replace catalog
+            </label>
+            <label className="inline-flex items-center gap-1">
+              <input
+                type="radio"
+                checked={mode === "merge"}
+                onChange={() => setMode("merge")}
+              />
+              Merge by issue id (keep issues not in this file)
+            </label>
+          </div>
+          <div className="grid sm:grid-cols-3 gap-2 text-sm">
+            <DiffList
+              title="Added"
+              tone="text-emerald-700"
+              rows={diff.added}
+              render={(d) => `${d.item.issue} (${d.category})`}
+            />
+            <DiffList
+              title="Changed"
+              tone="text-amber-700"
+              rows={diff.changed}
+              render={(d) =>
+                `${d.item.issue}: ${d.fields
+                  .map((f) => (f === "category" ? `moved from ${d.from}` : f))
+                  .join(", ")}`
+              }
+            />
+            <DiffList
+              title="Removed"
+              tone="text-red-700"
+              rows={diff.removed}
+              render={(d) => `${d.item.issue} (${d.category})`}
+            />
+          </div>
+        </div>
+      )}
+
+      {ok && (
+        <div className="grid sm:grid-cols-2 gap-2 text-sm">
+          {Object.keys(catalog).map((c) => (
+            <div key={c} className="rounded-xl border p-2 bg-slate-50">
+              <div className="font-medium">
+                {c}{" "}
+                <span className="text-slate-500">
+                  ({catalog[c].length} issues)
+                </span>
+              </div>
+              <div className="text-slate-600">
+                {catalog[c]
+                  .slice(0, 3)
+                  .map((i) => i.issue)
+                  .join(", ")}
+                {catalog[c].length > 3 ? ", …" : ""}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+function DiffList({ title, tone, rows, render }) {
+  return (
+    <div className="rounded-xl border p-2 bg-slate-50">
+      <div className={`font-medium ${tone}`}>
+        {title} ({rows.length})
+      </div>
+      <ul className="max-h-40 overflow-y-auto text-slate-700">
+        {rows.slice(0, MAX_ROWS).map((d) => (
+          <li key={d.item.id}>{render(d)}</li>
+        ))}
+      </ul>
+      {rows.length > MAX_ROWS && (
+        <div className="text-xs text-slate-500">
+          …and {rows.length - MAX_ROWS} more
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ProblemTable({ title, rows, tone }) {
+  if (rows.length === 0) return null;
+  return (
+    <div className="mb-3">
+      <div
+        className={`text-sm font-medium mb-1 flex items-center gap-1 ${
+          tone === "red" ? "text-red-700" : "text-amber-700"
+        }`}
+      >
+        <AlertTriangle className="w-4 h-4" /> {title}
+      </div>
+      <div className="overflow-x-auto max-h-60 overflow-y-auto rounded-xl border">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-600">
+              <th className="py-1 px-2">Category</th>
+              <th className="py-1 px-2">Row</th>
+              <th className="py-1 px-2">Field</th>
+              <th className="py-1 px-2">Problem</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, MAX_ROWS).map((p, idx) => (
+              <tr key={idx} className="border-t">
+                <td className="py-1 px-2">{p.category ?? "—"}</td>
+                <td className="py-1 px-2">{p.row ?? "—"}</td>
+                <td className="py-1 px-2">{p.field ?? "—"}</td>
+                <td className="py-1 px-2">{p.message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {rows.length > MAX_ROWS && (
+        <div className="text-xs text-slate-500 mt-1">
+          Showing first {MAX_ROWS} of {rows.length}.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from "react";
+import { Pause, Play, Square } from "lucide-react";
+import { elapsedMs, formatElapsed, timerState } from "./timeTracking";
+
+const btn =
+  "inline-flex items-center gap-1 rounded-xl px-2 py-1 border hover:bg-slate-50";
+
+/**
+ * Time-on-job clock for a saved quote with Start/Pause/Stop; shows the actual
+ * hours next to the quoted (flat-rate) hours once stopped. `onTimer(quote,
+ * action)` records "start" | "pause" | "stop".
+ */
+export default function JobTimer({ quote, bookHrs, onTimer }) {
+  const state = timerState(quote);
+  const [, setTick] = useState(0); // re-render each second while running
+
+  useEffect(() => {
+    if (state !== "running") return undefined;
+    const t = setInterval(() => setTick((n) => n + 1), 1000);
+    return () => clearInterval(t);
+  }, [state]);
+
+  return (
+    <div className="flex flex-col gap-1">
+      {state !== "idle" && (
+        <div
+          className={`font-mono ${
+            state === "running" ? "text-emerald-700" : "text-slate-700"
+          }`}
+        >
+          {formatElapsed(elapsedMs(quote))}
+        </div>
+      )}
+      {state === "stopped" && (
+        <div className="text-xs text-slate-500">
+          {quote.actualHrs} h actual vs {bookHrs} h book
+        </div>
+      )}
+      <div className="flex gap-1">
+        {state !== "running" && (
+          <button onClick={() => onTimer(quote, "start")} className={btn}>
+            <Play className="w-4 h-4" />
+            {state === "idle" ? "Start" : "Resume"}
+          </button>
+        )}
+        {state === "running" && (
+          <button onClick={() => onTimer(quote, "pause")} className={btn}>
+            <Pause className="w-4 h-4" /> Pause
+          </button>
+        )}
+        {(state === "running" || state === "paused") && (
+          <button onClick={() => onTimer(quote, "stop")} className={btn}>
+            <Square className="w-4 h-4" /> Stop
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
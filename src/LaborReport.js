@@ -0,0 +1,94 @@
+import React, { useMemo } from "react";
+import { Timer } from "lucide-react";
+import { laborReport } from "./timeTracking";
+
+// Fewer timed jobs than this and the median is flagged as a thin sample.
+const MIN_JOBS = 3;
+
+const hrs = (n) => (n == null ? "—" : n.toFixed(2));
+
+/**
+ * Manager report of timed jobs: actual vs book hours per catalog issue/option,
+ * with one click to set the book hours to the median actual (0.1 h steps).
+ */
+export default function LaborReport({ saved, catalog, onAdjust }) {
+  const report = useMemo(() => laborReport(saved, catalog), [saved, catalog]);
+
+  return (
+    <div className="mt-2 rounded-xl border p-3 bg-white text-sm">
+      <div className="text-slate-600 mb-2 flex items-center gap-2">
+        <Timer className="w-4 h-4" /> Actual vs book labor
+      </div>
+      {report.length === 0 ? (
+        <div className="text-slate-500">
+          No timed jobs yet. Use the job timer on saved quotes; stopped jobs
+          show up here.
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead>
+              <tr className="text-left text-slate-600">
+                <th className="py-1 pr-4">Issue</th>
+                <th className="py-1 pr-4">Jobs</th>
+                <th className="py-1 pr-4">Book h</th>
+                <th className="py-1 pr-4">Avg actual</th>
+                <th className="py-1 pr-4">Median</th>
+                <th className="py-1 pr-4">Variance</th>
+                <th className="py-1 pr-4">Avg vs book</th>
+                <th className="py-1 pr-4"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.map((r) => {
+                const target = Math.round(r.median * 10) / 10;
+                return (
+                  <tr key={`${r.issueId}|${r.option}`} className="border-t">
+                    <td className="py-1 pr-4">
+                      {r.issue}
+                      {r.option && ` (${r.option})`}
+                      <div className="text-xs text-slate-500">{r.category}</div>
+                    </td>
+                    <td className="py-1 pr-4">
+                      {r.jobs}
+                      {r.jobs < MIN_JOBS && (
+                        <span className="text-xs text-amber-700"> few</span>
+                      )}
+                    </td>
+                    <td className="py-1 pr-4">{hrs(r.book)}</td>
+                    <td className="py-1 pr-4">{hrs(r.mean)}</td>
+                    <td className="py-1 pr-4">{hrs(r.median)}</td>
+                    <td className="py-1 pr-4">{hrs(r.variance)}</td>
+                    <td
+                      className={`py-1 pr-4 ${
+                        r.diff > 0
+                          ? "text-red-700"
+                          : r.diff < 0
+                          ? "text-emerald-700"
+                          : ""
+                      }`}
+                    >
+                      {r.diff == null
+                        ? "—"
+                        : `${r.diff > 0 ? "+" : ""}${r.diff.toFixed(2)}`}
+                    </td>
+                    <td className="py-1 pr-4 whitespace-nowrap">
+                      {target > 0 && target !== r.book && (
+                        <button
+                          onClick={() => onAdjust(r.issueId, r.option, target)}
+                          className="rounded-xl px-2 py-1 border hover:bg-slate-50"
+                        >
+                          Set book to {target} h
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+import { Layers, Trash2 } from "lucide-react";
+import { sortTiers, tierLabel } from "./pricing";
+
+/**
+ * Manager settings for the sliding parts markup: cost brackets with a markup
+ * each, shop-wide or overridden per category. Blank "up to" is the top bracket.
+ */
+export default function MarkupMatrix({ matrix, setMatrix, categories }) {
+  const [scope, setScope] = useState("");
+  const [upTo, setUpTo] = useState("");
+  const [pct, setPct] = useState("");
+
+  const tiers = scope ? matrix.categories[scope] || [] : matrix.tiers;
+
+  function setTiers(next) {
+    const sorted = sortTiers(next);
+    if (!scope) {
+      setMatrix({ ...matrix, tiers: sorted });
+      return;
+    }
+    const { [scope]: _, ...rest } = matrix.categories;
+    setMatrix({
+      ...matrix,
+      categories: sorted.length ? { ...rest, [scope]: sorted } : rest,
+    });
+  }
+
+  function addTier() {
+    if (pct === "") return;
+    const bound = upTo === "" ? null : Number(upTo);
+    setTiers([
+      ...tiers.filter((t) => t.upTo !== bound),
+      { upTo: bound, pct: Number(pct) },
+    ]);
+    setUpTo("");
+    setPct("");
+  }
+
+  const overridden = Object.keys(matrix.categories);
+
+  return (
+    <div className="mt-2 rounded-xl border p-3 bg-white text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="text-slate-600 flex items-center gap-2">
+          <Layers className="w-4 h-4" /> Parts markup tiers (by unit cost)
+        </div>
+        <select
+          className="rounded-xl border px-3 py-1"
+          value={scope}
+          onChange={(e) => setScope(e.target.value)}
+        >
+          <option value="">All categories</option>
+          {categories.map((c) => (
+            <option key={c} value={c}>
+              {c}
+              {overridden.includes(c) ? " (override)" : ""}
+            </option>
+          ))}
+        </select>
+      </div>
+      {tiers.length === 0 ? (
+        <div className="text-slate-500 mb-2">
+          {scope
+            ? "No override; shop-wide tiers apply."
+            : "No tiers; the flat parts markup applies."}
+        </div>
+      ) : (
+        <ul className="divide-y mb-2">
+          {tiers.map((t, idx) => (
+            <li
+              key={t.upTo ?? "top"}
+              className="py-1 flex items-center justify-between gap-2"
+            >
+              <span>
+                {tierLabel(tiers, idx)}: {t.pct}%
+              </span>
+              <button
+                onClick={() => setTiers(tiers.filter((x) => x !== t))}
+                className="inline-flex items-center rounded-xl px-2 py-1 border hover:bg-slate-50"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="number"
+          min="0"
+          placeholder="Up to $ (blank = and up)"
+          className="rounded-xl border px-3 py-1 w-48"
+          value={upTo}
+          onChange={(e) => setUpTo(e.target.value)}
+        />
+        <input
+          type="number"
+          min="0"
+          placeholder="Markup %"
+          className="rounded-xl border px-3 py-1 w-28"
+          value={pct}
+          onChange={(e) => setPct(e.target.value)}
+        />
+        <button
+          onClick={addTier}
+          className="rounded-xl px-3 py-1 border hover:bg-slate-50"
+        >
+          Add tier
+        </button>
+        {scope && tiers.length > 0 && (
+          <button
+            onClick={() => setTiers([])}
+            className="rounded-xl px-3 py-1 border hover:bg-slate-50"
+          >
+            Clear override
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
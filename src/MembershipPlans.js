@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import { BadgePercent, Trash2 } from "lucide-react";
+
+const EMPTY_PLAN = {
+  name: "",
+  laborDiscountPct: 0,
+  partsDiscountPct: 0,
+  waiveTripFee: true,
+};
+
+/**
+ * Manager settings for maintenance-plan (membership) pricing:
+ * each plan can waive the trip fee and take a percentage off labor and parts.
+ */
+export default function MembershipPlans({ plans, setPlans }) {
+  const [draft, setDraft] = useState(EMPTY_PLAN);
+
+  function addPlan() {
+    const name = draft.name.trim();
+    if (!name) return;
+    setPlans([...plans, { ...draft, name, id: `plan-${Date.now()}` }]);
+    setDraft(EMPTY_PLAN);
+  }
+
+  function updatePlan(id, patch) {
+    setPlans(plans.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+  }
+
+  const pct = (value, onChange, label) => (
+    <label className="inline-flex items-center gap-1">
+      <input
+        type="number"
+        min="0"
+        max="100"
+        className="w-16 rounded-xl border px-2 py-1"
+        value={value}
+        onChange={(e) =>
+          onChange(Math.min(100, Math.max(0, Number(e.target.value))))
+        }
+      />
+      {label}
+    </label>
+  );
+
+  const trip = (checked, onChange) => (
+    <label className="inline-flex items-center gap-1">
+      <input
+        type="checkbox"
+        className="rounded"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+      />
+      Waive trip fee
+    </label>
+  );
+
+  return (
+    <div className="mt-2 rounded-xl border p-3 bg-white text-sm">
+      <div className="text-slate-600 mb-2 flex items-center gap-2">
+        <BadgePercent className="w-4 h-4" /> Membership plans
+      </div>
+      {plans.length === 0 ? (
+        <div className="text-slate-500 mb-2">No plans set.</div>
+      ) : (
+        <ul className="divide-y mb-2">
+          {plans.map((p) => (
+            <li key={p.id} className="py-1 flex flex-wrap items-center gap-3">
+              <input
+                className="rounded-xl border px-2 py-1 flex-1 min-w-[8rem]"
+                value={p.name}
+                onChange={(e) => updatePlan(p.id, { name: e.target.value })}
+              />
+              {pct(
+                p.laborDiscountPct,
+                (v) => updatePlan(p.id, { laborDiscountPct: v }),
+                "% off labor"
+              )}
+              {pct(
+                p.partsDiscountPct,
+                (v) => updatePlan(p.id, { partsDiscountPct: v }),
+                "% off parts"
+              )}
+              {trip(p.waiveTripFee, (v) =>
+                updatePlan(p.id, { waiveTripFee: v })
+              )}
+              <button
+                onClick={() => setPlans(plans.filter((x) => x.id !== p.id))}
+                className="inline-flex items-center rounded-xl px-2 py-1 border hover:bg-slate-50"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          placeholder="New plan name"
+          className="rounded-xl border px-2 py-1 flex-1 min-w-[8rem]"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        />
+        {pct(
+          draft.laborDiscountPct,
+          (v) => setDraft({ ...draft, laborDiscountPct: v }),
+          "% off labor"
+        )}
+        {pct(
+          draft.partsDiscountPct,
+          (v) => setDraft({ ...draft, partsDiscountPct: v }),
+          "% off parts"
+        )}
+        {trip(draft.waiveTripFee, (v) =>
+          setDraft({ ...draft, waiveTripFee: v })
+        )}
+        <button
+          onClick={addPlan}
+          className="rounded-xl px-3 py-1 border hover:bg-slate-50"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
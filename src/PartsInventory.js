@@ -0,0 +1,234 @@
+import React, { useMemo, useState } from "react";
+import { Download, Package, Trash2 } from "lucide-react";
+import { EMPTY_PART, partProblem, restockReport } from "./inventory";
+import { downloadCSV } from "./utils";
+
+/**
+ * Parts list by SKU with truck stock, and the end-of-day restock report.
+ * - Everyone can count stock (On truck) and export the restock list.
+ * - `canEdit` adds parts and edits name, vendor, cost and par.
+ */
+export default function PartsInventory({ parts, setParts, saved, canEdit }) {
+  const [draft, setDraft] = useState(EMPTY_PART);
+  const [problem, setProblem] = useState("");
+  const report = useMemo(() => restockReport(parts, saved), [parts, saved]);
+
+  function addPart() {
+    const part = { ...draft, sku: draft.sku.trim(), name: draft.name.trim() };
+    const why = partProblem(part, parts);
+    setProblem(why || "");
+    if (why) return;
+    setParts([...parts, part]);
+    setDraft(EMPTY_PART);
+  }
+
+  function updatePart(sku, patch) {
+    setParts(parts.map((p) => (p.sku === sku ? { ...p, ...patch } : p)));
+  }
+
+  function exportRestock() {
+    const day = new Date().toISOString().slice(0, 10);
+    downloadCSV(`restock_${day}.csv`, [
+      ["SKU", "Part", "Vendor", "On Truck", "Par", "Used Today", "Restock"],
+      ...report.map((r) => [
+        r.sku,
+        r.name,
+        r.vendor,
+        String(r.onTruck),
+        String(r.par),
+        String(r.usedToday),
+        String(r.restock),
+      ]),
+    ]);
+  }
+
+  const count = (value, onChange, label) => (
+    <input
+      type="number"
+      min="0"
+      aria-label={label}
+      className="w-20 rounded-xl border px-2 py-1"
+      value={value}
+      onChange={(e) => onChange(Math.max(0, Number(e.target.value)))}
+    />
+  );
+
+  const text = (value, onChange, placeholder) => (
+    <input
+      placeholder={placeholder}
+      className="w-full min-w-[6rem] rounded-xl border px-2 py-1"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  );
+
+  return (
+    <section className="mt-6 bg-white rounded-2xl shadow p-3 sm:p-4 text-sm">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <h3 className="font-semibold flex items-center gap-2">
+          <Package className="w-4 h-4" /> Parts &amp; truck stock
+        </h3>
+        <button
+          onClick={exportRestock}
+          disabled={report.length === 0}
+          className="inline-flex items-center gap-2 rounded-xl px-3 py-1 border hover:bg-slate-50 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" /> Export restock list
+        </button>
+      </div>
+
+      {parts.length === 0 ? (
+        <p className="text-slate-600 mb-2">
+          No parts listed. Catalog issues with a matching SKU take their parts
+          cost from this list.
+        </p>
+      ) : (
+        <div className="overflow-x-auto mb-2">
+          <table className="min-w-full">
+            <thead>
+              <tr className="text-left text-slate-600">
+                <th className="py-1 pr-3">SKU</th>
+                <th className="py-1 pr-3">Part</th>
+                {canEdit && <th className="py-1 pr-3">Vendor</th>}
+                {canEdit && <th className="py-1 pr-3">Cost ($)</th>}
+                <th className="py-1 pr-3">On truck</th>
+                <th className="py-1 pr-3">Par</th>
+                {canEdit && <th className="py-1 pr-3"></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {parts.map((p) => (
+                <tr key={p.sku} className="border-t">
+                  <td className="py-1 pr-3 font-mono">{p.sku}</td>
+                  <td className="py-1 pr-3">
+                    {canEdit
+                      ? text(p.name, (v) => updatePart(p.sku, { name: v }))
+                      : p.name}
+                  </td>
+                  {canEdit && (
+                    <td className="py-1 pr-3">
+                      {text(p.vendor, (v) => updatePart(p.sku, { vendor: v }))}
+                    </td>
+                  )}
+                  {canEdit && (
+                    <td className="py-1 pr-3">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        className="w-24 rounded-xl border px-2 py-1"
+                        value={p.cost}
+                        onChange={(e) =>
+                          updatePart(p.sku, {
+                            cost: Math.max(0, Number(e.target.value)),
+                          })
+                        }
+                      />
+                    </td>
+                  )}
+                  <td
+                    className={`py-1 pr-3 ${
+                      Number(p.onTruck) < Number(p.par) ? "text-amber-700" : ""
+                    }`}
+                  >
+                    {count(
+                      p.onTruck,
+                      (v) => updatePart(p.sku, { onTruck: v }),
+                      `${p.sku} on truck`
+                    )}
+                  </td>
+                  <td className="py-1 pr-3">
+                    {canEdit
+                      ? count(
+                          p.par,
+                          (v) => updatePart(p.sku, { par: v }),
+                          `${p.sku} par`
+                        )
+                      : p.par}
+                  </td>
+                  {canEdit && (
+                    <td className="py-1 pr-3">
+                      <button
+                        onClick={() =>
+                          setParts(parts.filter((x) => x.sku !== p.sku))
+                        }
+                        title="Remove part"
+                        className="inline-flex items-center rounded-xl px-2 py-1 border hover:bg-slate-50"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {canEdit && (
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <div className="w-28">
+            {text(draft.sku, (v) => setDraft({ ...draft, sku: v }), "SKU")}
+          </div>
+          <div className="flex-1">
+            {text(draft.name, (v) => setDraft({ ...draft, name: v }), "Part")}
+          </div>
+          <div className="w-32">
+            {text(
+              draft.vendor,
+              (v) => setDraft({ ...draft, vendor: v }),
+              "Vendor"
+            )}
+          </div>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Cost"
+            className="w-24 rounded-xl border px-2 py-1"
+            value={draft.cost}
+            onChange={(e) =>
+              setDraft({ ...draft, cost: Number(e.target.value) })
+            }
+          />
+          {count(
+            draft.onTruck,
+            (v) => setDraft({ ...draft, onTruck: v }),
+            "On truck"
+          )}
+          {count(draft.par, (v) => setDraft({ ...draft, par: v }), "Par")}
+          <button
+            onClick={addPart}
+            className="rounded-xl px-3 py-1 border hover:bg-slate-50"
+          >
+            Add part
+          </button>
+          {problem && <span className="text-red-700">{problem}</span>}
+        </div>
+      )}
+
+      <div className="text-slate-600 mb-1">Restock</div>
+      {report.length === 0 ? (
+        <div className="text-slate-500">
+          Truck is at par; nothing used today.
+        </div>
+      ) : (
+        <ul className="divide-y">
+          {report.map((r) => (
+            <li key={r.sku} className="py-1 flex flex-wrap gap-x-3">
+              <span className="font-mono">{r.sku}</span>
+              <span className="flex-1">{r.name}</span>
+              <span className="text-slate-600">
+                {r.onTruck}/{r.par} on truck · used today {r.usedToday}
+              </span>
+              <span className={r.restock ? "font-medium text-amber-700" : ""}>
+                restock {r.restock}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from "react";
+import { Download, RefreshCw, WifiOff, X } from "lucide-react";
+import {
+  applyUpdate,
+  dismissOfflineReady,
+  promptInstall,
+  subscribePwa,
+} from "./pwa";
+
+/**
+ * Install button plus bottom banners for "new version available" (reload to
+ * update) and "ready to work offline" after the first install.
+ */
+export default function PwaStatus() {
+  const [pwa, setPwa] = useState({
+    canInstall: false,
+    updateReady: false,
+    offlineReady: false,
+  });
+
+  useEffect(() => subscribePwa(setPwa), []);
+
+  return (
+    <>
+      {pwa.canInstall && (
+        <button
+          onClick={promptInstall}
+          className="fixed bottom-3 left-3 z-40 inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border hover:bg-slate-50 text-sm"
+        >
+          <Download className="w-4 h-4" /> Install app
+        </button>
+      )}
+
+      {pwa.updateReady && (
+        <div className="fixed bottom-3 right-3 z-40 flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-slate-900 text-white text-sm">
+          A new version is available.
+          <button
+            onClick={applyUpdate}
+            className="inline-flex items-center gap-1 rounded-xl px-2 py-1 bg-emerald-600 hover:bg-emerald-700"
+          >
+            <RefreshCw className="w-4 h-4" /> Reload
+          </button>
+        </div>
+      )}
+
+      {!pwa.updateReady && pwa.offlineReady && (
+        <div className="fixed bottom-3 right-3 z-40 flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-white border text-sm">
+          <WifiOff className="w-4 h-4" /> Ready to work offline.
+          <button
+            onClick={dismissOfflineReady}
+            className="inline-flex items-center rounded-xl px-1 py-1 hover:bg-slate-50"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
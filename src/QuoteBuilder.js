@@ -0,0 +1,211 @@
+import React from "react";
+import { Calculator, Trash2, Wand2 } from "lucide-react";
+import { lineTitle } from "./pricing";
+import { Control, Summary } from "./ui";
+import { currency } from "./utils";
+
+/**
+ * Line items on the current quote.
+ * - Everyone edits Labor Hours per line and sees the Total.
+ * - `canEditParts` adds Parts/Qty per line; `canPrice` adds the quote-wide
+ *   markup/trip/tax inputs, per-line tax exemption and the full breakdown.
+ */
+export default function QuoteBuilder({
+  lines,
+  calc,
+  laborRate,
+  canEditParts,
+  canPrice,
+  partsMarkupPct,
+  setPartsMarkupPct,
+  tripFee,
+  setTripFee,
+  taxPct,
+  setTaxPct,
+  taxText,
+  onChangeLine,
+  onRemoveLine,
+}) {
+  return (
+    <div>
+      <h3 className="font-semibold mb-2 flex items-center gap-2">
+        <Calculator className="w-4 h-4" /> Quote
+      </h3>
+
+      {lines.length === 0 ? (
+        <p className="text-slate-600 text-sm">
+          No line items yet. Pick an issue and add it to the quote.
+        </p>
+      ) : (
+        <ul className="divide-y">
+          {calc.lines.map((l) => (
+            <li key={l.key} className="py-2">
+              <div className="flex items-start justify-between gap-3 mb-2">
+                <div>
+                  <div className="font-medium">{lineTitle(l)}</div>
+                  <div className="text-xs text-slate-500">{l.category}</div>
+                </div>
+                <div className="flex gap-1">
+                  {l.defaults && (
+                    <button
+                      onClick={() => onChangeLine(l.key, l.defaults)}
+                      title="Reset to defaults"
+                      className="inline-flex items-center rounded-xl px-2 py-1 border hover:bg-slate-50"
+                    >
+                      <Wand2 className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onRemoveLine(l.key)}
+                    title="Remove line"
+                    className="inline-flex items-center rounded-xl px-2 py-1 border hover:bg-slate-50"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+
+              <div
+                className={`grid gap-2 ${
+                  canEditParts ? "grid-cols-3" : "grid-cols-2 sm:grid-cols-3"
+                }`}
+              >
+                <Control label="Labor Hours">
+                  <input
+                    type="number"
+                    step="0.1"
+                    className="w-full rounded-xl border px-3 py-2"
+                    value={l.laborHrs}
+                    onChange={(e) =>
+                      onChangeLine(l.key, { laborHrs: Number(e.target.value) })
+                    }
+                  />
+                </Control>
+                {/* Parts and Qty are kept internal (from catalog defaults) */}
+                {canEditParts && (
+                  <>
+                    <Control label="Parts Cost ($)">
+                      <input
+                        type="number"
+                        className="w-full rounded-xl border px-3 py-2"
+                        value={l.parts}
+                        onChange={(e) =>
+                          onChangeLine(l.key, { parts: Number(e.target.value) })
+                        }
+                      />
+                    </Control>
+                    <Control label="Quantity">
+                      <input
+                        type="number"
+                        className="w-full rounded-xl border px-3 py-2"
+                        value={l.qty}
+                        onChange={(e) =>
+                          onChangeLine(l.key, { qty: Number(e.target.value) })
+                        }
+                      />
+                    </Control>
+                  </>
+                )}
+              </div>
+
+              {canPrice && (
+                <div className="mt-2 text-xs text-slate-600">
+                  Labor {l.laborHrs} hr × {currency(laborRate)} ={" "}
+                  {currency(l.laborSubtotal)} · Parts {l.qty} ×{" "}
+                  {currency(l.parts)} → markup {l.markupPct}% ({l.markupTier}) ={" "}
+                  {currency(l.partsSubtotal)}
+                  <label className="ml-3 inline-flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      className="rounded"
+                      checked={Boolean(l.taxExempt)}
+                      onChange={(e) =>
+                        onChangeLine(l.key, { taxExempt: e.target.checked })
+                      }
+                    />
+                    Tax exempt
+                  </label>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* TECH VIEW: Total/Included lines only */}
+      {!canPrice && (
+        <div className="mt-3 grid sm:grid-cols-3 gap-2 text-sm">
+          <Summary label="Total" value={currency(calc.total)} emphasize />
+          <Summary
+            label="Trip"
+            value={calc.plan?.waiveTripFee ? "Waived" : "Included"}
+          />
+          <Summary label="Tax" value="Included" />
+        </div>
+      )}
+
+      {/* MANAGER VIEW: quote-wide inputs + full breakdown */}
+      {canPrice && (
+        <>
+          <div className="mt-3 grid grid-cols-3 gap-2">
+            <Control label="Parts Markup (%)">
+              <input
+                type="number"
+                title="Used for parts no markup tier covers"
+                className="w-full rounded-xl border px-3 py-2"
+                value={partsMarkupPct}
+                onChange={(e) => setPartsMarkupPct(Number(e.target.value))}
+              />
+            </Control>
+            <Control label="Trip Fee ($)">
+              <input
+                type="number"
+                className="w-full rounded-xl border px-3 py-2"
+                value={tripFee}
+                onChange={(e) => setTripFee(Number(e.target.value))}
+              />
+            </Control>
+            <Control label="Sales Tax (%)">
+              <input
+                type="number"
+                className="w-full rounded-xl border px-3 py-2"
+                value={taxPct}
+                onChange={(e) => setTaxPct(Number(e.target.value))}
+              />
+            </Control>
+          </div>
+
+          <div className="mt-3 grid sm:grid-cols-5 gap-2 text-sm">
+            <Summary label="Labor" value={currency(calc.laborSubtotal)} />
+            <Summary label="Parts" value={currency(calc.partsSubtotal)} />
+            <Summary
+              label="Trip"
+              value={
+                calc.plan?.waiveTripFee ? "Waived" : currency(calc.tripFee)
+              }
+            />
+            <Summary label="Tax" value={`${taxText} = ${currency(calc.tax)}`} />
+            <Summary label="Total" value={currency(calc.total)} emphasize />
+          </div>
+        </>
+      )}
+
+      {canPrice && calc.lines.length > 0 && (
+        <div className="mt-2 text-xs text-slate-600">
+          Taxed: parts {currency(calc.taxable.parts)} · labor{" "}
+          {currency(calc.taxable.labor)} · trip {currency(calc.taxable.trip)}
+        </div>
+      )}
+
+      {calc.plan && calc.lines.length > 0 && (
+        <div className="mt-2 rounded-xl border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-800">
+          {calc.plan.name} member price {currency(calc.total)} · Regular{" "}
+          {currency(calc.regularTotal)} ·{" "}
+          <span className="font-semibold">
+            You save {currency(calc.savings)}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,364 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  ChevronLeft,
+  ChevronRight,
+  Download,
+  Pencil,
+  Search,
+  Trash2,
+  UserRound,
+} from "lucide-react";
+import JobTimer from "./JobTimer";
+import { quoteLines, quoteTitle, taxLabel } from "./pricing";
+import {
+  CUSTOMER_FIELDS,
+  NEXT_STATUSES,
+  STATUSES,
+  STATUS_LABELS,
+  equipmentText,
+  filterQuotes,
+  quoteStatus,
+} from "./quotes";
+import { currency } from "./utils";
+
+const PAGE_SIZE = 25;
+
+const STATUS_STYLES = {
+  draft: "bg-slate-100 text-slate-700",
+  presented: "bg-sky-50 text-sky-800",
+  approved: "bg-emerald-50 text-emerald-800",
+  declined: "bg-red-50 text-red-800",
+  invoiced: "bg-violet-50 text-violet-800",
+};
+
+/**
+ * Saved Quotes list with customer/issue search, status and date range filters.
+ * `showDetail` adds the pricing columns (rate, hours, trip, parts, markup, tax).
+ * Drafts can be reopened (`onEdit`); `onStatus(quote, status)` advances the lifecycle.
+ * `onTimer(quote, action)` runs the job timer (not shown on declined quotes).
+ * `onExport(quotes)` downloads the quotes matching the current filters.
+ * Matches are shown PAGE_SIZE at a time.
+ */
+export default function SavedQuotes({
+  saved,
+  showDetail,
+  editingTs,
+  onDelete,
+  onEdit,
+  onStatus,
+  onTimer,
+  onExport,
+  onReuseCustomer,
+}) {
+  const [query, setQuery] = useState("");
+  const [field, setField] = useState("all");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [status, setStatus] = useState("all");
+
+  const rows = useMemo(
+    () => filterQuotes(saved, { query, field, from, to, status }),
+    [saved, query, field, from, to, status]
+  );
+
+  const [page, setPage] = useState(0);
+  useEffect(() => setPage(0), [query, field, from, to, status]);
+  const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const current = Math.min(page, pageCount - 1);
+  const pageRows = rows.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+
+  return (
+    <section className="mt-6 bg-white rounded-2xl shadow p-3 sm:p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold">Saved Quotes</h3>
+        <div className="flex items-center gap-3 text-sm text-slate-500">
+          Stored on this device
+          <button
+            onClick={() => onExport(rows)}
+            disabled={rows.length === 0}
+            className="inline-flex items-center gap-2 rounded-xl px-3 py-1 border text-slate-800 hover:bg-slate-50 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" /> Export CSV
+          </button>
+        </div>
+      </div>
+
+      {saved.length > 0 && (
+        <div className="flex flex-col sm:flex-row gap-2 mb-3 text-sm">
+          <div className="relative flex-1">
+            <Search className="w-4 h-4 absolute left-3 top-2.5 text-slate-500" />
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search customer, phone, address, equipment…"
+              className="w-full rounded-xl border pl-9 pr-3 py-2"
+            />
+          </div>
+          <select
+            value={field}
+            onChange={(e) => setField(e.target.value)}
+            className="rounded-xl border px-3 py-2"
+          >
+            <option value="all">All fields</option>
+            {CUSTOMER_FIELDS.map((f) => (
+              <option key={f.key} value={f.key}>
+                {f.label}
+              </option>
+            ))}
+            <option value="issue">Issue</option>
+          </select>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="rounded-xl border px-3 py-2"
+          >
+            <option value="all">Any status</option>
+            {STATUSES.map((st) => (
+              <option key={st} value={st}>
+                {STATUS_LABELS[st]}
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="rounded-xl border px-3 py-2"
+            title="From"
+          />
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="rounded-xl border px-3 py-2"
+            title="To"
+          />
+        </div>
+      )}
+
+      {saved.length === 0 ? (
+        <p className="text-slate-600 text-sm">No quotes yet.</p>
+      ) : rows.length === 0 ? (
+        <p className="text-slate-600 text-sm">No quotes match.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-600">
+                <th className="py-2 pr-4">Date</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2 pr-4">Customer</th>
+                <th className="py-2 pr-4">Category</th>
+                <th className="py-2 pr-4">Issue</th>
+                {showDetail && (
+                  <>
+                    <th className="py-2 pr-4">Labor Rate</th>
+                    <th className="py-2 pr-4">Hours</th>
+                    <th className="py-2 pr-4">Trip</th>
+                    <th className="py-2 pr-4">Parts</th>
+                    <th className="py-2 pr-4">Lines</th>
+                    <th className="py-2 pr-4">Markup%</th>
+                    <th className="py-2 pr-4">Tax</th>
+                  </>
+                )}
+                <th className="py-2 pr-4">Total</th>
+                <th className="py-2 pr-4">Time on job</th>
+                <th className="py-2 pr-4">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pageRows.map((s) => (
+                <tr
+                  key={s.ts}
+                  className={`border-t align-top ${
+                    s.ts === editingTs ? "bg-amber-50" : ""
+                  }`}
+                >
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    {new Date(s.ts).toLocaleString()}
+                  </td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    <span
+                      className={`rounded-lg px-2 py-0.5 text-xs ${
+                        STATUS_STYLES[quoteStatus(s)]
+                      }`}
+                    >
+                      {STATUS_LABELS[quoteStatus(s)]}
+                    </span>
+                    {s.statusHistory?.length > 1 && (
+                      <div className="text-xs text-slate-500 mt-1">
+                        {new Date(
+                          s.statusHistory[s.statusHistory.length - 1].at
+                        ).toLocaleString()}
+                      </div>
+                    )}
+                    {s.signature && (
+                      <img
+                        src={s.signature}
+                        alt="Customer signature"
+                        className="h-8 mt-1"
+                      />
+                    )}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <div>{s.customer?.name}</div>
+                    <div className="text-xs text-slate-500">
+                      {[s.customer?.phone, s.customer?.address]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </div>
+                    <div className="text-xs text-slate-500">
+                      {equipmentText(s.customer)}
+                    </div>
+                  </td>
+                  <td className="py-2 pr-4">{s.category}</td>
+                  <td className="py-2 pr-4">{quoteTitle(s)}</td>
+                  {showDetail && (
+                    <>
+                      <td className="py-2 pr-4">{currency(s.laborRate)}</td>
+                      <td className="py-2 pr-4">
+                        {quoteLines(s).reduce(
+                          (sum, l) => sum + Number(l.laborHrs),
+                          0
+                        )}
+                      </td>
+                      <td className="py-2 pr-4">{currency(s.tripFee)}</td>
+                      <td className="py-2 pr-4">
+                        {currency(
+                          quoteLines(s).reduce(
+                            (sum, l) => sum + Number(l.parts) * Number(l.qty),
+                            0
+                          )
+                        )}
+                      </td>
+                      <td className="py-2 pr-4">{quoteLines(s).length}</td>
+                      <td className="py-2 pr-4">
+                        {[
+                          ...new Set(
+                            quoteLines(s).map(
+                              (l) => l.markupPct ?? s.partsMarkupPct
+                            )
+                          ),
+                        ].join("/")}
+                        %
+                      </td>
+                      <td className="py-2 pr-4">
+                        {taxLabel(
+                          s.taxPct,
+                          s.taxRules,
+                          s.taxJurisdiction?.name
+                        )}
+                        {s.tax != null && (
+                          <div className="text-xs text-slate-500">
+                            {currency(s.tax)}
+                            {s.taxable &&
+                              ` on ${currency(
+                                s.taxable.parts +
+                                  s.taxable.labor +
+                                  s.taxable.trip
+                              )}`}
+                          </div>
+                        )}
+                      </td>
+                    </>
+                  )}
+                  <td className="py-2 pr-4 font-semibold">
+                    {currency(s.total)}
+                    {s.plan && (
+                      <div className="text-xs font-normal text-emerald-700">
+                        {s.plan.name}: saves {currency(s.savings)}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    {quoteStatus(s) !== "declined" && (
+                      <JobTimer
+                        quote={s}
+                        bookHrs={quoteLines(s).reduce(
+                          (sum, l) => sum + Number(l.laborHrs),
+                          0
+                        )}
+                        onTimer={onTimer}
+                      />
+                    )}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <div className="flex flex-wrap gap-1">
+                      {quoteStatus(s) === "draft" && (
+                        <button
+                          onClick={() => onEdit(s)}
+                          className="inline-flex items-center gap-1 rounded-xl px-2 py-1 border hover:bg-slate-50"
+                        >
+                          <Pencil className="w-4 h-4" /> Edit
+                        </button>
+                      )}
+                      {NEXT_STATUSES[quoteStatus(s)].map((st) => (
+                        <button
+                          key={st}
+                          onClick={() => onStatus(s, st)}
+                          className="inline-flex items-center gap-1 rounded-xl px-2 py-1 border hover:bg-slate-50"
+                        >
+                          {st === "presented"
+                            ? "Present"
+                            : st === "approved"
+                            ? "Approve"
+                            : st === "declined"
+                            ? "Decline"
+                            : "Invoice"}
+                        </button>
+                      ))}
+                      {s.customer && (
+                        <button
+                          onClick={() => onReuseCustomer(s.customer)}
+                          title="Use this customer on the current quote"
+                          className="inline-flex items-center gap-1 rounded-xl px-2 py-1 border hover:bg-slate-50"
+                        >
+                          <UserRound className="w-4 h-4" />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => onDelete(s.ts)}
+                        className="inline-flex items-center gap-1 rounded-xl px-2 py-1 border hover:bg-slate-50"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length > PAGE_SIZE && (
+            <div className="flex items-center justify-end gap-2 mt-2 text-sm text-slate-600">
+              <span>
+                {current * PAGE_SIZE + 1}–
+                {Math.min((current + 1) * PAGE_SIZE, rows.length)} of{" "}
+                {rows.length}
+              </span>
+              <button
+                onClick={() => setPage(current - 1)}
+                disabled={current === 0}
+                className="inline-flex items-center rounded-xl px-2 py-1 border hover:bg-slate-50 disabled:opacity-50"
+                title="Newer"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <span>
+                Page {current + 1} of {pageCount}
+              </span>
+              <button
+                onClick={() => setPage(current + 1)}
+                disabled={current >= pageCount - 1}
+                className="inline-flex items-center rounded-xl px-2 py-1 border hover:bg-slate-50 disabled:opacity-50"
+                title="Older"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
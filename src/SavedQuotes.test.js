@@ -0,0 +1,92 @@
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import SavedQuotes from "./SavedQuotes";
+
+const quote = (ts, status, name) => ({
+  ts,
+  status,
+  customer: { name },
+  category: "Cooling",
+  laborRate: 165,
+  tripFee: 89,
+  taxPct: 0,
+  total: 254,
+  lines: [
+    {
+      key: "l1",
+      category: "Cooling",
+      issueId: "cap",
+      issue: "Capacitor",
+      laborHrs: 1,
+      parts: 0,
+      qty: 1,
+      total: 165,
+    },
+  ],
+});
+
+const saved = [
+  quote(1, "approved", "Ada"),
+  quote(2, "declined", "Grace"),
+  quote(3, "approved", "Linus"),
+];
+
+function button(text) {
+  return [...document.querySelectorAll("button")].find((b) =>
+    b.textContent.includes(text)
+  );
+}
+
+function change(el, value) {
+  const proto = Object.getPrototypeOf(el);
+  Object.getOwnPropertyDescriptor(proto, "value").set.call(el, value);
+  act(() => el.dispatchEvent(new Event("input", { bubbles: true })));
+  act(() => el.dispatchEvent(new Event("change", { bubbles: true })));
+}
+
+let root;
+let onExport;
+beforeEach(() => {
+  onExport = jest.fn();
+  const div = document.createElement("div");
+  document.body.appendChild(div);
+  root = createRoot(div);
+  act(() =>
+    root.render(
+      <SavedQuotes
+        saved={saved}
+        showDetail={false}
+        editingTs={null}
+        onDelete={() => {}}
+        onEdit={() => {}}
+        onStatus={() => {}}
+        onTimer={() => {}}
+        onExport={onExport}
+        onReuseCustomer={() => {}}
+      />
+    )
+  );
+});
+afterEach(() => {
+  act(() => root.unmount());
+  document.body.innerHTML = "";
+});
+
+test("Export CSV exports only the quotes matching the filters", () => {
+  const status = [...document.querySelectorAll("select")].find((s) =>
+    s.textContent.includes("Any status")
+  );
+  change(status, "approved");
+  change(document.querySelector('input[placeholder^="Search"]'), "linus");
+  act(() =>
+    button("Export CSV").dispatchEvent(
+      new MouseEvent("click", { bubbles: true })
+    )
+  );
+  expect(onExport).toHaveBeenCalledWith([saved[2]]);
+});
+
+test("Export CSV is disabled when nothing matches", () => {
+  change(document.querySelector('input[placeholder^="Search"]'), "nobody");
+  expect(button("Export CSV").disabled).toBe(true);
+});
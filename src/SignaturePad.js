@@ -0,0 +1,104 @@
+import React, { useRef, useState } from "react";
+import { Check, Eraser, X } from "lucide-react";
+
+/**
+ * Customer approval: finger/stylus signature on a canvas, returned as a PNG data URL.
+ */
+export default function SignaturePad({ title, onAccept, onCancel }) {
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+  const [empty, setEmpty] = useState(true);
+  const [signer, setSigner] = useState("");
+
+  function point(e) {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+    };
+  }
+
+  function start(e) {
+    e.preventDefault();
+    canvasRef.current.setPointerCapture?.(e.pointerId);
+    const ctx = canvasRef.current.getContext("2d");
+    const { x, y } = point(e);
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = "round";
+    ctx.strokeStyle = "#0f172a";
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    drawing.current = true;
+  }
+
+  function move(e) {
+    if (!drawing.current) return;
+    const ctx = canvasRef.current.getContext("2d");
+    const { x, y } = point(e);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+    setEmpty(false);
+  }
+
+  function end() {
+    drawing.current = false;
+  }
+
+  function clear() {
+    const canvas = canvasRef.current;
+    canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+    setEmpty(true);
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/50 flex items-center justify-center p-2">
+      <div className="w-full max-w-lg bg-white rounded-2xl shadow p-3 sm:p-4">
+        <h3 className="font-semibold mb-2">{title}</h3>
+        <input
+          placeholder="Signer name"
+          className="w-full rounded-xl border px-3 py-2 mb-2"
+          value={signer}
+          onChange={(e) => setSigner(e.target.value)}
+        />
+        <canvas
+          ref={canvasRef}
+          width={600}
+          height={200}
+          className="w-full rounded-xl border bg-slate-50 touch-none"
+          onPointerDown={start}
+          onPointerMove={move}
+          onPointerUp={end}
+          onPointerLeave={end}
+        />
+        <div className="text-xs text-slate-500 mt-1">Sign above</div>
+        <div className="flex justify-end gap-2 mt-3">
+          <button
+            onClick={clear}
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white border hover:bg-slate-50"
+          >
+            <Eraser className="w-4 h-4" /> Clear
+          </button>
+          <button
+            onClick={onCancel}
+            className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white border hover:bg-slate-50"
+          >
+            <X className="w-4 h-4" /> Cancel
+          </button>
+          <button
+            onClick={() =>
+              onAccept({
+                signature: canvasRef.current.toDataURL("image/png"),
+                signedBy: signer.trim(),
+              })
+            }
+            disabled={empty}
+            className="inline-flex items-center gap-2 rounded-2xl shadow px-3 py-2 bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+          >
+            <Check className="w-4 h-4" /> Approve
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
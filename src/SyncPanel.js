@@ -0,0 +1,193 @@
+import React, { useEffect, useState } from "react";
+import { CloudUpload, RefreshCw, Wifi, WifiOff } from "lucide-react";
+import {
+  loadSyncConfig,
+  publishProfile,
+  resolveConflict,
+  saveSyncConfig,
+  subscribeSync,
+  syncNow,
+} from "./sync";
+import { quoteTitle } from "./pricing";
+import { getQuotes } from "./storage";
+import { currency } from "./utils";
+
+function when(ts) {
+  return ts ? new Date(ts).toLocaleString() : "never";
+}
+
+/**
+ * Sync status for everyone (pending quotes, last sync, conflicts to resolve).
+ * Managers also set the server address/key and publish this device's pricing
+ * (catalog, rates, fees, markup, plans) as the profile every device pulls.
+ */
+export default function SyncPanel({ canManage, profile }) {
+  const [sync, setSync] = useState(null);
+  const [config, setConfig] = useState(loadSyncConfig);
+  const [notice, setNotice] = useState("");
+  // Newer server profile found while publishing; offered as "publish over it".
+  const [staleVersion, setStaleVersion] = useState(null);
+
+  useEffect(() => subscribeSync(setSync), []);
+
+  if (!sync || (!sync.configured && !canManage)) return null;
+  const mine = new Map(getQuotes().map((q) => [q.ts, q]));
+
+  const saveConfig = () => {
+    saveSyncConfig(config);
+    setConfig(loadSyncConfig());
+    setNotice("");
+    syncNow();
+  };
+
+  const publish = async (force = false) => {
+    setNotice("");
+    setStaleVersion(null);
+    try {
+      const result = await publishProfile(profile, { force });
+      if (result.conflict) {
+        setStaleVersion(result.conflict);
+        return;
+      }
+      setNotice(`Published pricing profile v${result.version}.`);
+    } catch (e) {
+      setNotice(`Publish failed: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="mt-2 rounded-xl border p-3 bg-white text-sm">
+      <div className="text-slate-600 mb-2 flex items-center gap-2">
+        {sync.online ? (
+          <Wifi className="w-4 h-4" />
+        ) : (
+          <WifiOff className="w-4 h-4" />
+        )}
+        Sync
+        <span className="text-slate-500">
+          {sync.configured
+            ? `(profile v${sync.profileVersion}, last pull ${when(
+                sync.pulledAt
+              )})`
+            : "(not set up)"}
+        </span>
+      </div>
+
+      {canManage && (
+        <div className="flex flex-wrap items-center gap-2 mb-2">
+          <input
+            value={config.endpoint}
+            onChange={(e) => setConfig({ ...config, endpoint: e.target.value })}
+            placeholder="Server URL, e.g. http://192.168.1.20:8787"
+            className="flex-1 min-w-[16rem] rounded-xl border px-3 py-2"
+          />
+          <input
+            type="password"
+            value={config.key}
+            onChange={(e) => setConfig({ ...config, key: e.target.value })}
+            placeholder="Sync key (optional)"
+            className="rounded-xl border px-3 py-2"
+          />
+          <button
+            onClick={saveConfig}
+            className="rounded-xl px-3 py-2 border hover:bg-slate-50"
+          >
+            Save
+          </button>
+        </div>
+      )}
+
+      {sync.configured && (
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={syncNow}
+            disabled={sync.busy || !sync.online}
+            className="inline-flex items-center gap-2 rounded-xl px-3 py-2 border hover:bg-slate-50 disabled:opacity-50"
+          >
+            <RefreshCw
+              className={`w-4 h-4 ${sync.busy ? "animate-spin" : ""}`}
+            />{" "}
+            Sync now
+          </button>
+          {canManage && (
+            <button
+              onClick={() => publish()}
+              disabled={sync.busy || !sync.online}
+              className="inline-flex items-center gap-2 rounded-xl px-3 py-2 border hover:bg-slate-50 disabled:opacity-50"
+            >
+              <CloudUpload className="w-4 h-4" /> Publish pricing
+            </button>
+          )}
+          <span className="text-slate-600">
+            {sync.pending
+              ? `${sync.pending} quote${
+                  sync.pending === 1 ? "" : "s"
+                } waiting to upload${sync.online ? "" : " (offline)"}`
+              : `All quotes uploaded (last ${when(sync.pushedAt)})`}
+          </span>
+        </div>
+      )}
+
+      {sync.error && <div className="mt-2 text-red-700">{sync.error}</div>}
+      {notice && <div className="mt-2 text-slate-700">{notice}</div>}
+      {staleVersion && (
+        <div className="mt-2 text-amber-800">
+          Profile v{staleVersion} was published from another device since this
+          one last synced. Sync to get it first, or publish over it.
+          <button
+            onClick={() => publish(true)}
+            className="ml-2 rounded-xl px-2 py-1 border hover:bg-slate-50"
+          >
+            Publish over it
+          </button>
+        </div>
+      )}
+
+      {sync.conflicts.length > 0 && (
+        <table className="min-w-full mt-2">
+          <thead>
+            <tr className="text-left text-slate-600">
+              <th className="py-1 pr-4">Changed on another device</th>
+              <th className="py-1 pr-4">This device</th>
+              <th className="py-1 pr-4">Server</th>
+              <th className="py-1 pr-4"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sync.conflicts.map((c) => (
+              <tr key={c.ts} className="border-t">
+                <td className="py-1 pr-4 whitespace-nowrap">
+                  {new Date(c.ts).toLocaleString()}
+                </td>
+                <td className="py-1 pr-4">
+                  {mine.has(c.ts)
+                    ? `${quoteTitle(mine.get(c.ts))} (${currency(
+                        mine.get(c.ts).total
+                      )})`
+                    : "Deleted here"}
+                </td>
+                <td className="py-1 pr-4">
+                  {quoteTitle(c.server)} ({currency(c.server.total)})
+                </td>
+                <td className="py-1 pr-4 whitespace-nowrap">
+                  <button
+                    onClick={() => resolveConflict(c.ts, "mine")}
+                    className="rounded-xl px-2 py-1 border hover:bg-slate-50 mr-1"
+                  >
+                    Keep mine
+                  </button>
+                  <button
+                    onClick={() => resolveConflict(c.ts, "server")}
+                    className="rounded-xl px-2 py-1 border hover:bg-slate-50"
+                  >
+                    Use server
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { Landmark, Trash2 } from "lucide-react";
+
+const EMPTY_JURISDICTION = {
+  name: "",
+  taxPct: 0,
+  parts: true,
+  labor: false,
+  trip: false,
+};
+
+const TAXABLE = [
+  { key: "parts", label: "Parts" },
+  { key: "labor", label: "Labor" },
+  { key: "trip", label: "Trip fee" },
+];
+
+/**
+ * Manager settings for named sales-tax jurisdictions: a rate plus which of
+ * parts, labor and the trip fee it taxes. Quotes without one use the
+ * shop-wide Sales Tax (%) on everything.
+ */
+export default function TaxJurisdictions({ jurisdictions, setJurisdictions }) {
+  const [draft, setDraft] = useState(EMPTY_JURISDICTION);
+
+  function addJurisdiction() {
+    const name = draft.name.trim();
+    if (!name) return;
+    setJurisdictions([
+      ...jurisdictions,
+      { ...draft, name, id: `tax-${Date.now()}` },
+    ]);
+    setDraft(EMPTY_JURISDICTION);
+  }
+
+  function updateJurisdiction(id, patch) {
+    setJurisdictions(
+      jurisdictions.map((j) => (j.id === id ? { ...j, ...patch } : j))
+    );
+  }
+
+  const rate = (value, onChange) => (
+    <label className="inline-flex items-center gap-1">
+      <input
+        type="number"
+        min="0"
+        step="0.01"
+        className="w-20 rounded-xl border px-2 py-1"
+        value={value}
+        onChange={(e) => onChange(Math.max(0, Number(e.target.value)))}
+      />
+      %
+    </label>
+  );
+
+  const flags = (j, onChange) =>
+    TAXABLE.map(({ key, label }) => (
+      <label key={key} className="inline-flex items-center gap-1">
+        <input
+          type="checkbox"
+          className="rounded"
+          checked={j[key]}
+          onChange={(e) => onChange({ [key]: e.target.checked })}
+        />
+        {label}
+      </label>
+    ));
+
+  return (
+    <div className="mt-2 rounded-xl border p-3 bg-white text-sm">
+      <div className="text-slate-600 mb-2 flex items-center gap-2">
+        <Landmark className="w-4 h-4" /> Tax jurisdictions
+      </div>
+      {jurisdictions.length === 0 ? (
+        <div className="text-slate-500 mb-2">
+          None set; Sales Tax (%) applies to the whole quote.
+        </div>
+      ) : (
+        <ul className="divide-y mb-2">
+          {jurisdictions.map((j) => (
+            <li key={j.id} className="py-1 flex flex-wrap items-center gap-3">
+              <input
+                className="rounded-xl border px-2 py-1 flex-1 min-w-[8rem]"
+                value={j.name}
+                onChange={(e) =>
+                  updateJurisdiction(j.id, { name: e.target.value })
+                }
+              />
+              {rate(j.taxPct, (v) => updateJurisdiction(j.id, { taxPct: v }))}
+              <span className="text-slate-500">taxes</span>
+              {flags(j, (patch) => updateJurisdiction(j.id, patch))}
+              <button
+                onClick={() =>
+                  setJurisdictions(jurisdictions.filter((x) => x.id !== j.id))
+                }
+                className="inline-flex items-center rounded-xl px-2 py-1 border hover:bg-slate-50"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          placeholder="New jurisdiction name"
+          className="rounded-xl border px-2 py-1 flex-1 min-w-[8rem]"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        />
+        {rate(draft.taxPct, (v) => setDraft({ ...draft, taxPct: v }))}
+        <span className="text-slate-500">taxes</span>
+        {flags(draft, (patch) => setDraft({ ...draft, ...patch }))}
+        <button
+          onClick={addJurisdiction}
+          className="rounded-xl px-3 py-1 border hover:bg-slate-50"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
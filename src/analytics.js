@@ -0,0 +1,167 @@
+import { quoteLines } from "./pricing";
+import { quoteStatus } from "./quotes";
+
+/**
+ * Sales and pricing analytics over saved quotes (manager dashboard).
+ * - Sales are approved or invoiced quotes, dated by when the quote was made.
+ * - Revenue is the quote total (incl. trip fee and tax); per-issue and
+ *   per-category revenue uses the line's labor + parts, since trip fee and
+ *   tax are not split across lines.
+ * - Approval rate per category is approved / (approved + declined); quotes
+ *   still in draft or presented are left out. A sale counts as approved, and
+ *   a quote counts once in each category its lines come from.
+ * - Single-issue quotes from before multi-line quotes have no subtotals;
+ *   their labor and parts are worked out from the rate, hours, parts and qty.
+ */
+
+const WON = ["approved", "invoiced"];
+
+export function isSale(q) {
+  return WON.includes(quoteStatus(q));
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function dayKey(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Local start of the day/week (Monday)/month holding `ts`.
+function bucketStart(ts, period) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  if (period === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (period === "month") d.setDate(1);
+  return d;
+}
+
+function nextBucket(d, period) {
+  const n = new Date(d);
+  if (period === "day") n.setDate(n.getDate() + 1);
+  if (period === "week") n.setDate(n.getDate() + 7);
+  if (period === "month") n.setMonth(n.getMonth() + 1);
+  return n;
+}
+
+/**
+ * Revenue per day, week or month: [{ key, label, revenue, count }], oldest
+ * first, with empty buckets filled in between the first and last sale.
+ */
+export function revenueSeries(quotes, period = "day") {
+  const sales = quotes.filter(isSale);
+  if (sales.length === 0) return [];
+  const totals = new Map();
+  sales.forEach((q) => {
+    const key = dayKey(bucketStart(q.ts, period));
+    const t = totals.get(key) || { revenue: 0, count: 0 };
+    totals.set(key, {
+      revenue: t.revenue + Number(q.total || 0),
+      count: t.count + 1,
+    });
+  });
+  const first = bucketStart(Math.min(...sales.map((q) => q.ts)), period);
+  const last = bucketStart(Math.max(...sales.map((q) => q.ts)), period);
+  const series = [];
+  for (let d = first; d <= last; d = nextBucket(d, period)) {
+    const key = dayKey(d);
+    series.push({
+      key,
+      label: period === "month" ? key.slice(0, 7) : key,
+      ...(totals.get(key) || { revenue: 0, count: 0 }),
+    });
+  }
+  return series;
+}
+
+// { labor, parts } of a quote, derived for legacy quotes that lack subtotals.
+function subtotals(q) {
+  if (q.laborSubtotal != null || q.partsSubtotal != null) {
+    return {
+      labor: Number(q.laborSubtotal || 0),
+      parts: Number(q.partsSubtotal || 0),
+    };
+  }
+  const markup = 1 + Number(q.partsMarkupPct || 0) / 100;
+  return {
+    labor: Number(q.laborRate || 0) * Number(q.laborHrs || 0),
+    parts: Number(q.parts || 0) * Number(q.qty ?? 1) * markup,
+  };
+}
+
+// Line revenue; legacy single-issue quotes only stored quote-level figures,
+// falling back to the subtotal or total when even those can't be worked out.
+function lineRevenue(line, q) {
+  if (line.total != null) return Number(line.total);
+  const { labor, parts } = subtotals(q);
+  return labor + parts || Number(q.subtotal ?? q.total ?? 0);
+}
+
+// [{ key, label, count, revenue }] per `keyOf(line)` → [key, label].
+function rankLines(sales, keyOf) {
+  const rows = new Map();
+  sales.forEach((q) =>
+    quoteLines(q).forEach((l) => {
+      const [key, label] = keyOf(l);
+      const row = rows.get(key) || { key, label, count: 0, revenue: 0 };
+      row.count += 1;
+      row.revenue += lineRevenue(l, q);
+      rows.set(key, row);
+    })
+  );
+  return [...rows.values()];
+}
+
+/**
+ * Dashboard figures for quotes already narrowed to the date range (see
+ * filterQuotes).
+ * `topIssues`/`topCategories` hold every row; the dashboard sorts them by
+ * count or revenue.
+ */
+export function salesSummary(inRange) {
+  const sales = inRange.filter(isSale);
+  const revenue = sales.reduce((sum, q) => sum + Number(q.total || 0), 0);
+  const after = sales.filter((q) => q.afterHours);
+  const afterRevenue = after.reduce((sum, q) => sum + Number(q.total || 0), 0);
+  const labor = sales.reduce((sum, q) => sum + subtotals(q).labor, 0);
+  const parts = sales.reduce((sum, q) => sum + subtotals(q).parts, 0);
+  const trip = sales.reduce((sum, q) => sum + Number(q.tripFee || 0), 0);
+
+  const approval = new Map();
+  inRange.forEach((q) => {
+    const status = quoteStatus(q);
+    if (!isSale(q) && status !== "declined") return;
+    const categories = new Set(
+      quoteLines(q).map((l) => l.category || q.category || "—")
+    );
+    categories.forEach((category) => {
+      const row = approval.get(category) || { category, won: 0, declined: 0 };
+      if (status === "declined") row.declined += 1;
+      else row.won += 1;
+      approval.set(category, row);
+    });
+  });
+
+  return {
+    quotes: inRange.length,
+    sales: sales.length,
+    revenue,
+    averageTicket: sales.length ? revenue / sales.length : 0,
+    afterHours: {
+      count: after.length,
+      revenue: afterRevenue,
+      countShare: sales.length ? after.length / sales.length : 0,
+      revenueShare: revenue ? afterRevenue / revenue : 0,
+    },
+    mix: { labor, parts, trip },
+    topIssues: rankLines(sales, (l) => [
+      l.issueId ? `${l.issueId}|${l.option || ""}` : `~${l.issue}`,
+      l.option ? `${l.issue} (${l.option})` : l.issue,
+    ]),
+    topCategories: rankLines(sales, (l) => [l.category, l.category]),
+    approval: [...approval.values()]
+      .map((r) => ({ ...r, rate: r.won / (r.won + r.declined) }))
+      .sort((a, b) => b.won + b.declined - (a.won + a.declined)),
+  };
+}
@@ -0,0 +1,154 @@
+import { isSale, revenueSeries, salesSummary } from "./analytics";
+
+const at = (day, hour = 10) => new Date(2025, 0, day, hour).getTime();
+const history = (status, ts) => [
+  { status: "draft", at: ts },
+  { status, at: ts },
+];
+
+function quote(day, status, lines, extra = {}) {
+  const ts = at(day);
+  const labor = lines.reduce((s, l) => s + l.labor, 0);
+  const parts = lines.reduce((s, l) => s + l.parts, 0);
+  return {
+    ts,
+    status,
+    statusHistory: history(status, ts),
+    lines: lines.map((l) => ({ ...l, total: l.labor + l.parts })),
+    laborSubtotal: labor,
+    partsSubtotal: parts,
+    tripFee: 50,
+    total: labor + parts + 50,
+    ...extra,
+  };
+}
+
+const cap = {
+  issueId: "cap",
+  issue: "Capacitor",
+  category: "Cooling",
+  labor: 100,
+  parts: 20,
+};
+const ign = {
+  issueId: "ig",
+  issue: "Igniter",
+  category: "Heating",
+  labor: 150,
+  parts: 60,
+};
+
+test("isSale counts approved and invoiced quotes", () => {
+  expect(isSale(quote(1, "approved", [cap]))).toBe(true);
+  expect(isSale(quote(1, "invoiced", [cap]))).toBe(true);
+  expect(isSale(quote(1, "presented", [cap]))).toBe(false);
+});
+
+describe("revenueSeries", () => {
+  const quotes = [
+    quote(1, "approved", [cap]), // Wed
+    quote(3, "invoiced", [ign]),
+    quote(3, "declined", [ign]),
+    quote(13, "approved", [cap]), // Mon
+  ];
+
+  test("fills empty days between the first and last sale", () => {
+    const days = revenueSeries(quotes, "day");
+    expect(days).toHaveLength(13);
+    expect(days[0]).toEqual({
+      key: "2025-01-01",
+      label: "2025-01-01",
+      revenue: 170,
+      count: 1,
+    });
+    expect(days[1].revenue).toBe(0);
+    expect(days[2]).toMatchObject({ revenue: 260, count: 1 });
+  });
+
+  test("weeks start on Monday; months are labelled by month", () => {
+    expect(revenueSeries(quotes, "week").map((w) => [w.key, w.count])).toEqual([
+      ["2024-12-30", 2],
+      ["2025-01-06", 0],
+      ["2025-01-13", 1],
+    ]);
+    expect(revenueSeries(quotes, "month")).toEqual([
+      { key: "2025-01-01", label: "2025-01", revenue: 600, count: 3 },
+    ]);
+  });
+
+  test("no sales, no series", () => {
+    expect(revenueSeries([quote(1, "draft", [cap])])).toEqual([]);
+  });
+});
+
+describe("salesSummary", () => {
+  test("revenue, average ticket, after-hours share and mix", () => {
+    const s = salesSummary([
+      quote(1, "approved", [cap]),
+      quote(2, "invoiced", [cap, ign], { afterHours: true }),
+      quote(3, "draft", [ign]),
+    ]);
+    expect([s.quotes, s.sales, s.revenue, s.averageTicket]).toEqual([
+      3, 2, 550, 275,
+    ]);
+    expect(s.afterHours).toEqual({
+      count: 1,
+      revenue: 380,
+      countShare: 0.5,
+      revenueShare: 380 / 550,
+    });
+    expect(s.mix).toEqual({ labor: 350, parts: 100, trip: 100 });
+    expect(s.topIssues.find((r) => r.key === "cap|")).toMatchObject({
+      count: 2,
+      revenue: 240,
+    });
+    expect(s.topCategories.map((r) => [r.key, r.revenue])).toEqual([
+      ["Cooling", 240],
+      ["Heating", 210],
+    ]);
+  });
+
+  test("approval rate counts a quote in every category it covers", () => {
+    const s = salesSummary([
+      quote(1, "approved", [cap, ign]),
+      quote(2, "declined", [ign]),
+      quote(3, "presented", [cap]),
+    ]);
+    expect(s.approval).toEqual([
+      { category: "Heating", won: 1, declined: 1, rate: 0.5 },
+      { category: "Cooling", won: 1, declined: 0, rate: 1 },
+    ]);
+  });
+
+  test("legacy single-issue quotes are priced from their stored figures", () => {
+    const legacy = {
+      ts: at(5),
+      status: "approved",
+      category: "Heating",
+      issue: "Old igniter",
+      laborRate: 100,
+      laborHrs: 1.5,
+      parts: 40,
+      qty: 1,
+      partsMarkupPct: 50,
+      tripFee: 50,
+      total: 260,
+    };
+    const s = salesSummary([legacy]);
+    expect(s.mix).toEqual({ labor: 150, parts: 60, trip: 50 });
+    expect(s.topIssues[0]).toMatchObject({
+      label: "Old igniter",
+      revenue: 210,
+    });
+    expect(s.approval[0].category).toBe("Heating");
+
+    const bare = {
+      ts: at(5),
+      status: "approved",
+      category: "X",
+      issue: "Y",
+      total: 99,
+    };
+    expect(salesSummary([bare]).topIssues[0].revenue).toBe(99);
+  });
+});
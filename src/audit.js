@@ -0,0 +1,275 @@
+import { diffCatalogs } from "./catalog";
+import { getItem, setItem } from "./storage";
+
+/**
+ * Append-only audit log, persisted under the `auditLog` storage key.
+ * Entry: { at, who, area, item, field?, from, to, quoteTs?, changes? }
+ * - `who` is the unlocked role (PINs are per role, not per person), or
+ *   "Sync" for pricing pulled from the sync server.
+ * - Settings and part cost edits are coalesced per item until typing pauses,
+ *   so a rate typed digit by digit is one entry from the old value to the
+ *   final one.
+ * - Every catalog change (import, editor, bulk adjust, book hours, sync,
+ *   rollback) logs the version it made and how many issues it touched.
+ * - Saved quotes log each line value that differs from the catalog default.
+ * - The app only ever adds entries; nothing edits or removes them. Restoring
+ *   a backup keeps this device's entries, adds the backup's and logs itself.
+ */
+
+// Idle time before coalesced settings edits are written.
+const SETTLE_MS = 2000;
+
+export const AREAS = [
+  "Settings",
+  "Access",
+  "Quote",
+  "Catalog",
+  "Parts",
+  "Backup",
+];
+
+export const SETTING_LABELS = {
+  stdRate: "Std labor rate ($/hr)",
+  afterRate: "After-hours rate ($/hr)",
+  dayStart: "Business hours start",
+  dayEnd: "Business hours end",
+  weekendDays: "Weekend days",
+  holidays: "Holidays",
+  tripFee: "Trip fee ($)",
+  taxPct: "Sales tax (%)",
+  partsMarkupPct: "Parts markup (%)",
+  markupMatrix: "Parts markup tiers",
+  plans: "Membership plans",
+  taxJurisdictions: "Tax jurisdictions",
+};
+
+const LINE_FIELDS = [
+  { key: "laborHrs", label: "Labor hours" },
+  { key: "parts", label: "Parts cost ($)" },
+  { key: "qty", label: "Quantity" },
+];
+
+const listeners = new Set();
+
+// `fn(log)` now and after every append; returns the unsubscribe function.
+export function subscribeAudit(fn) {
+  listeners.add(fn);
+  fn(loadAudit());
+  return () => listeners.delete(fn);
+}
+
+export function loadAudit() {
+  const log = getItem("auditLog", []);
+  return Array.isArray(log) ? log : [];
+}
+
+// Adds one entry or a list of them, stamped with `at` unless they carry
+// their own; returns the new log.
+export function appendAudit(entries, at = Date.now()) {
+  const added = (Array.isArray(entries) ? entries : [entries]).map((e) => ({
+    at,
+    ...e,
+  }));
+  if (added.length === 0) return loadAudit();
+  const log = [...loadAudit(), ...added];
+  setItem("auditLog", log);
+  listeners.forEach((fn) => fn(log));
+  return log;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Coalesced edits waiting to be written, by area and item (first `from`,
+// latest `to`).
+const pending = new Map();
+let settleTimer = null;
+let hooked = false;
+
+export function flushAudit() {
+  clearTimeout(settleTimer);
+  settleTimer = null;
+  const ready = [...pending.values()].filter((e) => !same(e.from, e.to));
+  pending.clear();
+  appendAudit(ready);
+}
+
+function coalesce(entry) {
+  const id = `${entry.area}:${entry.item}`;
+  const open = pending.get(id);
+  pending.set(id, {
+    ...entry,
+    at: open?.at ?? entry.at,
+    from: open ? open.from : entry.from,
+  });
+}
+
+function settleLater() {
+  if (pending.size === 0) return;
+  if (!hooked && typeof window !== "undefined") {
+    window.addEventListener("pagehide", flushAudit);
+    hooked = true;
+  }
+  clearTimeout(settleTimer);
+  settleTimer = setTimeout(flushAudit, SETTLE_MS);
+}
+
+/**
+ * Records changed settings between `before` and `after` (key → value), keyed
+ * by SETTING_LABELS. Written once edits settle, or when the page is hidden.
+ */
+export function recordSettings(before, after, who, at = Date.now()) {
+  Object.keys(after).forEach((key) => {
+    if (same(before[key], after[key])) return;
+    const item = SETTING_LABELS[key] || key;
+    coalesce({
+      at,
+      who,
+      area: "Settings",
+      item,
+      from: before[key],
+      to: after[key],
+    });
+  });
+  settleLater();
+}
+
+/**
+ * Records part cost changes between two parts lists; a part's cost prices
+ * quote lines with its SKU. Added and removed parts log from/to null.
+ */
+export function recordPartCosts(before, after, who, at = Date.now()) {
+  const costs = (parts) => new Map(parts.map((p) => [p.sku, p.cost]));
+  const was = costs(before);
+  const now = costs(after);
+  new Set([...was.keys(), ...now.keys()]).forEach((sku) => {
+    const from = was.get(sku) ?? null;
+    const to = now.get(sku) ?? null;
+    if (same(from, to)) return;
+    coalesce({
+      at,
+      who,
+      area: "Parts",
+      item: `SKU ${sku}`,
+      field: "Cost ($)",
+      from,
+      to,
+    });
+  });
+  settleLater();
+}
+
+/**
+ * The entry for a catalog change that made `version`: `item` says what did it
+ * (file, editor, sync, rollback), `to` counts issues via diffCatalogs.
+ */
+export function catalogAudit(
+  before,
+  after,
+  { who, item, version, flowsChanged }
+) {
+  const { added, changed, removed } = diffCatalogs(before, after);
+  return {
+    who,
+    area: "Catalog",
+    item,
+    field: `Version ${version}`,
+    from: null,
+    to: `${added.length} added, ${changed.length} changed, ${
+      removed.length
+    } removed${flowsChanged ? ", flows updated" : ""}`,
+  };
+}
+
+/**
+ * The log to write with a restored backup: this device's entries plus the
+ * backup's (an entry on both is kept once), oldest first, and one recording
+ * the restore. `data` is what the restore writes; `backup` the whole file.
+ */
+export function restoredAudit(
+  backup,
+  data,
+  { who, file, replace },
+  at = Date.now()
+) {
+  flushAudit();
+  const theirs = Array.isArray(backup.settings.auditLog)
+    ? backup.settings.auditLog
+    : [];
+  const seen = new Set();
+  const merged = [...loadAudit(), ...theirs].filter((e) => {
+    const key = JSON.stringify(e);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  merged.sort((a, b) => a.at - b.at);
+  const settings = Object.keys(data.settings).filter((k) => k !== "auditLog");
+  return [
+    ...merged,
+    {
+      at,
+      who,
+      area: "Backup",
+      item: `${replace ? "Replaced device from" : "Merged"} ${file}`,
+      field: `Backup of ${new Date(backup.createdAt).toLocaleString()}`,
+      from: null,
+      to: `${settings.length} settings, ${data.quotes.length} quotes`,
+    },
+  ];
+}
+
+/**
+ * Audit entries for a saved quote's lines that differ from their catalog
+ * defaults. With `previous` (the quote as saved before), only values that
+ * changed since are listed.
+ */
+export function quoteDeviations(q, previous, who, title) {
+  const before = new Map((previous?.lines || []).map((l) => [l.key, l]));
+  return (q.lines || []).flatMap((l) =>
+    LINE_FIELDS.filter(
+      ({ key }) =>
+        l.defaults &&
+        Number(l[key]) !== Number(l.defaults[key]) &&
+        Number(l[key]) !== Number(before.get(l.key)?.[key])
+    ).map(({ key, label }) => ({
+      who,
+      area: "Quote",
+      item: `${new Date(q.ts).toLocaleString()} – ${title(l)}`,
+      field: label,
+      from: l.defaults[key],
+      to: l[key],
+      quoteTs: q.ts,
+    }))
+  );
+}
+
+// Display text for a logged value.
+export function auditValue(v) {
+  if (v == null || v === "") return "—";
+  if (Array.isArray(v) && v.every((x) => typeof x !== "object")) {
+    return v.join(", ") || "—";
+  }
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+// Entries matching { query, area, who, from, to } (dates as YYYY-MM-DD).
+export function filterAudit(
+  log,
+  { query = "", area = "", who = "", from, to }
+) {
+  const start = from ? new Date(`${from}T00:00`).getTime() : -Infinity;
+  const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  const q = query.trim().toLowerCase();
+  return log.filter(
+    (e) =>
+      e.at >= start &&
+      e.at <= end &&
+      (!area || e.area === area) &&
+      (!who || e.who === who) &&
+      (!q ||
+        [e.item, e.field, auditValue(e.from), auditValue(e.to)]
+          .join(" ")
+          .toLowerCase()
+          .includes(q))
+  );
+}
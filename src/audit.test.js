@@ -0,0 +1,315 @@
+import {
+  appendAudit,
+  auditValue,
+  catalogAudit,
+  filterAudit,
+  flushAudit,
+  loadAudit,
+  quoteDeviations,
+  recordPartCosts,
+  recordSettings,
+  restoredAudit,
+  subscribeAudit,
+} from "./audit";
+import { setItem } from "./storage";
+
+describe("restoredAudit", () => {
+  const mine = [
+    {
+      at: 1,
+      who: "Manager",
+      area: "Settings",
+      item: "Trip fee ($)",
+      from: 89,
+      to: 99,
+    },
+    {
+      at: 5,
+      who: "Lead",
+      area: "Settings",
+      item: "Sales tax (%)",
+      from: 8,
+      to: 9,
+    },
+  ];
+  const backup = {
+    createdAt: 3,
+    settings: {
+      stdRate: 150,
+      auditLog: [
+        mine[0],
+        {
+          at: 2,
+          who: "Manager",
+          area: "Settings",
+          item: "Std labor rate ($/hr)",
+          from: 140,
+          to: 150,
+        },
+      ],
+    },
+    quotes: [{ ts: 1 }],
+  };
+
+  beforeEach(() => setItem("auditLog", mine));
+
+  test("keeps this device's entries and adds the backup's once, oldest first", () => {
+    const log = restoredAudit(
+      backup,
+      backup,
+      { who: "Manager", file: "b.json", replace: true },
+      10
+    );
+    expect(log.slice(0, -1).map((e) => e.at)).toEqual([1, 2, 5]);
+    expect(loadAudit()).toEqual(mine);
+  });
+
+  test("records who restored which file", () => {
+    const merge = { settings: {}, quotes: [{ ts: 1 }] };
+    const log = restoredAudit(
+      backup,
+      merge,
+      { who: "Manager", file: "b.json", replace: false },
+      10
+    );
+    expect(log.at(-1)).toMatchObject({
+      at: 10,
+      who: "Manager",
+      area: "Backup",
+      item: "Merged b.json",
+      to: "0 settings, 1 quotes",
+    });
+  });
+
+  test("a backup without a log still keeps the device's", () => {
+    const old = { createdAt: 3, settings: { stdRate: 150 }, quotes: [] };
+    const log = restoredAudit(
+      old,
+      old,
+      { who: "Manager", file: "old.json", replace: true },
+      10
+    );
+    expect(log.map((e) => e.at)).toEqual([1, 5, 10]);
+    expect(log.at(-1).to).toBe("1 settings, 0 quotes");
+  });
+});
+
+describe("appendAudit", () => {
+  beforeEach(() => setItem("auditLog", []));
+
+  test("stamps entries, keeps their own time and notifies subscribers", () => {
+    const seen = [];
+    const stop = subscribeAudit((log) => seen.push(log.length));
+    appendAudit([{ item: "A" }, { item: "B", at: 3 }], 7);
+    stop();
+    appendAudit({ item: "C" }, 8);
+    expect(loadAudit().map((e) => [e.item, e.at])).toEqual([
+      ["A", 7],
+      ["B", 3],
+      ["C", 8],
+    ]);
+    expect(seen).toEqual([0, 2]);
+  });
+});
+
+describe("recordSettings", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    setItem("auditLog", []);
+  });
+  afterEach(() => jest.useRealTimers());
+
+  test("coalesces edits to a setting until typing pauses", () => {
+    recordSettings({ stdRate: 150 }, { stdRate: 1 }, "Lead", 5);
+    recordSettings({ stdRate: 1 }, { stdRate: 17 }, "Lead", 6);
+    recordSettings({ stdRate: 17 }, { stdRate: 175 }, "Lead", 7);
+    expect(loadAudit()).toEqual([]);
+    jest.advanceTimersByTime(2000);
+    expect(loadAudit()).toEqual([
+      {
+        at: 5,
+        who: "Lead",
+        area: "Settings",
+        item: "Std labor rate ($/hr)",
+        from: 150,
+        to: 175,
+      },
+    ]);
+  });
+
+  test("an edit that ends where it started is not logged", () => {
+    recordSettings({ taxPct: 8 }, { taxPct: 9 }, "Lead", 5);
+    recordSettings({ taxPct: 9 }, { taxPct: 8 }, "Lead", 6);
+    flushAudit();
+    expect(loadAudit()).toEqual([]);
+  });
+
+  test("unchanged settings are ignored; structured values compare by content", () => {
+    recordSettings(
+      { weekendDays: [0, 6], tripFee: 89 },
+      { weekendDays: [0, 6], tripFee: 89 },
+      "Lead"
+    );
+    recordSettings(
+      { holidays: [] },
+      { holidays: [{ date: "2025-12-25" }] },
+      "Manager",
+      9
+    );
+    flushAudit();
+    expect(loadAudit().map((e) => [e.item, e.who])).toEqual([
+      ["Holidays", "Manager"],
+    ]);
+  });
+});
+
+describe("recordPartCosts", () => {
+  beforeEach(() => setItem("auditLog", []));
+
+  test("coalesces cost edits per SKU; added and removed parts log null", () => {
+    const a = { sku: "CAP-45", name: "Capacitor", cost: 18 };
+    const b = { sku: "IGN-1", name: "Igniter", cost: 40 };
+    recordPartCosts([a, b], [{ ...a, cost: 2 }, b], "Lead", 5);
+    recordPartCosts([{ ...a, cost: 2 }, b], [{ ...a, cost: 22 }, b], "Lead", 6);
+    recordPartCosts(
+      [{ ...a, cost: 22 }, b],
+      [
+        { ...a, name: "Cap 45/5", cost: 22 },
+        { sku: "FLT-1", cost: 9 },
+      ],
+      "Lead",
+      7
+    );
+    flushAudit();
+    expect(loadAudit().map((e) => [e.at, e.item, e.from, e.to])).toEqual([
+      [5, "SKU CAP-45", 18, 22],
+      [7, "SKU IGN-1", 40, null],
+      [7, "SKU FLT-1", null, 9],
+    ]);
+    expect(loadAudit()[0]).toMatchObject({ area: "Parts", field: "Cost ($)" });
+  });
+});
+
+test("catalogAudit counts the issues a catalog change touched", () => {
+  const before = {
+    Cooling: [
+      { id: "c1", issue: "Capacitor", defaultLaborHrs: 1 },
+      { id: "c2", issue: "Contactor", defaultLaborHrs: 1 },
+    ],
+  };
+  const after = {
+    Cooling: [
+      { id: "c1", issue: "Capacitor", defaultLaborHrs: 1.5 },
+      { id: "c3", issue: "Fan motor", defaultLaborHrs: 2 },
+    ],
+  };
+  expect(
+    catalogAudit(before, after, {
+      who: "Manager",
+      item: "catalog.csv",
+      version: 4,
+    })
+  ).toEqual({
+    who: "Manager",
+    area: "Catalog",
+    item: "catalog.csv",
+    field: "Version 4",
+    from: null,
+    to: "1 added, 1 changed, 1 removed",
+  });
+  expect(
+    catalogAudit(before, before, {
+      who: "Sync",
+      item: "Synced profile v2",
+      version: 5,
+      flowsChanged: true,
+    }).to
+  ).toBe("0 added, 0 changed, 0 removed, flows updated");
+});
+
+describe("quoteDeviations", () => {
+  const line = {
+    key: "k",
+    issue: "Capacitor",
+    option: "Best",
+    laborHrs: 1.5,
+    parts: 20,
+    qty: 2,
+    defaults: { laborHrs: 1, parts: 20, qty: 1 },
+  };
+  const title = (l) => `${l.issue} (${l.option})`;
+
+  test("lists each value that differs from the catalog default", () => {
+    const d = quoteDeviations({ ts: 1, lines: [line] }, null, "Tech", title);
+    expect(
+      d.map((e) => [e.area, e.who, e.field, e.from, e.to, e.quoteTs])
+    ).toEqual([
+      ["Quote", "Tech", "Labor hours", 1, 1.5, 1],
+      ["Quote", "Tech", "Quantity", 1, 2, 1],
+    ]);
+    expect(d[0].item).toMatch(/– Capacitor \(Best\)$/);
+  });
+
+  test("re-saving only lists values changed since the last save", () => {
+    const previous = { ts: 1, lines: [line] };
+    const next = { ts: 1, lines: [{ ...line, qty: 3 }] };
+    expect(
+      quoteDeviations(next, previous, "Tech", title).map((e) => e.field)
+    ).toEqual(["Quantity"]);
+    expect(quoteDeviations(previous, previous, "Tech", title)).toEqual([]);
+  });
+
+  test("lines without catalog defaults are skipped", () => {
+    const { defaults, ...custom } = line;
+    expect(
+      quoteDeviations({ ts: 1, lines: [custom] }, null, "Tech", title)
+    ).toEqual([]);
+  });
+});
+
+test("filterAudit by text, area, who and date", () => {
+  const day = (d) => new Date(2025, 0, d, 12).getTime();
+  const log = [
+    {
+      at: day(1),
+      who: "Lead",
+      area: "Settings",
+      item: "Trip fee ($)",
+      from: 89,
+      to: 99,
+    },
+    {
+      at: day(5),
+      who: "Manager",
+      area: "Catalog",
+      item: "Bulk adjustment",
+      to: "parts +5%",
+    },
+    {
+      at: day(9),
+      who: "Tech",
+      area: "Quote",
+      item: "Capacitor",
+      field: "Labor hours",
+      from: 1,
+      to: 2,
+    },
+  ];
+  const items = (f) => filterAudit(log, f).map((e) => e.item);
+  expect(items({})).toHaveLength(3);
+  expect(items({ query: "TRIP" })).toEqual(["Trip fee ($)"]);
+  expect(items({ query: "+5%" })).toEqual(["Bulk adjustment"]);
+  expect(items({ area: "Quote" })).toEqual(["Capacitor"]);
+  expect(items({ who: "Manager" })).toEqual(["Bulk adjustment"]);
+  expect(items({ from: "2025-01-05", to: "2025-01-05" })).toEqual([
+    "Bulk adjustment",
+  ]);
+});
+
+test("auditValue", () => {
+  expect(auditValue(null)).toBe("—");
+  expect(auditValue([0, 6])).toBe("0, 6");
+  expect(auditValue([])).toBe("—");
+  expect(auditValue([{ date: "2025-12-25" }])).toBe('[{"date":"2025-12-25"}]');
+  expect(auditValue(0)).toBe("0");
+});
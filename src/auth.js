@@ -0,0 +1,111 @@
+import { getItem, removeItem, setItem } from "./storage";
+
+/**
+ * PIN-based roles.
+ * - "tech" needs no PIN; "lead" and "manager" each have their own PIN.
+ * - PINs are stored as salted PBKDF2-SHA256 hashes (WebCrypto) under the
+ *   `auth` storage key.
+ * - Repeated wrong PINs lock the unlock form; the counter survives reloads.
+ * - Each role sees only the pricing controls in its permission list;
+ *   managers always see everything and edit the tech/lead lists.
+ */
+
+export const ROLES = ["tech", "lead", "manager"];
+export const ROLE_LABELS = { tech: "Tech", lead: "Lead", manager: "Manager" };
+
+export const PERMISSIONS = [
+  { key: "rates", label: "Rates, fees & business hours" },
+  { key: "lineParts", label: "Parts cost & qty per line" },
+  { key: "quotePricing", label: "Markup/trip/tax & price breakdown" },
+  { key: "savedDetail", label: "Saved quote pricing detail & CSV" },
+  { key: "catalog", label: "Catalog import, editor & versions" },
+  { key: "inventory", label: "Parts list: costs, vendors & par" },
+];
+
+export const DEFAULT_ROLE_PERMS = {
+  tech: [],
+  lead: ["lineParts", "quotePricing", "savedDetail"],
+};
+
+export const MAX_ATTEMPTS = 5;
+export const LOCKOUT_MS = 5 * 60 * 1000;
+export const IDLE_RELOCK_MS = 10 * 60 * 1000;
+export const MIN_PIN_LENGTH = 4;
+
+const ITERATIONS = 100000;
+
+function toHex(buf) {
+  return [...new Uint8Array(buf)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function fromHex(hex) {
+  return new Uint8Array(hex.match(/../g).map((h) => parseInt(h, 16)));
+}
+
+async function derive(pin, salt) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(pin),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations: ITERATIONS },
+    key,
+    256
+  );
+  return toHex(bits);
+}
+
+export async function hashPin(pin) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return { salt: toHex(salt), hash: await derive(pin, salt) };
+}
+
+export async function checkPin(pin, record) {
+  if (!record) return false;
+  return (await derive(pin, fromHex(record.salt))) === record.hash;
+}
+
+// { pins: { lead?, manager? }, failed, lockedUntil, rolePerms }
+export function loadAuth() {
+  const auth = getItem("auth", {});
+  return {
+    pins: auth.pins || {},
+    failed: auth.failed || 0,
+    lockedUntil: auth.lockedUntil || 0,
+    rolePerms: { ...DEFAULT_ROLE_PERMS, ...auth.rolePerms },
+  };
+}
+
+export function saveAuth(auth) {
+  setItem("auth", auth);
+}
+
+// One-time move of the old plain-text `hvac_pin` into a hashed manager PIN.
+export async function migrateLegacyPin(auth) {
+  const legacy = getItem("legacyPin");
+  if (!legacy) return auth;
+  const next = auth.pins.manager
+    ? auth
+    : { ...auth, pins: { ...auth.pins, manager: await hashPin(legacy) } };
+  saveAuth(next);
+  removeItem("legacyPin");
+  return next;
+}
+
+// Records a failed attempt; the form locks once MAX_ATTEMPTS is reached.
+export function registerFailure(auth, now = Date.now()) {
+  const failed = auth.failed + 1;
+  return failed >= MAX_ATTEMPTS
+    ? { ...auth, failed: 0, lockedUntil: now + LOCKOUT_MS }
+    : { ...auth, failed };
+}
+
+export function permissionsFor(role, rolePerms) {
+  if (role === "manager") return PERMISSIONS.map((p) => p.key);
+  return rolePerms[role] || [];
+}
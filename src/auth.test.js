@@ -0,0 +1,78 @@
+import {
+  LOCKOUT_MS,
+  MAX_ATTEMPTS,
+  checkPin,
+  hashPin,
+  loadAuth,
+  migrateLegacyPin,
+  permissionsFor,
+  registerFailure,
+} from "./auth";
+import { getItem, removeItem, setItem } from "./storage";
+
+describe("PIN hashing", () => {
+  test("checkPin accepts the hashed PIN and nothing else", async () => {
+    const record = await hashPin("4821");
+    expect(record.salt).toMatch(/^[0-9a-f]{32}$/);
+    expect(record.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(record.hash).not.toContain("4821");
+    expect(await checkPin("4821", record)).toBe(true);
+    expect(await checkPin("4822", record)).toBe(false);
+    expect(await checkPin("4821", undefined)).toBe(false);
+  });
+
+  test("the same PIN gets a different salt and hash each time", async () => {
+    const [a, b] = await Promise.all([hashPin("4821"), hashPin("4821")]);
+    expect(a.salt).not.toBe(b.salt);
+    expect(a.hash).not.toBe(b.hash);
+  });
+});
+
+describe("registerFailure", () => {
+  test("locks for LOCKOUT_MS on the last allowed attempt and resets the count", () => {
+    let auth = loadAuth();
+    for (let n = 1; n < MAX_ATTEMPTS; n++) {
+      auth = registerFailure(auth, 1000);
+      expect(auth).toMatchObject({ failed: n, lockedUntil: 0 });
+    }
+    auth = registerFailure(auth, 1000);
+    expect(auth).toMatchObject({ failed: 0, lockedUntil: 1000 + LOCKOUT_MS });
+  });
+});
+
+describe("migrateLegacyPin", () => {
+  beforeEach(() => {
+    removeItem("auth");
+    removeItem("legacyPin");
+  });
+
+  test("hashes the old plain-text PIN into the manager PIN and removes it", async () => {
+    setItem("legacyPin", "1234");
+    const auth = await migrateLegacyPin(loadAuth());
+    expect(await checkPin("1234", auth.pins.manager)).toBe(true);
+    expect(getItem("auth").pins.manager).toEqual(auth.pins.manager);
+    expect(getItem("legacyPin")).toBeUndefined();
+  });
+
+  test("keeps a manager PIN that is already set", async () => {
+    const manager = await hashPin("9999");
+    setItem("legacyPin", "1234");
+    const auth = await migrateLegacyPin({ ...loadAuth(), pins: { manager } });
+    expect(auth.pins.manager).toBe(manager);
+    expect(getItem("legacyPin")).toBeUndefined();
+  });
+
+  test("does nothing without a legacy PIN", async () => {
+    const before = loadAuth();
+    expect(await migrateLegacyPin(before)).toBe(before);
+    expect(getItem("auth")).toBeUndefined();
+  });
+});
+
+test("permissionsFor gives managers everything and others their list", () => {
+  const { rolePerms } = loadAuth();
+  expect(permissionsFor("manager", rolePerms)).toContain("catalog");
+  expect(permissionsFor("lead", rolePerms)).toEqual(rolePerms.lead);
+  expect(permissionsFor("tech", rolePerms)).toEqual([]);
+  expect(permissionsFor("tech", { tech: ["rates"] })).toEqual(["rates"]);
+});
@@ -0,0 +1,166 @@
+import { SCHEMA_VERSION } from "./storage";
+
+/**
+ * Whole-device backup file: settings (rates, PINs, catalog, company…) + saved quotes.
+ * - Plain: { format, version, schemaVersion, createdAt, settings, quotes }.
+ * - Encrypted: { format, version, encrypted: true, kdf, iv, data } where data is
+ *   the plain backup, AES-GCM encrypted with a PBKDF2-SHA256 passphrase key.
+ * - Restore either replaces the device or merges into it; quotes are matched on
+ *   `ts` and differing copies are reported as conflicts for the manager to pick.
+ */
+
+export const BACKUP_FORMAT = "hvac-flat-rate-backup";
+export const BACKUP_VERSION = 1;
+
+const ITERATIONS = 250000;
+
+function toBase64(buf) {
+  let s = "";
+  new Uint8Array(buf).forEach((b) => {
+    s += String.fromCharCode(b);
+  });
+  return btoa(s);
+}
+
+function fromBase64(b64) {
+  return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const base = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+export function buildBackup({ settings, quotes }, createdAt = Date.now()) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    createdAt,
+    settings,
+    quotes,
+  };
+}
+
+export async function encryptBackup(backup, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, ITERATIONS);
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(backup))
+  );
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    encrypted: true,
+    kdf: {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      iterations: ITERATIONS,
+      salt: toBase64(salt),
+    },
+    iv: toBase64(iv),
+    data: toBase64(data),
+  };
+}
+
+// Parses a backup file's text; the result may still be encrypted.
+export function parseBackupFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("Not a backup file (invalid JSON).");
+  }
+  if (parsed?.format !== BACKUP_FORMAT) {
+    throw new Error("Not a backup file from this app.");
+  }
+  if (parsed.version > BACKUP_VERSION) {
+    throw new Error(
+      "This backup was made by a newer version of the app. Update first."
+    );
+  }
+  return parsed;
+}
+
+export async function decryptBackup(envelope, passphrase) {
+  try {
+    const key = await deriveKey(
+      passphrase,
+      fromBase64(envelope.kdf.salt),
+      envelope.kdf.iterations
+    );
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(envelope.iv) },
+      key,
+      fromBase64(envelope.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch {
+    throw new Error("Wrong passphrase, or the file is damaged.");
+  }
+}
+
+export function checkBackup(backup) {
+  if (
+    !backup ||
+    typeof backup.settings !== "object" ||
+    !Array.isArray(backup.quotes)
+  ) {
+    throw new Error("Backup is missing its settings or quotes.");
+  }
+  if (backup.quotes.some((q) => typeof q?.ts !== "number")) {
+    throw new Error("Backup has quotes without a timestamp id.");
+  }
+  return backup;
+}
+
+/**
+ * Compares a backup with the device: quotes only in the backup (`added`),
+ * identical on both (`same`), or differing on the same `ts` (`conflicts`),
+ * plus setting keys the device does not have yet (`newSettings`).
+ */
+export function planRestore(backup, current) {
+  const mine = new Map(current.quotes.map((q) => [q.ts, q]));
+  const added = [];
+  const same = [];
+  const conflicts = [];
+  for (const q of backup.quotes) {
+    const m = mine.get(q.ts);
+    if (!m) added.push(q);
+    else if (JSON.stringify(m) === JSON.stringify(q)) same.push(q);
+    else conflicts.push({ ts: q.ts, mine: m, theirs: q });
+  }
+  const newSettings = Object.keys(backup.settings).filter(
+    (k) => !(k in current.settings)
+  );
+  return { added, same, conflicts, newSettings };
+}
+
+// Data to write for a merge: new quotes, conflicts resolved to the backup copy
+// when their `ts` is in `useBackup`, and only settings the device lacks.
+export function mergeData(backup, plan, useBackup) {
+  return {
+    settings: Object.fromEntries(
+      plan.newSettings.map((k) => [k, backup.settings[k]])
+    ),
+    quotes: [
+      ...plan.added,
+      ...plan.conflicts.filter((c) => useBackup.has(c.ts)).map((c) => c.theirs),
+    ],
+  };
+}
@@ -0,0 +1,98 @@
+import {
+  BACKUP_FORMAT,
+  buildBackup,
+  checkBackup,
+  decryptBackup,
+  encryptBackup,
+  mergeData,
+  parseBackupFile,
+  planRestore,
+} from "./backup";
+
+const device = {
+  settings: { stdRate: 150, company: { name: "Acme" } },
+  quotes: [
+    { ts: 1, total: 100 },
+    { ts: 2, total: 200 },
+  ],
+};
+
+test("buildBackup wraps the device data with format and versions", () => {
+  expect(buildBackup(device, 42)).toMatchObject({
+    format: BACKUP_FORMAT,
+    version: 1,
+    schemaVersion: 1,
+    createdAt: 42,
+    ...device,
+  });
+});
+
+describe("encryption", () => {
+  test("round trip with the right passphrase", async () => {
+    const backup = buildBackup(device, 42);
+    const file = await encryptBackup(backup, "correct horse");
+    expect(file).toMatchObject({ format: BACKUP_FORMAT, encrypted: true });
+    expect(JSON.stringify(file)).not.toContain("Acme");
+    const parsed = parseBackupFile(JSON.stringify(file));
+    expect(await decryptBackup(parsed, "correct horse")).toEqual(backup);
+  });
+
+  test("a wrong passphrase is reported, not thrown raw", async () => {
+    const file = await encryptBackup(buildBackup(device), "one");
+    await expect(decryptBackup(file, "two")).rejects.toThrow(
+      "Wrong passphrase, or the file is damaged."
+    );
+  });
+});
+
+describe("reading files", () => {
+  test("rejects other files and newer versions", () => {
+    expect(() => parseBackupFile("{")).toThrow(/invalid JSON/);
+    expect(() => parseBackupFile('{"format":"other"}')).toThrow(
+      "Not a backup file from this app."
+    );
+    expect(() =>
+      parseBackupFile(JSON.stringify({ format: BACKUP_FORMAT, version: 99 }))
+    ).toThrow(/newer version/);
+  });
+
+  test("checkBackup needs settings and quotes with timestamps", () => {
+    expect(() => checkBackup({ settings: {} })).toThrow(/missing/);
+    expect(() => checkBackup({ settings: {}, quotes: [{ total: 1 }] })).toThrow(
+      /without a timestamp/
+    );
+  });
+});
+
+describe("merge restore", () => {
+  const backup = {
+    settings: { stdRate: 175, tripFee: 99 },
+    quotes: [
+      { ts: 1, total: 100 },
+      { ts: 2, total: 250 },
+      { ts: 3, total: 300 },
+    ],
+  };
+
+  test("planRestore sorts quotes into added, same and conflicts", () => {
+    const plan = planRestore(backup, device);
+    expect(plan.added.map((q) => q.ts)).toEqual([3]);
+    expect(plan.same.map((q) => q.ts)).toEqual([1]);
+    expect(plan.conflicts).toEqual([
+      { ts: 2, mine: device.quotes[1], theirs: backup.quotes[1] },
+    ]);
+    expect(plan.newSettings).toEqual(["tripFee"]);
+  });
+
+  test("mergeData keeps device settings and the chosen side of conflicts", () => {
+    const plan = planRestore(backup, device);
+    expect(mergeData(backup, plan, new Set())).toEqual({
+      settings: { tripFee: 99 },
+      quotes: [backup.quotes[2]],
+    });
+    expect(mergeData(backup, plan, new Set([2])).quotes).toEqual([
+      backup.quotes[2],
+      backup.quotes[1],
+    ]);
+  });
+});
@@ -0,0 +1,445 @@
+/**
+ * Catalog schema: { "Category": [Issue, ...], ... }
+ * Issue: { id, issue, symptoms?, cause?, diagnostics?, suggested?, sku?, code?,
+ *          defaultLaborHrs?, defaultPartsCost?, defaultQty?, taxExempt?,
+ *          options? }
+ *   `taxExempt: true` starts quote lines for the issue as tax-exempt.
+ * Option (tiered repair, e.g. Good/Better/Best):
+ *   { name, suggested?, sku?, defaultLaborHrs?, defaultPartsCost?, defaultQty? }
+ *   Missing numbers fall back to the issue's own defaults.
+ * A `sku` found in the parts inventory prices the part from there instead of
+ * defaultPartsCost (see inventory.js).
+ *
+ * A catalog file may also carry guided diagnostic flows:
+ *   { "categories": { "Category": [Issue, ...] }, "flows": [Flow, ...] }
+ * Flow: { id, category, title?, start, steps: { stepId: Step } }
+ * Step: { question, hint?, unit?, answers: [Answer, ...] }
+ * Answer: { label, next?: stepId, issues?: [issueId, ...], min?, max? }
+ *   Each answer either goes to another step or lands on issues. Steps with a
+ *   `unit` are measurements: the reading picks the answer with min <= x < max.
+ */
+
+export const TEXT_FIELDS = [
+  "symptoms",
+  "cause",
+  "diagnostics",
+  "suggested",
+  "sku",
+  "code",
+];
+export const NUMBER_FIELDS = [
+  "defaultLaborHrs",
+  "defaultPartsCost",
+  "defaultQty",
+];
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+// Coerces a numeric field in place; returns an error message or null.
+function checkNumber(obj, f, warn) {
+  const v = obj[f];
+  const n = typeof v === "string" ? Number(v.trim()) : v;
+  if (typeof n !== "number" || !Number.isFinite(n)) {
+    return `Not a number: ${JSON.stringify(v)}`;
+  }
+  if (n < 0) return `Must not be negative: ${n}`;
+  if (typeof v === "string") warn(`Text "${v}" read as ${n}`);
+  obj[f] = n;
+  return null;
+}
+
+/**
+ * Checks a parsed catalog and returns a normalized copy plus per-row problems.
+ * Errors block the import; warnings are fixed up (coerced/defaulted) and reported.
+ * Each problem is { category, row, field, message } (row is 1-based, null for the category).
+ */
+export function validateCatalog(file) {
+  const errors = [];
+  const warnings = [];
+  const catalog = {};
+  let issueCount = 0;
+  // Files with flows wrap the categories; plain catalogs have no flows (null).
+  const withFlows =
+    isPlainObject(file) && isPlainObject(file.categories) && "flows" in file;
+  const parsed = withFlows ? file.categories : file;
+
+  if (!isPlainObject(parsed)) {
+    errors.push({
+      category: null,
+      row: null,
+      field: null,
+      message: "Catalog must be an object of { category: [issues] }",
+    });
+    return {
+      catalog,
+      flows: null,
+      errors,
+      warnings,
+      stats: { categories: 0, issues: 0, flows: 0 },
+    };
+  }
+
+  const seenIds = new Map();
+  const categories = Object.keys(parsed);
+  if (categories.length === 0) {
+    errors.push({
+      category: null,
+      row: null,
+      field: null,
+      message: "Catalog has no categories",
+    });
+  }
+
+  for (const category of categories) {
+    const rows = parsed[category];
+    const err = (row, field, message) =>
+      errors.push({ category, row, field, message });
+    const warn = (row, field, message) =>
+      warnings.push({ category, row, field, message });
+
+    if (!category.trim()) err(null, null, "Category name is empty");
+    if (!Array.isArray(rows)) {
+      err(null, null, "Category must be a list of issues");
+      continue;
+    }
+    if (rows.length === 0) warn(null, null, "Category has no issues");
+
+    catalog[category] = [];
+    rows.forEach((raw, idx) => {
+      const row = idx + 1;
+      if (!isPlainObject(raw)) {
+        err(row, null, "Issue must be an object");
+        return;
+      }
+      const item = { ...raw };
+
+      if (typeof item.id === "number") item.id = String(item.id);
+      if (typeof item.id !== "string" || !item.id.trim()) {
+        err(row, "id", "Missing id");
+      } else if (seenIds.has(item.id)) {
+        const first = seenIds.get(item.id);
+        err(
+          row,
+          "id",
+          `Duplicate id "${item.id}" (first used in ${first.category} row ${first.row})`
+        );
+      } else {
+        seenIds.set(item.id, { category, row });
+      }
+
+      if (typeof item.issue !== "string" || !item.issue.trim()) {
+        err(row, "issue", "Missing issue name");
+      }
+
+      for (const f of TEXT_FIELDS) {
+        if (item[f] == null) continue;
+        if (typeof item[f] !== "string") {
+          warn(row, f, `Expected text, converted ${JSON.stringify(item[f])}`);
+          item[f] = String(item[f]);
+        }
+      }
+
+      for (const f of NUMBER_FIELDS) {
+        if (item[f] == null || item[f] === "") {
+          warn(row, f, "Missing; app default will be used");
+          delete item[f];
+          continue;
+        }
+        const problem = checkNumber(item, f, (m) => warn(row, f, m));
+        if (problem) err(row, f, problem);
+      }
+
+      if (item.taxExempt != null && typeof item.taxExempt !== "boolean") {
+        const flag = /^(true|yes|y|1)$/i.test(String(item.taxExempt).trim());
+        warn(
+          row,
+          "taxExempt",
+          `${JSON.stringify(item.taxExempt)} read as ${flag ? "yes" : "no"}`
+        );
+        item.taxExempt = flag;
+      }
+
+      if (item.options != null) {
+        if (!Array.isArray(item.options)) {
+          err(row, "options", "Options must be a list");
+        } else {
+          item.options = item.options.map((raw, n) => {
+            const field = (f) => `options[${n + 1}]${f ? `.${f}` : ""}`;
+            if (!isPlainObject(raw)) {
+              err(row, field(), "Option must be an object");
+              return raw;
+            }
+            const opt = { ...raw };
+            if (typeof opt.name !== "string" || !opt.name.trim()) {
+              err(row, field("name"), "Missing option name");
+            }
+            for (const f of ["suggested", "sku"]) {
+              if (opt[f] != null && typeof opt[f] !== "string") {
+                opt[f] = String(opt[f]);
+              }
+            }
+            for (const f of NUMBER_FIELDS) {
+              if (opt[f] == null || opt[f] === "") {
+                delete opt[f];
+                continue;
+              }
+              const problem = checkNumber(opt, f, (m) =>
+                warn(row, field(f), m)
+              );
+              if (problem) err(row, field(f), problem);
+            }
+            return opt;
+          });
+          const names = item.options.map((o) => o?.name);
+          const dupe = names.find((n, i) => n && names.indexOf(n) !== i);
+          if (dupe) err(row, "options", `Duplicate option "${dupe}"`);
+        }
+      }
+
+      catalog[category].push(item);
+      issueCount += 1;
+    });
+  }
+
+  const flows = withFlows
+    ? validateFlows(file.flows, catalog, errors, warnings)
+    : null;
+
+  return {
+    catalog,
+    flows,
+    errors,
+    warnings,
+    stats: {
+      categories: Object.keys(catalog).length,
+      issues: issueCount,
+      flows: flows?.length || 0,
+    },
+  };
+}
+
+// Checks diagnostic flows, pushing problems (category = the flow) onto
+// `errors`/`warnings`; returns normalized copies.
+function validateFlows(rawFlows, catalog, errors, warnings) {
+  if (!Array.isArray(rawFlows)) {
+    errors.push({
+      category: "flows",
+      row: null,
+      field: null,
+      message: "Flows must be a list",
+    });
+    return [];
+  }
+  const issueIds = new Set(
+    Object.values(catalog).flatMap((rows) => rows.map((i) => i.id))
+  );
+  const seen = new Set();
+  return rawFlows.map((raw, idx) => {
+    const name = `Flow ${raw?.id || idx + 1}`;
+    const err = (field, message) =>
+      errors.push({ category: name, row: null, field, message });
+    const warn = (field, message) =>
+      warnings.push({ category: name, row: null, field, message });
+    if (!isPlainObject(raw)) {
+      err(null, "Flow must be an object");
+      return raw;
+    }
+    const flow = { ...raw };
+    if (typeof flow.id !== "string" || !flow.id.trim()) err("id", "Missing id");
+    else if (seen.has(flow.id)) err("id", `Duplicate flow id "${flow.id}"`);
+    else seen.add(flow.id);
+    if (typeof flow.category !== "string" || !flow.category.trim()) {
+      err("category", "Missing category");
+    } else if (!catalog[flow.category]) {
+      warn("category", `No category "${flow.category}" in this file`);
+    }
+    if (!isPlainObject(flow.steps) || !Object.keys(flow.steps).length) {
+      err("steps", "Flow needs at least one step");
+      return flow;
+    }
+    if (!flow.steps[flow.start]) err("start", `No step "${flow.start}"`);
+
+    flow.steps = { ...flow.steps };
+    for (const [stepId, rawStep] of Object.entries(flow.steps)) {
+      const at = (f) => `steps.${stepId}${f ? `.${f}` : ""}`;
+      if (!isPlainObject(rawStep)) {
+        err(at(), "Step must be an object");
+        continue;
+      }
+      const step = { ...rawStep };
+      flow.steps[stepId] = step;
+      if (typeof step.question !== "string" || !step.question.trim()) {
+        err(at("question"), "Missing question");
+      }
+      if (!Array.isArray(step.answers) || !step.answers.length) {
+        err(at("answers"), "Step needs at least one answer");
+        continue;
+      }
+      step.answers = step.answers.map((rawAnswer, n) => {
+        const field = (f) => at(`answers[${n + 1}]${f ? `.${f}` : ""}`);
+        if (!isPlainObject(rawAnswer)) {
+          err(field(), "Answer must be an object");
+          return rawAnswer;
+        }
+        const answer = { ...rawAnswer };
+        if (typeof answer.label !== "string" || !answer.label.trim()) {
+          err(field("label"), "Missing label");
+        }
+        const hasNext = answer.next != null;
+        const hasIssues = answer.issues != null;
+        if (hasNext === hasIssues) {
+          err(field(), "Answer needs either next or issues");
+        } else if (hasNext && !flow.steps[answer.next]) {
+          err(field("next"), `No step "${answer.next}"`);
+        } else if (hasIssues) {
+          if (!Array.isArray(answer.issues) || !answer.issues.length) {
+            err(field("issues"), "Issues must be a non-empty list of ids");
+          } else {
+            answer.issues = answer.issues.map(String);
+            answer.issues
+              .filter((id) => !issueIds.has(id))
+              .forEach((id) =>
+                warn(field("issues"), `No issue "${id}" in this file`)
+              );
+          }
+        }
+        for (const f of ["min", "max"]) {
+          if (answer[f] == null || answer[f] === "") {
+            delete answer[f];
+            continue;
+          }
+          // Readings may be negative (temperatures), so no checkNumber here.
+          const v = answer[f];
+          const n = typeof v === "string" ? Number(v.trim()) : v;
+          if (typeof n !== "number" || !Number.isFinite(n)) {
+            err(field(f), `Not a number: ${JSON.stringify(v)}`);
+          } else {
+            answer[f] = n;
+          }
+        }
+        return answer;
+      });
+    }
+
+    // Every path must end on issues: no step may lead back to itself.
+    const state = {};
+    const visit = (stepId) => {
+      if (state[stepId] === "done") return;
+      if (state[stepId] === "active") {
+        err(`steps.${stepId}`, "Answers loop back to this step");
+        return;
+      }
+      state[stepId] = "active";
+      (flow.steps[stepId]?.answers || []).forEach((a) => {
+        if (flow.steps[a?.next]) visit(a.next);
+      });
+      state[stepId] = "done";
+    };
+    if (flow.steps[flow.start]) visit(flow.start);
+    Object.keys(flow.steps)
+      .filter((stepId) => !state[stepId])
+      .forEach((stepId) =>
+        warn(`steps.${stepId}`, "Step can't be reached from the start")
+      );
+    return flow;
+  });
+}
+
+// Report for a file that could not be read at all (bad JSON, unreadable sheet).
+export function importFailure(message) {
+  return {
+    catalog: {},
+    flows: null,
+    errors: [{ category: null, row: null, field: null, message }],
+    warnings: [],
+    stats: { categories: 0, issues: 0, flows: 0 },
+  };
+}
+
+function indexById(catalog) {
+  const map = new Map();
+  for (const category of Object.keys(catalog)) {
+    for (const item of catalog[category]) {
+      if (item.id != null) map.set(item.id, { category, item });
+    }
+  }
+  return map;
+}
+
+/**
+ * Merge by issue id: incoming issues replace current ones with the same id
+ * (moving category if needed), new ids are appended, and issues missing from
+ * the incoming file are kept.
+ */
+export function mergeCatalogs(current, incoming) {
+  const incomingById = indexById(incoming);
+  const merged = {};
+  for (const category of Object.keys(current)) {
+    merged[category] = current[category].filter(
+      (item) =>
+        !incomingById.has(item.id) ||
+        incomingById.get(item.id).category === category
+    );
+    merged[category] = merged[category].map(
+      (item) => incomingById.get(item.id)?.item || item
+    );
+  }
+  // Drop categories emptied because all their issues moved elsewhere.
+  for (const category of Object.keys(merged)) {
+    if (!merged[category].length && current[category].length) {
+      delete merged[category];
+    }
+  }
+  const currentIds = new Set(indexById(merged).keys());
+  for (const category of Object.keys(incoming)) {
+    if (!merged[category]) merged[category] = [];
+    for (const item of incoming[category]) {
+      if (!currentIds.has(item.id)) merged[category].push(item);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Issue-level diff between two catalogs, keyed by id.
+ * Returns { added, changed, removed }; changed entries list the differing fields
+ * (a category move shows up as the "category" field).
+ */
+export function diffCatalogs(before, after) {
+  const a = indexById(before);
+  const b = indexById(after);
+  const added = [];
+  const changed = [];
+  const removed = [];
+
+  for (const [id, next] of b) {
+    const prev = a.get(id);
+    if (!prev) {
+      added.push(next);
+      continue;
+    }
+    const keys = new Set([
+      ...Object.keys(prev.item),
+      ...Object.keys(next.item),
+    ]);
+    const fields = [...keys].filter(
+      (k) => JSON.stringify(prev.item[k]) !== JSON.stringify(next.item[k])
+    );
+    if (prev.category !== next.category) fields.unshift("category");
+    if (fields.length) {
+      changed.push({ ...next, before: prev.item, from: prev.category, fields });
+    }
+  }
+  for (const [id, prev] of a) {
+    if (!b.has(id)) removed.push(prev);
+  }
+  return { added, changed, removed };
+}
+
+// Merge by flow id: incoming flows replace current ones, new ids are appended.
+export function mergeFlows(current, incoming) {
+  const ids = new Set(incoming.map((f) => f.id));
+  return [...current.filter((f) => !ids.has(f.id)), ...incoming];
+}
@@ -0,0 +1,345 @@
+import {
+  diffCatalogs,
+  importFailure,
+  mergeCatalogs,
+  mergeFlows,
+  validateCatalog,
+} from "./catalog";
+
+const problem = (list, field) => list.find((p) => p.field === field);
+
+describe("validateCatalog", () => {
+  test("a clean catalog passes unchanged", () => {
+    const file = {
+      Furnace: [{ id: "ig", issue: "Igniter", defaultLaborHrs: 1 }],
+    };
+    const r = validateCatalog(file);
+    expect(r.errors).toEqual([]);
+    expect(r.catalog).toEqual(file);
+    expect(r.flows).toBe(null);
+    expect(r.stats).toEqual({ categories: 1, issues: 1, flows: 0 });
+  });
+
+  test("rejects files that are not an object of categories", () => {
+    expect(validateCatalog([]).errors[0].message).toMatch(/must be an object/);
+    expect(validateCatalog({}).errors[0].message).toBe(
+      "Catalog has no categories"
+    );
+    expect(validateCatalog({ Furnace: "x" }).errors[0]).toMatchObject({
+      category: "Furnace",
+      message: "Category must be a list of issues",
+    });
+  });
+
+  test("missing and duplicate ids and names are errors, with the first use", () => {
+    const { errors } = validateCatalog({
+      A: [{ id: "x", issue: "One" }],
+      B: [{ id: "x", issue: "" }, { issue: "Three" }, "oops"],
+    });
+    expect(errors).toEqual([
+      {
+        category: "B",
+        row: 1,
+        field: "id",
+        message: 'Duplicate id "x" (first used in A row 1)',
+      },
+      { category: "B", row: 1, field: "issue", message: "Missing issue name" },
+      { category: "B", row: 2, field: "id", message: "Missing id" },
+      {
+        category: "B",
+        row: 3,
+        field: null,
+        message: "Issue must be an object",
+      },
+    ]);
+  });
+
+  test("numbers: text is coerced with a warning, junk and negatives are errors", () => {
+    const r = validateCatalog({
+      A: [
+        {
+          id: 7,
+          issue: "One",
+          defaultLaborHrs: " 1.5 ",
+          defaultPartsCost: "",
+          code: 12,
+        },
+        {
+          id: "b",
+          issue: "Two",
+          defaultLaborHrs: "lots",
+          defaultPartsCost: -1,
+        },
+      ],
+    });
+    const [one] = r.catalog.A;
+    expect(one).toEqual({
+      id: "7",
+      issue: "One",
+      defaultLaborHrs: 1.5,
+      code: "12",
+    });
+    expect(problem(r.warnings, "defaultLaborHrs").message).toBe(
+      'Text " 1.5 " read as 1.5'
+    );
+    expect(problem(r.warnings, "defaultPartsCost").message).toMatch(
+      /default will be used/
+    );
+    expect(problem(r.warnings, "code").message).toMatch(/converted 12/);
+    expect(r.errors.map((e) => [e.row, e.field, e.message])).toEqual([
+      [2, "defaultLaborHrs", 'Not a number: "lots"'],
+      [2, "defaultPartsCost", "Must not be negative: -1"],
+    ]);
+  });
+
+  test("options need unique names; blank numbers fall back to the issue", () => {
+    const r = validateCatalog({
+      A: [
+        {
+          id: "cap",
+          issue: "Capacitor",
+          options: [
+            { name: "Good", defaultPartsCost: "", sku: 5 },
+            { name: "Good" },
+            { defaultLaborHrs: -1 },
+          ],
+        },
+        { id: "x", issue: "X", options: "Good" },
+      ],
+    });
+    expect(r.catalog.A[0].options[0]).toEqual({ name: "Good", sku: "5" });
+    expect(r.errors.map((e) => [e.row, e.field, e.message])).toEqual([
+      [1, "options[3].name", "Missing option name"],
+      [1, "options[3].defaultLaborHrs", "Must not be negative: -1"],
+      [1, "options", 'Duplicate option "Good"'],
+      [2, "options", "Options must be a list"],
+    ]);
+  });
+
+  test("taxExempt text is read as yes/no with a warning", () => {
+    const r = validateCatalog({
+      A: [
+        { id: "a", issue: "A", taxExempt: "Yes" },
+        { id: "b", issue: "B", taxExempt: "maybe" },
+        { id: "c", issue: "C", taxExempt: true },
+      ],
+    });
+    expect(r.catalog.A.map((i) => i.taxExempt)).toEqual([true, false, true]);
+    expect(
+      r.warnings.filter((w) => w.field === "taxExempt").map((w) => w.message)
+    ).toEqual(['"Yes" read as yes', '"maybe" read as no']);
+  });
+
+  test("empty categories are warned about", () => {
+    expect(validateCatalog({ A: [] }).warnings[0].message).toBe(
+      "Category has no issues"
+    );
+  });
+});
+
+test("importFailure reports an unreadable file", () => {
+  expect(importFailure("Bad JSON")).toMatchObject({
+    errors: [{ message: "Bad JSON" }],
+    stats: { categories: 0, issues: 0, flows: 0 },
+  });
+});
+
+describe("mergeCatalogs", () => {
+  const current = {
+    Furnace: [
+      { id: "ig", issue: "Igniter", defaultLaborHrs: 1 },
+      { id: "fs", issue: "Flame sensor" },
+    ],
+    Cooling: [{ id: "cap", issue: "Capacitor" }],
+  };
+
+  test("replaces by id, appends new ids and keeps the rest", () => {
+    const merged = mergeCatalogs(current, {
+      Furnace: [{ id: "ig", issue: "Igniter", defaultLaborHrs: 2 }],
+      Cooling: [{ id: "coil", issue: "Coil" }],
+    });
+    expect(merged).toEqual({
+      Furnace: [
+        { id: "ig", issue: "Igniter", defaultLaborHrs: 2 },
+        { id: "fs", issue: "Flame sensor" },
+      ],
+      Cooling: [
+        { id: "cap", issue: "Capacitor" },
+        { id: "coil", issue: "Coil" },
+      ],
+    });
+  });
+
+  test("moves an issue to its incoming category and drops emptied ones", () => {
+    const merged = mergeCatalogs(current, {
+      Electrical: [{ id: "cap", issue: "Capacitor" }],
+    });
+    expect(Object.keys(merged)).toEqual(["Furnace", "Electrical"]);
+    expect(merged.Electrical.map((i) => i.id)).toEqual(["cap"]);
+  });
+});
+
+test("diffCatalogs lists added, changed (with fields) and removed issues", () => {
+  const before = {
+    A: [
+      { id: "1", issue: "One", defaultLaborHrs: 1 },
+      { id: "2", issue: "Two" },
+    ],
+  };
+  const after = {
+    A: [{ id: "1", issue: "One", defaultLaborHrs: 1.5 }],
+    B: [{ id: "3", issue: "Three" }],
+  };
+  const d = diffCatalogs(before, after);
+  expect(d.added.map((x) => x.item.id)).toEqual(["3"]);
+  expect(d.changed).toEqual([
+    expect.objectContaining({ from: "A", fields: ["defaultLaborHrs"] }),
+  ]);
+  expect(d.removed.map((x) => x.item.id)).toEqual(["2"]);
+
+  const moved = diffCatalogs(before, { B: before.A });
+  expect(moved.changed.map((c) => c.fields)).toEqual([
+    ["category"],
+    ["category"],
+  ]);
+});
+
+test("mergeFlows replaces by id and appends new flows", () => {
+  const mine = [
+    { id: "a", v: 1 },
+    { id: "b", v: 1 },
+  ];
+  expect(
+    mergeFlows(mine, [
+      { id: "a", v: 2 },
+      { id: "c", v: 1 },
+    ])
+  ).toEqual([
+    { id: "b", v: 1 },
+    { id: "a", v: 2 },
+    { id: "c", v: 1 },
+  ]);
+});
+
+describe("diagnostic flows", () => {
+  const categories = {
+    Furnace: [
+      { id: "ig", issue: "Igniter" },
+      { id: "fs", issue: "Flame sensor" },
+    ],
+  };
+  const flow = (steps, extra = {}) => ({
+    categories,
+    flows: [
+      { id: "no-heat", category: "Furnace", start: "a", steps, ...extra },
+    ],
+  });
+  const messages = (r) => r.errors.map((e) => `${e.field}: ${e.message}`);
+
+  test("a valid flow is returned normalized", () => {
+    const r = validateCatalog(
+      flow({
+        a: {
+          question: "Igniter glows?",
+          answers: [
+            { label: "No", issues: ["ig"] },
+            { label: "Yes", next: "b" },
+          ],
+        },
+        b: {
+          question: "Flame sensor µA",
+          unit: "µA",
+          answers: [
+            { label: "Low", min: "0", max: 1, issues: ["fs"] },
+            { label: "OK", min: 1, issues: ["ig"] },
+          ],
+        },
+      })
+    );
+    expect(r.errors).toEqual([]);
+    expect(r.stats.flows).toBe(1);
+    expect(r.flows[0].steps.b.answers[0]).toMatchObject({ min: 0, max: 1 });
+  });
+
+  test("answers loop back to an earlier step", () => {
+    const r = validateCatalog(
+      flow({
+        a: { question: "A?", answers: [{ label: "Go", next: "b" }] },
+        b: { question: "B?", answers: [{ label: "Back", next: "a" }] },
+      })
+    );
+    expect(messages(r)).toEqual(["steps.a: Answers loop back to this step"]);
+  });
+
+  test("a step that answers back to itself is a loop", () => {
+    const r = validateCatalog(
+      flow({ a: { question: "A?", answers: [{ label: "Again", next: "a" }] } })
+    );
+    expect(messages(r)).toEqual(["steps.a: Answers loop back to this step"]);
+  });
+
+  test("broken answers and unknown steps are errors", () => {
+    const r = validateCatalog(
+      flow(
+        {
+          a: {
+            question: "",
+            answers: [
+              { label: "Both", next: "a", issues: ["ig"] },
+              { label: "Nowhere", next: "zz" },
+              { label: "Empty", issues: [] },
+              { label: "Reading", issues: ["ig"], min: "low" },
+            ],
+          },
+        },
+        { start: "missing" }
+      )
+    );
+    expect(messages(r)).toEqual([
+      'start: No step "missing"',
+      "steps.a.question: Missing question",
+      "steps.a.answers[1]: Answer needs either next or issues",
+      'steps.a.answers[2].next: No step "zz"',
+      "steps.a.answers[3].issues: Issues must be a non-empty list of ids",
+      'steps.a.answers[4].min: Not a number: "low"',
+    ]);
+  });
+
+  test("unknown issues, categories and unreachable steps are warnings", () => {
+    const r = validateCatalog(
+      flow(
+        {
+          a: { question: "A?", answers: [{ label: "X", issues: ["nope"] }] },
+          orphan: { question: "B?", answers: [{ label: "Y", issues: ["ig"] }] },
+        },
+        { category: "Boiler" }
+      )
+    );
+    expect(r.errors).toEqual([]);
+    const flowWarnings = r.warnings.filter(
+      (w) => w.category === "Flow no-heat"
+    );
+    expect(flowWarnings.map((w) => w.message)).toEqual([
+      'No category "Boiler" in this file',
+      'No issue "nope" in this file',
+      "Step can't be reached from the start",
+    ]);
+  });
+
+  test("flows must be a list with unique ids", () => {
+    expect(messages(validateCatalog({ categories, flows: {} }))).toEqual([
+      "null: Flows must be a list",
+    ]);
+    const step = {
+      a: { question: "A?", answers: [{ label: "X", issues: ["ig"] }] },
+    };
+    const dupes = validateCatalog({
+      categories,
+      flows: [
+        { id: "f", category: "Furnace", start: "a", steps: step },
+        { id: "f", category: "Furnace", start: "a", steps: step },
+      ],
+    });
+    expect(messages(dupes)).toEqual(['id: Duplicate flow id "f"']);
+  });
+});
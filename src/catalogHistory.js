@@ -0,0 +1,56 @@
+import { getItem, isQuotaError, setItem } from "./storage";
+
+/**
+ * Applied catalog versions, newest first, persisted under the `catalogVersions`
+ * storage key. Entry: { version, appliedAt, source, mode, issues, catalog, flows }.
+ * The active version number lives under `catalogVersion`.
+ */
+
+export const MAX_VERSIONS = 5;
+
+export function loadVersions() {
+  const versions = getItem("catalogVersions", []);
+  return Array.isArray(versions) ? versions : [];
+}
+
+export function loadActiveVersion() {
+  const v = Number(getItem("catalogVersion"));
+  return Number.isFinite(v) && v > 0 ? v : null;
+}
+
+function countIssues(catalog) {
+  return Object.values(catalog).reduce((n, rows) => n + rows.length, 0);
+}
+
+// Older versions are dropped first if the device runs out of storage.
+async function saveVersions(versions) {
+  let next = versions;
+  for (;;) {
+    const err = await setItem("catalogVersions", next);
+    if (!err || !isQuotaError(err) || next.length <= 1) return;
+    next = next.slice(0, -1);
+  }
+}
+
+// Stores `catalog` (and its diagnostic flows) as a new version and makes it
+// active; returns the updated list.
+export function recordVersion(versions, catalog, { source, mode, flows = [] }) {
+  const version = versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+  const entry = {
+    version,
+    appliedAt: Date.now(),
+    source,
+    mode,
+    issues: countIssues(catalog),
+    catalog,
+    flows,
+  };
+  const next = [entry, ...versions].slice(0, MAX_VERSIONS);
+  saveVersions(next);
+  setItem("catalogVersion", version);
+  return next;
+}
+
+export function activateVersion(entry) {
+  setItem("catalogVersion", entry.version);
+}
@@ -0,0 +1,28 @@
+import {
+  MAX_VERSIONS,
+  loadActiveVersion,
+  recordVersion,
+} from "./catalogHistory";
+
+test("recordVersion numbers versions, activates the newest and keeps the last few", () => {
+  let versions = [];
+  for (let n = 1; n <= MAX_VERSIONS + 2; n++) {
+    versions = recordVersion(
+      versions,
+      { A: [{ id: "x" }, { id: "y" }] },
+      {
+        source: `Import ${n}`,
+        mode: "replace",
+      }
+    );
+  }
+  expect(versions).toHaveLength(MAX_VERSIONS);
+  expect(versions[0]).toMatchObject({
+    version: MAX_VERSIONS + 2,
+    source: `Import ${MAX_VERSIONS + 2}`,
+    issues: 2,
+    flows: [],
+  });
+  expect(versions.at(-1).version).toBe(3);
+  expect(loadActiveVersion()).toBe(MAX_VERSIONS + 2);
+});
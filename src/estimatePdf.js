@@ -0,0 +1,159 @@
+import { DEFAULT_TERMS } from "./EstimateDocument";
+import { lineTitle } from "./pricing";
+import { currency } from "./utils";
+
+const MARGIN = 48;
+const PAGE_BOTTOM = 792 - MARGIN;
+
+/**
+ * Draws the estimate/invoice to a Letter-size PDF in the browser and downloads it.
+ * Same content as EstimateDocument; jsPDF is loaded on demand to keep it out of
+ * the main bundle.
+ */
+export async function saveEstimatePdf({
+  company,
+  customer,
+  docType,
+  date,
+  calc,
+  taxText,
+}) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "pt", format: "letter" });
+  const width = doc.internal.pageSize.getWidth();
+  const right = width - MARGIN;
+  const title = docType === "invoice" ? "INVOICE" : "ESTIMATE";
+  let y = MARGIN;
+
+  function ensureRoom(h) {
+    if (y + h > PAGE_BOTTOM) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  }
+
+  function text(str, x, opts = {}) {
+    const lines = doc.splitTextToSize(String(str || ""), opts.width || 300);
+    ensureRoom(lines.length * 14);
+    doc.text(lines, x, y, opts.align ? { align: opts.align } : undefined);
+    return lines.length * 14;
+  }
+
+  // Header: logo + company on the left, document title on the right.
+  let left = MARGIN;
+  if (company.logo && /^data:image\/(png|jpe?g)/.test(company.logo)) {
+    try {
+      doc.addImage(company.logo, MARGIN, y - 12, 64, 64);
+      left = MARGIN + 76;
+    } catch {
+      // Unsupported image data; skip the logo.
+    }
+  }
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.text(company.name || "Your Company", left, y + 4);
+  doc.setFontSize(20);
+  doc.text(title, right, y + 4, { align: "right" });
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  let hy = y + 20;
+  for (const line of [
+    ...String(company.address || "").split("\n"),
+    [company.phone, company.email].filter(Boolean).join(" · "),
+    company.license ? `Lic. ${company.license}` : "",
+  ].filter(Boolean)) {
+    doc.text(line, left, hy);
+    hy += 13;
+  }
+  let ry = y + 22;
+  if (customer.jobNumber) {
+    doc.text(`Job # ${customer.jobNumber}`, right, ry, { align: "right" });
+    ry += 13;
+  }
+  doc.text(date, right, ry, { align: "right" });
+  y = Math.max(hy, ry, y + 64) + 10;
+  doc.line(MARGIN, y, right, y);
+  y += 22;
+
+  // Customer
+  doc.setFontSize(8);
+  doc.text("PREPARED FOR", MARGIN, y);
+  y += 14;
+  doc.setFontSize(11);
+  doc.setFont("helvetica", "bold");
+  doc.text(customer.name || "—", MARGIN, y);
+  doc.setFont("helvetica", "normal");
+  y += 14;
+  y += text(customer.address, MARGIN) + 10;
+
+  // Line items
+  doc.setFont("helvetica", "bold");
+  doc.text("Description", MARGIN, y);
+  doc.text("Amount", right, y, { align: "right" });
+  doc.setFont("helvetica", "normal");
+  y += 6;
+  doc.line(MARGIN, y, right, y);
+  y += 16;
+  const rows = calc.lines.map((l) => [lineTitle(l), l.suggested, l.total]);
+  if (calc.tripFee > 0)
+    rows.push(["Service call / trip charge", "", calc.tripFee]);
+  else if (calc.plan?.waiveTripFee && calc.lines.length)
+    rows.push(["Service call / trip charge", "", "Waived"]);
+  for (const [name, detail, amount] of rows) {
+    ensureRoom(32);
+    doc.setFont("helvetica", "bold");
+    doc.text(typeof amount === "number" ? currency(amount) : amount, right, y, {
+      align: "right",
+    });
+    y += text(name, MARGIN, { width: right - MARGIN - 100 });
+    doc.setFont("helvetica", "normal");
+    if (detail) y += text(detail, MARGIN, { width: right - MARGIN - 100 });
+    y += 4;
+    doc.line(MARGIN, y - 10, right, y - 10);
+    y += 6;
+  }
+
+  // Totals
+  ensureRoom(calc.plan ? 92 : 60);
+  const labelX = right - 180;
+  for (const [label, value, bold] of [
+    ["Subtotal", calc.subtotal],
+    [`Tax (${taxText})`, calc.tax],
+    ["Total", calc.total, true],
+    ...(calc.plan
+      ? [
+          ["Regular price", calc.regularTotal],
+          [`You save (${calc.plan.name})`, calc.savings, true],
+        ]
+      : []),
+  ]) {
+    doc.setFont("helvetica", bold ? "bold" : "normal");
+    doc.text(label, labelX, y);
+    doc.text(currency(value), right, y, { align: "right" });
+    y += 16;
+  }
+  doc.setFont("helvetica", "normal");
+  y += 14;
+
+  // Terms + signature block
+  doc.setFontSize(8);
+  ensureRoom(20);
+  doc.text("TERMS", MARGIN, y);
+  y += 14;
+  doc.setFontSize(10);
+  y += text(company.terms || DEFAULT_TERMS, MARGIN, { width: right - MARGIN });
+  y += 40;
+  ensureRoom(40);
+  const mid = MARGIN + (right - MARGIN) / 2;
+  doc.line(MARGIN, y, mid - 20, y);
+  doc.line(mid + 20, y, right, y);
+  doc.setFontSize(8);
+  doc.text("Customer signature", MARGIN, y + 12);
+  doc.text("Date", mid + 20, y + 12);
+
+  const name = [title.toLowerCase(), customer.jobNumber || customer.name]
+    .filter(Boolean)
+    .join("_")
+    .replace(/[^\w-]+/g, "_");
+  doc.save(`${name}.pdf`);
+}
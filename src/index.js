@@ -2,12 +2,20 @@ import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 
 import App from "./App";
+import { startPwa } from "./pwa";
+import { initStorage } from "./storage";
+import "./styles.css";
+
+startPwa();
 
 const rootElement = document.getElementById("root");
 const root = createRoot(rootElement);
 
-root.render(
-  <StrictMode>
-    <App />
-  </StrictMode>
+// App state is read synchronously from storage, so load it before rendering.
+initStorage().then(() =>
+  root.render(
+    <StrictMode>
+      <App />
+    </StrictMode>
+  )
 );
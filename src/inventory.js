@@ -0,0 +1,98 @@
+import { quoteLines } from "./pricing";
+import { statusAt } from "./quotes";
+
+/**
+ * Parts inventory keyed by SKU, with what is on the truck.
+ * - Part: { sku, name, cost, vendor, onTruck, par }; `par` is how many the
+ *   truck should carry, and the restock report lists parts below it.
+ * - Catalog issues/options whose `sku` is in the list are priced from the
+ *   part's cost instead of their own defaultPartsCost (see pricing newLine).
+ * - Approving a quote takes each line's qty of its SKU off the truck.
+ */
+
+export const EMPTY_PART = {
+  sku: "",
+  name: "",
+  cost: 0,
+  vendor: "",
+  onTruck: 0,
+  par: 0,
+};
+
+// SKUs compare without case or surrounding spaces.
+export function skuKey(sku) {
+  return String(sku ?? "")
+    .trim()
+    .toUpperCase();
+}
+
+export function findPart(parts, sku) {
+  const key = skuKey(sku);
+  return key ? parts.find((p) => skuKey(p.sku) === key) || null : null;
+}
+
+// Stocked part for an issue, or the chosen option when it names its own SKU.
+export function partFor(parts, issue, option) {
+  return findPart(parts, option?.sku || issue.sku);
+}
+
+// Problem with a new/edited part, or null. `except` is the part being edited.
+export function partProblem(part, parts, except = null) {
+  if (!skuKey(part.sku)) return "SKU is required.";
+  const clash = findPart(parts, part.sku);
+  if (clash && clash !== except) return `SKU ${part.sku} is already listed.`;
+  if (!(Number(part.cost) >= 0)) return "Cost must be 0 or more.";
+  return null;
+}
+
+// Units per SKU used by the quote's lines.
+function usage(q) {
+  const used = new Map();
+  quoteLines(q).forEach((l) => {
+    const key = skuKey(l.sku);
+    if (key) used.set(key, (used.get(key) || 0) + Number(l.qty || 0));
+  });
+  return used;
+}
+
+// Parts list with an approved quote's units taken off the truck (not below 0).
+export function takeFromTruck(parts, q) {
+  const used = usage(q);
+  return parts.map((p) => {
+    const n = used.get(skuKey(p.sku));
+    return n ? { ...p, onTruck: Math.max(0, Number(p.onTruck) - n) } : p;
+  });
+}
+
+/**
+ * End-of-day restock list: parts below par, plus any used today.
+ * Rows: { sku, name, vendor, onTruck, par, usedToday, restock }.
+ */
+export function restockReport(parts, quotes, now = Date.now()) {
+  const dayStart = new Date(now);
+  dayStart.setHours(0, 0, 0, 0);
+  const usedToday = new Map();
+  quotes.forEach((q) => {
+    if (!(statusAt(q, "approved") >= dayStart.getTime())) return;
+    usage(q).forEach((n, key) =>
+      usedToday.set(key, (usedToday.get(key) || 0) + n)
+    );
+  });
+
+  return parts
+    .map((p) => {
+      const onTruck = Number(p.onTruck) || 0;
+      const par = Number(p.par) || 0;
+      return {
+        sku: p.sku,
+        name: p.name,
+        vendor: p.vendor,
+        onTruck,
+        par,
+        usedToday: usedToday.get(skuKey(p.sku)) || 0,
+        restock: Math.max(0, par - onTruck),
+      };
+    })
+    .filter((r) => r.restock > 0 || r.usedToday > 0)
+    .sort((a, b) => b.restock - a.restock || a.sku.localeCompare(b.sku));
+}
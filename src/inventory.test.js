@@ -0,0 +1,111 @@
+import {
+  findPart,
+  partFor,
+  partProblem,
+  restockReport,
+  skuKey,
+  takeFromTruck,
+} from "./inventory";
+import { newLine } from "./pricing";
+
+const parts = [
+  { sku: "HSI-1", name: "Igniter", cost: 40, vendor: "V", onTruck: 2, par: 3 },
+  { sku: "FS-1", name: "Sensor", cost: 10, vendor: "V", onTruck: 5, par: 2 },
+];
+
+test("SKUs match without case or surrounding spaces", () => {
+  expect(skuKey(" hsi-1 ")).toBe("HSI-1");
+  expect(findPart(parts, "hsi-1 ")).toBe(parts[0]);
+  expect(findPart(parts, "")).toBe(null);
+  expect(findPart(parts, "NOPE")).toBe(null);
+});
+
+test("partProblem", () => {
+  expect(partProblem({ sku: " ", cost: 1 }, parts)).toBe("SKU is required.");
+  expect(partProblem({ sku: "fs-1", cost: 1 }, parts)).toBe(
+    "SKU fs-1 is already listed."
+  );
+  expect(partProblem(parts[1], parts, parts[1])).toBe(null);
+  expect(partProblem({ sku: "NEW", cost: -1 }, parts)).toBe(
+    "Cost must be 0 or more."
+  );
+});
+
+describe("pricing from the parts list", () => {
+  const issue = {
+    id: "ig",
+    issue: "Igniter",
+    sku: "hsi-1",
+    defaultPartsCost: 99,
+    options: [{ name: "Best", sku: "FS-1" }, { name: "Good" }],
+  };
+
+  test("a stocked SKU prices the part from the list", () => {
+    const line = newLine(issue, "Furnace", undefined, partFor(parts, issue));
+    expect([line.parts, line.sku, line.defaults.parts]).toEqual([
+      40,
+      "HSI-1",
+      40,
+    ]);
+  });
+
+  test("an option's own SKU wins over the issue's", () => {
+    const [best, good] = issue.options;
+    expect(partFor(parts, issue, best)).toBe(parts[1]);
+    expect(partFor(parts, issue, good)).toBe(parts[0]);
+  });
+
+  test("an unknown SKU keeps the catalog cost", () => {
+    const line = newLine({ ...issue, sku: "X" }, "Furnace", undefined, null);
+    expect([line.parts, line.sku]).toEqual([99, "X"]);
+  });
+});
+
+describe("truck stock", () => {
+  const approvedAt = new Date(2025, 0, 2, 10).getTime();
+  const approved = {
+    ts: 1,
+    status: "approved",
+    statusHistory: [{ status: "approved", at: approvedAt }],
+    lines: [
+      { sku: "hsi-1", qty: 1 },
+      { sku: "FS-1", qty: 6 },
+      { sku: null, qty: 3 },
+    ],
+  };
+
+  test("approving takes each line's qty off the truck, not below 0", () => {
+    const after = takeFromTruck(parts, approved);
+    expect(after.map((p) => p.onTruck)).toEqual([1, 0]);
+    expect(parts[0].onTruck).toBe(2);
+  });
+
+  test("restock lists parts below par and parts used today", () => {
+    const after = takeFromTruck(parts, approved);
+    const today = new Date(2025, 0, 2, 18).getTime();
+    expect(restockReport(after, [approved], today)).toEqual([
+      {
+        sku: "FS-1",
+        name: "Sensor",
+        vendor: "V",
+        onTruck: 0,
+        par: 2,
+        usedToday: 6,
+        restock: 2,
+      },
+      {
+        sku: "HSI-1",
+        name: "Igniter",
+        vendor: "V",
+        onTruck: 1,
+        par: 3,
+        usedToday: 1,
+        restock: 2,
+      },
+    ]);
+    const nextDay = new Date(2025, 0, 3, 9).getTime();
+    expect(restockReport(parts, [approved], nextDay).map((r) => r.sku)).toEqual(
+      ["HSI-1"]
+    );
+  });
+});
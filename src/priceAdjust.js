@@ -0,0 +1,179 @@
+import { searchCatalog } from "./search";
+
+/**
+ * Bulk catalog price adjustments.
+ * - Applies to `defaultPartsCost` and/or `defaultLaborHrs` of every issue in
+ *   scope (whole catalog, one category, or the issues a search finds), and to
+ *   their options' own values.
+ * - Each adjustment is { mode: "percent" | "fixed", amount, rounding }; a
+ *   fixed amount is added (dollars or hours), and negative results stop at 0.
+ * - Missing values are left missing, so they keep falling back as before.
+ */
+
+export const PARTS_ROUNDING = [
+  { id: "cent", label: "Nearest cent" },
+  { id: "dollar", label: "Nearest dollar" },
+  { id: "end95", label: "Up to .95" },
+  { id: "end99", label: "Up to .99" },
+];
+
+export const HOURS_ROUNDING = [
+  { id: "hundredth", label: "0.01 h" },
+  { id: "tenth", label: "0.1 h" },
+  { id: "quarter", label: "0.25 h" },
+];
+
+const roundTo = (v, step) => Math.round(v / step) * step;
+
+// Up to the next price ending in `cents` (41.30 → 41.95; 41.95 stays). Zero
+// stays zero, so repairs without parts don't gain a parts cost.
+const upToEnding = (v, cents) =>
+  v > 0 ? Math.ceil(v - cents - 1e-9) + cents : 0;
+
+function applyRounding(v, rounding) {
+  switch (rounding) {
+    case "dollar":
+      return Math.round(v);
+    case "end95":
+      return upToEnding(v, 0.95);
+    case "end99":
+      return upToEnding(v, 0.99);
+    case "tenth":
+      return roundTo(v, 0.1);
+    case "quarter":
+      return roundTo(v, 0.25);
+    default:
+      return roundTo(v, 0.01);
+  }
+}
+
+export function adjustValue(value, { mode, amount, rounding }) {
+  const n = Number(amount) || 0;
+  const raw = mode === "percent" ? value * (1 + n / 100) : value + n;
+  return Math.round(applyRounding(Math.max(0, raw), rounding) * 100) / 100;
+}
+
+// Short description, e.g. "parts +5% (up to .95), labor +0.2 h".
+export function describeAdjustment({ parts, labor }) {
+  const one = (name, adj, unit, rules) => {
+    if (!adj) return null;
+    const n = Number(adj.amount) || 0;
+    const sign = n >= 0 ? "+" : "";
+    const amount =
+      adj.mode === "percent"
+        ? `${sign}${n}%`
+        : unit === "$"
+        ? `${sign}$${n}`
+        : `${sign}${n} h`;
+    const rule = rules.find((r) => r.id === adj.rounding);
+    return `${name} ${amount}${rule ? ` (${rule.label.toLowerCase()})` : ""}`;
+  };
+  return [
+    one("parts", parts, "$", PARTS_ROUNDING),
+    one("labor", labor, "h", HOURS_ROUNDING),
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+// Ids of the issues in scope: { type: "all" | "category" | "search", category?, query? }.
+export function scopeIds(catalog, scope) {
+  if (scope.type === "search") {
+    return new Set(
+      searchCatalog(catalog, scope.query || "").map((r) => r.issue.id)
+    );
+  }
+  return new Set(
+    Object.entries(catalog)
+      .filter(([c]) => scope.type === "all" || c === scope.category)
+      .flatMap(([, issues]) => issues.map((i) => i.id))
+  );
+}
+
+const FIELDS = [
+  ["parts", "defaultPartsCost"],
+  ["labor", "defaultLaborHrs"],
+];
+
+// Adjusted copy of an issue or option; pushes what changed onto `changes`.
+function adjustItem(item, adjust, change, changes) {
+  let next = item;
+  FIELDS.forEach(([key, field]) => {
+    if (!adjust[key] || item[field] == null) return;
+    const after = adjustValue(Number(item[field]), adjust[key]);
+    if (after === item[field]) return;
+    next = { ...next, [field]: after };
+    changes.push({ ...change, field, before: item[field], after });
+  });
+  return next;
+}
+
+/**
+ * Catalog with `adjust` ({ parts?, labor? }) applied to the issues in `scope`.
+ * Returns { catalog, changes }; each change is
+ * { category, issueId, issue, option, field, before, after }.
+ */
+export function adjustCatalog(catalog, scope, adjust) {
+  const ids = scopeIds(catalog, scope);
+  const changes = [];
+  const next = Object.fromEntries(
+    Object.entries(catalog).map(([category, issues]) => [
+      category,
+      issues.map((issue) => {
+        if (!ids.has(issue.id)) return issue;
+        const base = { category, issueId: issue.id, issue: issue.issue };
+        const adjusted = adjustItem(
+          issue,
+          adjust,
+          { ...base, option: null },
+          changes
+        );
+        if (!Array.isArray(issue.options)) return adjusted;
+        return {
+          ...adjusted,
+          options: issue.options.map((o) =>
+            adjustItem(o, adjust, { ...base, option: o.name }, changes)
+          ),
+        };
+      }),
+    ])
+  );
+  return { catalog: next, changes };
+}
+
+function findIssue(catalog, category, issueId) {
+  return (catalog[category] || []).find((i) => i.id === issueId);
+}
+
+/**
+ * Before/after customer price per changed issue or option:
+ * [{ key, category, issue, option, before, after }]. `priceOf(issue,
+ * category, option)` prices one repair as a single-line quote. An issue-level
+ * change shows under each of its options, since they fall back to it.
+ */
+export function previewRows(catalog, next, changes, priceOf) {
+  const rows = new Map();
+  const add = (c, option) => {
+    const key = `${c.issueId}|${option || ""}`;
+    if (rows.has(key)) return;
+    const price = (cat) => {
+      const issue = findIssue(cat, c.category, c.issueId);
+      const opt = option && issue.options.find((o) => o.name === option);
+      return priceOf(issue, c.category, opt || undefined);
+    };
+    rows.set(key, {
+      key,
+      category: c.category,
+      issue: c.issue,
+      option,
+      before: price(catalog),
+      after: price(next),
+    });
+  };
+  changes.forEach((c) => {
+    const options = findIssue(catalog, c.category, c.issueId).options;
+    if (c.option || !options?.length) add(c, c.option);
+    else options.forEach((o) => add(c, o.name));
+  });
+  return [...rows.values()];
+}
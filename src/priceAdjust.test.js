@@ -0,0 +1,142 @@
+import {
+  adjustCatalog,
+  adjustValue,
+  describeAdjustment,
+  previewRows,
+  scopeIds,
+} from "./priceAdjust";
+
+const catalog = {
+  Capacitors: [
+    {
+      id: "cap",
+      issue: "Weak run capacitor",
+      defaultPartsCost: 20,
+      defaultLaborHrs: 1,
+      options: [
+        { name: "Good", defaultPartsCost: 0 },
+        { name: "Best", defaultPartsCost: 50 },
+      ],
+    },
+  ],
+  Coils: [
+    { id: "coil", issue: "Leaking evaporator coil", defaultPartsCost: 100 },
+  ],
+};
+
+describe("adjustValue", () => {
+  test("percent and fixed amounts with rounding", () => {
+    const pct = (amount, rounding) => ({ mode: "percent", amount, rounding });
+    expect(adjustValue(40, pct(5, "end95"))).toBe(42.95);
+    expect(adjustValue(40, pct(5, "end99"))).toBe(42.99);
+    expect(adjustValue(41.95, pct(0, "end95"))).toBe(41.95);
+    expect(adjustValue(33.33, pct(10, "dollar"))).toBe(37);
+    expect(
+      adjustValue(0.7, { mode: "fixed", amount: 0.2, rounding: "quarter" })
+    ).toBe(1);
+    expect(
+      adjustValue(1.04, { mode: "fixed", amount: 0, rounding: "tenth" })
+    ).toBe(1);
+  });
+
+  test("negative results stop at 0", () => {
+    expect(
+      adjustValue(5, { mode: "fixed", amount: -10, rounding: "cent" })
+    ).toBe(0);
+    expect(
+      adjustValue(5, { mode: "fixed", amount: -10, rounding: "end95" })
+    ).toBe(0);
+  });
+
+  test("up-to rounding never moves a zero", () => {
+    expect(
+      adjustValue(0, { mode: "percent", amount: 5, rounding: "end95" })
+    ).toBe(0);
+    expect(
+      adjustValue(0, { mode: "percent", amount: 5, rounding: "end99" })
+    ).toBe(0);
+  });
+});
+
+test("describeAdjustment", () => {
+  expect(
+    describeAdjustment({
+      parts: { mode: "percent", amount: 5, rounding: "end95" },
+      labor: { mode: "fixed", amount: -0.2, rounding: "tenth" },
+    })
+  ).toBe("parts +5% (up to .95), labor -0.2 h (0.1 h)");
+});
+
+test("scopeIds by category and by search", () => {
+  expect([...scopeIds(catalog, { type: "all" })]).toEqual(["cap", "coil"]);
+  expect([
+    ...scopeIds(catalog, { type: "category", category: "Coils" }),
+  ]).toEqual(["coil"]);
+  expect([
+    ...scopeIds(catalog, { type: "search", query: "capacitor" }),
+  ]).toEqual(["cap"]);
+});
+
+describe("adjustCatalog", () => {
+  const parts = { parts: { mode: "percent", amount: 10, rounding: "dollar" } };
+
+  test("adjusts issues and their options in scope only", () => {
+    const { catalog: next, changes } = adjustCatalog(
+      catalog,
+      { type: "category", category: "Capacitors" },
+      parts
+    );
+    expect(changes.map((c) => [c.option, c.before, c.after])).toEqual([
+      [null, 20, 22],
+      ["Best", 50, 55],
+    ]);
+    expect(next.Coils[0]).toBe(catalog.Coils[0]);
+    expect(catalog.Capacitors[0].defaultPartsCost).toBe(20);
+  });
+
+  test("no-parts repairs are unchanged by up-to rounding", () => {
+    const { catalog: next, changes } = adjustCatalog(
+      catalog,
+      { type: "all" },
+      {
+        parts: { mode: "percent", amount: 5, rounding: "end95" },
+      }
+    );
+    expect(next.Capacitors[0].options[0].defaultPartsCost).toBe(0);
+    expect(changes.some((c) => c.option === "Good")).toBe(false);
+  });
+
+  test("missing values stay missing", () => {
+    const { changes } = adjustCatalog(
+      catalog,
+      { type: "all" },
+      {
+        labor: { mode: "fixed", amount: 1, rounding: "tenth" },
+      }
+    );
+    expect(changes.map((c) => [c.issueId, c.option])).toEqual([["cap", null]]);
+  });
+});
+
+test("previewRows lists an issue-level change under each option", () => {
+  const { catalog: next, changes } = adjustCatalog(
+    catalog,
+    { type: "all" },
+    {
+      labor: { mode: "fixed", amount: 1, rounding: "tenth" },
+    }
+  );
+  const priceOf = (issue, category, option) =>
+    issue.defaultLaborHrs * 100 +
+    (option?.defaultPartsCost ?? issue.defaultPartsCost);
+  expect(
+    previewRows(catalog, next, changes, priceOf).map((r) => [
+      r.option,
+      r.before,
+      r.after,
+    ])
+  ).toEqual([
+    ["Good", 100, 200],
+    ["Best", 150, 250],
+  ]);
+});
@@ -0,0 +1,218 @@
+/**
+ * Quote pricing.
+ * - A quote is a list of line items, each priced from one catalog issue.
+ * - Trip fee is charged once per quote; markup and tax apply across all lines.
+ * - An issue may offer tiered options (Good/Better/Best); a line records the one chosen.
+ * - Parts markup comes from a cost-bracket matrix (optionally per category),
+ *   falling back to the flat `partsMarkupPct` when no tier matches.
+ * - A membership plan waives the trip fee and takes a percentage off labor/parts;
+ *   the regular price is kept alongside so the savings can be shown.
+ * - Tax applies to the parts, labor and trip fee its rules mark taxable
+ *   (a tax jurisdiction's, else all of them); tax-exempt lines are left out.
+ */
+
+let lineSeq = 0;
+
+// An issue's tiered options, or null when it only has the single suggested repair.
+export function issueOptions(issue) {
+  return Array.isArray(issue.options) && issue.options.length
+    ? issue.options
+    : null;
+}
+
+// Line item seeded from a catalog issue's defaults (or the chosen option's,
+// falling back to the issue's). `defaults` keeps the book values so a line can
+// be reset after the tech edits it. With a stocked `part` (see inventory.js)
+// the parts cost is the part's, not the catalog's.
+export function newLine(issue, category, option, part) {
+  const src = { ...issue, ...option };
+  const defaults = {
+    laborHrs: src.defaultLaborHrs ?? 1,
+    parts: part ? Number(part.cost) : src.defaultPartsCost ?? 0,
+    qty: src.defaultQty ?? 1,
+  };
+  lineSeq += 1;
+  return {
+    key: `${Date.now()}-${lineSeq}`,
+    category,
+    issueId: issue.id || null,
+    issue: issue.issue,
+    option: option?.name || null,
+    suggested: (option ? option.suggested : issue.suggested) || "",
+    sku: part?.sku || src.sku || null,
+    taxExempt: Boolean(issue.taxExempt),
+    ...defaults,
+    defaults,
+  };
+}
+
+export function lineTitle(line) {
+  return line.option ? `${line.issue} (${line.option})` : line.issue;
+}
+
+// Markup matrix: { tiers, categories: { [category]: tiers } }. Tiers are sorted
+// by `upTo` (unit cost, exclusive); `upTo: null` is the open-ended top bracket.
+export const EMPTY_MARKUP_MATRIX = { tiers: [], categories: {} };
+
+export function sortTiers(tiers) {
+  return [...tiers].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+}
+
+export function tierLabel(tiers, idx) {
+  const lower = idx > 0 ? tiers[idx - 1].upTo : null;
+  const { upTo } = tiers[idx];
+  if (upTo == null) return lower == null ? "all parts" : `$${lower}+`;
+  return lower == null ? `under $${upTo}` : `$${lower}–$${upTo}`;
+}
+
+/**
+ * Markup for one line by its unit parts cost: the category's tiers if it has
+ * any, else the shop-wide tiers, else the flat percentage.
+ * Returns { pct, tier } where tier describes the bracket used.
+ */
+export function markupFor(line, matrix, partsMarkupPct) {
+  const override = matrix?.categories?.[line.category];
+  const tiers = override?.length ? override : matrix?.tiers || [];
+  const cost = Number(line.parts);
+  const idx = tiers.findIndex((t) => t.upTo == null || cost < t.upTo);
+  if (idx === -1) return { pct: Number(partsMarkupPct), tier: "flat" };
+  const scope = override?.length ? `${line.category} ` : "";
+  return {
+    pct: Number(tiers[idx].pct),
+    tier: `${scope}${tierLabel(tiers, idx)}`,
+  };
+}
+
+export function priceLine(
+  line,
+  { laborRate, partsMarkupPct, partsDiscountPct = 0 }
+) {
+  const partsSubtotal =
+    Number(line.parts) *
+    Number(line.qty) *
+    (1 + Number(partsMarkupPct) / 100) *
+    (1 - Number(partsDiscountPct) / 100);
+  const laborSubtotal = Number(line.laborHrs) * Number(laborRate);
+  return { partsSubtotal, laborSubtotal, total: partsSubtotal + laborSubtotal };
+}
+
+// Plan rules applied to the regular rates.
+export function memberRates(plan, rates) {
+  return {
+    ...rates,
+    laborRate:
+      Number(rates.laborRate) * (1 - Number(plan.laborDiscountPct || 0) / 100),
+    tripFee: plan.waiveTripFee ? 0 : rates.tripFee,
+    partsDiscountPct: Number(plan.partsDiscountPct || 0),
+  };
+}
+
+// Tax jurisdiction: { id, name, taxPct, parts, labor, trip } (booleans = taxable).
+export const ALL_TAXABLE = { parts: true, labor: true, trip: true };
+
+// Tax rate and rules for a quote; without a jurisdiction the shop-wide rate
+// applies to everything.
+export function taxRatesFor(jurisdiction, taxPct) {
+  if (!jurisdiction) return { taxPct, taxRules: ALL_TAXABLE };
+  const { parts, labor, trip } = jurisdiction;
+  return { taxPct: jurisdiction.taxPct, taxRules: { parts, labor, trip } };
+}
+
+// "7%", or "Springfield 7% on parts + trip" with a jurisdiction that only
+// taxes some of the quote.
+export function taxLabel(taxPct, rules = ALL_TAXABLE, name = "") {
+  const taxed = ["parts", "labor", "trip"].filter((k) => rules[k]);
+  const scope =
+    taxed.length === 3
+      ? `${taxPct}%`
+      : taxed.length === 0
+      ? "not taxed"
+      : `${taxPct}% on ${taxed.join(" + ")}`;
+  return name ? `${name} ${scope}` : scope;
+}
+
+/**
+ * Prices all lines. With `plan`, the result is the member price plus
+ * `plan`, `regularTotal` and `savings` (regular total − member total).
+ * `taxable` is the amount of parts, labor and trip fee the tax was charged on.
+ */
+export function priceQuote(lines, rates) {
+  const { plan, ...regular } = rates;
+  if (plan) {
+    const member = priceQuote(lines, memberRates(plan, regular));
+    const { total: regularTotal } = priceQuote(lines, regular);
+    return {
+      ...member,
+      plan,
+      regularTotal,
+      savings: regularTotal - member.total,
+    };
+  }
+  const {
+    laborRate,
+    tripFee,
+    partsMarkupPct,
+    markupMatrix,
+    partsDiscountPct,
+    taxPct,
+    taxRules = ALL_TAXABLE,
+  } = regular;
+  const priced = lines.map((l) => {
+    const { pct, tier } = markupFor(l, markupMatrix, partsMarkupPct);
+    return {
+      ...l,
+      markupPct: pct,
+      markupTier: tier,
+      ...priceLine(l, { laborRate, partsMarkupPct: pct, partsDiscountPct }),
+    };
+  });
+  const partsSubtotal = priced.reduce((sum, l) => sum + l.partsSubtotal, 0);
+  const laborSubtotal = priced.reduce((sum, l) => sum + l.laborSubtotal, 0);
+  const trip = priced.length ? Number(tripFee) : 0;
+  const subtotal = trip + partsSubtotal + laborSubtotal;
+  const taxedLines = priced.filter((l) => !l.taxExempt);
+  const taxable = {
+    parts: taxRules.parts
+      ? taxedLines.reduce((sum, l) => sum + l.partsSubtotal, 0)
+      : 0,
+    labor: taxRules.labor
+      ? taxedLines.reduce((sum, l) => sum + l.laborSubtotal, 0)
+      : 0,
+    trip: taxRules.trip ? trip : 0,
+  };
+  const tax =
+    (taxable.parts + taxable.labor + taxable.trip) * (Number(taxPct) / 100);
+  const total = subtotal + tax;
+  return {
+    lines: priced,
+    laborRate: Number(laborRate),
+    tripFee: trip,
+    partsSubtotal,
+    laborSubtotal,
+    subtotal,
+    taxable,
+    tax,
+    total,
+  };
+}
+
+// Quotes saved before multi-line support carry a single issue at the top level.
+export function quoteLines(q) {
+  if (Array.isArray(q.lines)) return q.lines;
+  return [
+    {
+      key: String(q.ts),
+      category: q.category,
+      issueId: null,
+      issue: q.issue,
+      suggested: "",
+      laborHrs: q.laborHrs,
+      parts: q.parts,
+      qty: q.qty,
+    },
+  ];
+}
+
+export function quoteTitle(q) {
+  return quoteLines(q).map(lineTitle).join(" + ");
+}
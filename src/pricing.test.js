@@ -0,0 +1,287 @@
+import {
+  issueOptions,
+  lineTitle,
+  markupFor,
+  memberRates,
+  newLine,
+  priceQuote,
+  quoteLines,
+  quoteTitle,
+  sortTiers,
+  taxLabel,
+  taxRatesFor,
+  tierLabel,
+} from "./pricing";
+
+const igniter = {
+  id: "ig",
+  issue: "Failed igniter",
+  suggested: "Replace igniter",
+  defaultLaborHrs: 0.5,
+  defaultPartsCost: 40,
+  defaultQty: 1,
+};
+const filter = { id: "flt", issue: "Dirty filter" };
+
+const rates = { laborRate: 100, tripFee: 50, partsMarkupPct: 50, taxPct: 10 };
+
+describe("quote lines", () => {
+  test("newLine seeds values from the issue and keeps them as defaults", () => {
+    const line = newLine(igniter, "Furnace");
+    expect(line).toMatchObject({
+      category: "Furnace",
+      issueId: "ig",
+      issue: "Failed igniter",
+      suggested: "Replace igniter",
+      laborHrs: 0.5,
+      parts: 40,
+      qty: 1,
+      defaults: { laborHrs: 0.5, parts: 40, qty: 1 },
+    });
+    expect(newLine(igniter, "Furnace").key).not.toBe(line.key);
+  });
+
+  test("missing defaults fall back to 1 hour, no parts, qty 1", () => {
+    expect(newLine(filter, "Furnace")).toMatchObject({
+      laborHrs: 1,
+      parts: 0,
+      qty: 1,
+    });
+  });
+
+  test("legacy single-issue quotes read as one line", () => {
+    const legacy = {
+      ts: 5,
+      category: "Furnace",
+      issue: "Old",
+      laborHrs: 2,
+      parts: 10,
+      qty: 3,
+    };
+    expect(quoteLines(legacy)).toEqual([
+      expect.objectContaining({
+        key: "5",
+        issue: "Old",
+        laborHrs: 2,
+        parts: 10,
+        qty: 3,
+      }),
+    ]);
+    expect(
+      quoteTitle({ lines: [newLine(igniter, "F"), newLine(filter, "F")] })
+    ).toBe("Failed igniter + Dirty filter");
+    expect(lineTitle({ issue: "A", option: "Best" })).toBe("A (Best)");
+  });
+});
+
+describe("priceQuote", () => {
+  test("trip fee once per quote; markup and tax across all lines", () => {
+    const lines = [
+      newLine(igniter, "F"),
+      { ...newLine(filter, "F"), qty: 2, parts: 10 },
+    ];
+    const q = priceQuote(lines, rates);
+    expect(q.lines.map((l) => l.total)).toEqual([50 + 60, 100 + 30]);
+    expect([q.laborSubtotal, q.partsSubtotal, q.tripFee]).toEqual([
+      150, 90, 50,
+    ]);
+    expect(q.subtotal).toBe(290);
+    expect(q.tax).toBeCloseTo(29);
+    expect(q.total).toBeCloseTo(319);
+  });
+
+  test("an empty quote costs nothing, not even the trip fee", () => {
+    expect(priceQuote([], rates)).toMatchObject({
+      tripFee: 0,
+      subtotal: 0,
+      total: 0,
+    });
+  });
+});
+
+describe("Good/Better/Best options", () => {
+  const capacitor = {
+    id: "cap",
+    issue: "Weak capacitor",
+    suggested: "Replace capacitor",
+    defaultLaborHrs: 0.5,
+    defaultPartsCost: 30,
+    options: [
+      { name: "Good", suggested: "Universal capacitor" },
+      { name: "Best", defaultPartsCost: 80, defaultLaborHrs: 1 },
+    ],
+  };
+
+  test("issueOptions is null without options", () => {
+    expect(issueOptions(igniter)).toBe(null);
+    expect(issueOptions({ ...igniter, options: [] })).toBe(null);
+    expect(issueOptions(capacitor)).toHaveLength(2);
+  });
+
+  test("an option's values win; missing ones fall back to the issue", () => {
+    const [good, best] = capacitor.options;
+    expect(newLine(capacitor, "Cooling", good)).toMatchObject({
+      option: "Good",
+      suggested: "Universal capacitor",
+      laborHrs: 0.5,
+      parts: 30,
+    });
+    expect(newLine(capacitor, "Cooling", best)).toMatchObject({
+      option: "Best",
+      suggested: "",
+      laborHrs: 1,
+      parts: 80,
+    });
+    expect(newLine(capacitor, "Cooling").option).toBe(null);
+  });
+});
+
+describe("membership plans", () => {
+  const plan = {
+    name: "Comfort Club",
+    waiveTripFee: true,
+    laborDiscountPct: 10,
+    partsDiscountPct: 20,
+  };
+
+  test("memberRates discounts labor, waives the trip fee and keeps the rest", () => {
+    expect(memberRates(plan, rates)).toEqual({
+      ...rates,
+      laborRate: 90,
+      tripFee: 0,
+      partsDiscountPct: 20,
+    });
+    expect(memberRates({ name: "Basic" }, rates)).toMatchObject({
+      laborRate: 100,
+      tripFee: 50,
+      partsDiscountPct: 0,
+    });
+  });
+
+  test("member price with the regular total and savings alongside", () => {
+    const lines = [newLine(igniter, "F")];
+    const regular = priceQuote(lines, rates);
+    const member = priceQuote(lines, { ...rates, plan });
+    // Labor 0.5 h × $90; parts $40 × 1.5 markup × 0.8.
+    expect([
+      member.laborSubtotal,
+      member.partsSubtotal,
+      member.tripFee,
+    ]).toEqual([45, 48, 0]);
+    expect(member.total).toBeCloseTo(93 * 1.1);
+    expect(member.plan).toBe(plan);
+    expect(member.regularTotal).toBe(regular.total);
+    expect(member.savings).toBeCloseTo(regular.total - member.total);
+  });
+});
+
+describe("parts markup matrix", () => {
+  const tiers = sortTiers([
+    { upTo: null, pct: 25 },
+    { upTo: 20, pct: 100 },
+    { upTo: 100, pct: 50 },
+  ]);
+  const matrix = {
+    tiers,
+    categories: { Furnace: [{ upTo: null, pct: 30 }], Cooling: [] },
+  };
+
+  test("tiers sort by upper bound with the open bracket last", () => {
+    expect(tiers.map((t) => t.upTo)).toEqual([20, 100, null]);
+    expect(tiers.map((_, i) => tierLabel(tiers, i))).toEqual([
+      "under $20",
+      "$20–$100",
+      "$100+",
+    ]);
+    expect(tierLabel([{ upTo: null, pct: 10 }], 0)).toBe("all parts");
+  });
+
+  test("unit cost picks the bracket; the upper bound is exclusive", () => {
+    const at = (parts, category = "Cooling") =>
+      markupFor({ parts, category }, matrix, 40);
+    expect(at(19.99)).toEqual({ pct: 100, tier: "under $20" });
+    expect(at(20)).toEqual({ pct: 50, tier: "$20–$100" });
+    expect(at(500)).toEqual({ pct: 25, tier: "$100+" });
+  });
+
+  test("category tiers override the shop-wide ones", () => {
+    expect(markupFor({ parts: 5, category: "Furnace" }, matrix, 40)).toEqual({
+      pct: 30,
+      tier: "Furnace all parts",
+    });
+  });
+
+  test("flat percentage when no tier matches or there are none", () => {
+    const capped = { tiers: [{ upTo: 50, pct: 60 }], categories: {} };
+    expect(markupFor({ parts: 80 }, capped, 40)).toEqual({
+      pct: 40,
+      tier: "flat",
+    });
+    expect(markupFor({ parts: 5 }, undefined, 40)).toEqual({
+      pct: 40,
+      tier: "flat",
+    });
+  });
+
+  test("priceQuote marks up each line by its own tier", () => {
+    const lines = [
+      { ...newLine(igniter, "Cooling"), parts: 10, laborHrs: 0 },
+      { ...newLine(igniter, "Cooling"), parts: 200, laborHrs: 0 },
+    ];
+    const q = priceQuote(lines, { ...rates, markupMatrix: matrix });
+    expect(q.lines.map((l) => [l.markupPct, l.partsSubtotal])).toEqual([
+      [100, 20],
+      [25, 250],
+    ]);
+  });
+});
+
+describe("tax jurisdictions", () => {
+  const springfield = {
+    id: "spr",
+    name: "Springfield",
+    taxPct: 8,
+    parts: true,
+    labor: false,
+    trip: true,
+  };
+  // Labor $50, parts $60, trip $50 for one igniter line.
+  const lines = [newLine(igniter, "F")];
+
+  test("taxRatesFor uses the jurisdiction, else the shop rate on everything", () => {
+    expect(taxRatesFor(springfield, 10)).toEqual({
+      taxPct: 8,
+      taxRules: { parts: true, labor: false, trip: true },
+    });
+    expect(taxRatesFor(null, 10)).toEqual({
+      taxPct: 10,
+      taxRules: { parts: true, labor: true, trip: true },
+    });
+  });
+
+  test("taxLabel names what is taxed", () => {
+    const { taxRules } = taxRatesFor(springfield, 10);
+    expect(taxLabel(8, taxRules, "Springfield")).toBe(
+      "Springfield 8% on parts + trip"
+    );
+    expect(taxLabel(7)).toBe("7%");
+    expect(taxLabel(7, { parts: false, labor: false, trip: false })).toBe(
+      "not taxed"
+    );
+  });
+
+  test("only the taxable parts, labor and trip fee are taxed", () => {
+    const q = priceQuote(lines, { ...rates, ...taxRatesFor(springfield, 10) });
+    expect(q.taxable).toEqual({ parts: 60, labor: 0, trip: 50 });
+    expect(q.tax).toBeCloseTo(8.8);
+    expect(q.total).toBeCloseTo(160 + 8.8);
+  });
+
+  test("tax-exempt lines are left out; the trip fee is still taxed", () => {
+    const exempt = newLine({ ...igniter, taxExempt: true }, "F");
+    expect(exempt.taxExempt).toBe(true);
+    const q = priceQuote([exempt], rates);
+    expect(q.taxable).toEqual({ parts: 0, labor: 0, trip: 50 });
+    expect(q.tax).toBeCloseTo(5);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Service worker registration and install/update state for the PWA.
+ * - `startPwa()` runs once from index.js (production builds only).
+ * - Components `subscribePwa(fn)` to get { canInstall, updateReady, offlineReady }.
+ * - `applyUpdate()` activates a waiting version and reloads once it takes over.
+ */
+
+let installEvent = null;
+let waitingWorker = null;
+let offlineReady = false;
+const listeners = new Set();
+
+function snapshot() {
+  return {
+    canInstall: Boolean(installEvent),
+    updateReady: Boolean(waitingWorker),
+    offlineReady,
+  };
+}
+
+function emit() {
+  const state = snapshot();
+  listeners.forEach((fn) => fn(state));
+}
+
+export function subscribePwa(fn) {
+  listeners.add(fn);
+  fn(snapshot());
+  return () => listeners.delete(fn);
+}
+
+// A worker finished installing: either the first one (now offline-capable)
+// or a new version waiting behind the one controlling this page.
+function watchInstalling(registration) {
+  const worker = registration.installing;
+  if (!worker) return;
+  worker.addEventListener("statechange", () => {
+    if (worker.state !== "installed") return;
+    if (navigator.serviceWorker.controller) {
+      waitingWorker = registration.waiting || worker;
+    } else {
+      offlineReady = true;
+    }
+    emit();
+  });
+}
+
+export function startPwa() {
+  window.addEventListener("beforeinstallprompt", (e) => {
+    e.preventDefault();
+    installEvent = e;
+    emit();
+  });
+  window.addEventListener("appinstalled", () => {
+    installEvent = null;
+    emit();
+  });
+
+  if (process.env.NODE_ENV !== "production") return;
+  if (!("serviceWorker" in navigator)) return;
+  window.addEventListener("load", async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(
+        `${process.env.PUBLIC_URL}/service-worker.js`
+      );
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        waitingWorker = registration.waiting;
+        emit();
+      }
+      registration.addEventListener("updatefound", () =>
+        watchInstalling(registration)
+      );
+    } catch (e) {
+      console.error("Service worker registration failed", e);
+    }
+  });
+}
+
+export async function promptInstall() {
+  if (!installEvent) return;
+  const e = installEvent;
+  installEvent = null;
+  emit();
+  await e.prompt();
+}
+
+export function applyUpdate() {
+  if (!waitingWorker) return;
+  navigator.serviceWorker.addEventListener(
+    "controllerchange",
+    () => window.location.reload(),
+    { once: true }
+  );
+  waitingWorker.postMessage({ type: "SKIP_WAITING" });
+}
+
+export function dismissOfflineReady() {
+  offlineReady = false;
+  emit();
+}
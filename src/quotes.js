@@ -0,0 +1,118 @@
+import { quoteTitle } from "./pricing";
+
+/**
+ * Saved quote helpers: customer/job fields, Saved Quotes search and the
+ * draft → presented → approved/declined → invoiced lifecycle.
+ */
+
+export const CUSTOMER_FIELDS = [
+  { key: "name", label: "Customer name" },
+  { key: "phone", label: "Phone" },
+  { key: "email", label: "Email" },
+  { key: "address", label: "Service address" },
+  { key: "jobNumber", label: "Job / work order #" },
+  { key: "equipmentMake", label: "Equipment make" },
+  { key: "equipmentModel", label: "Model" },
+  { key: "equipmentSerial", label: "Serial" },
+  { key: "notes", label: "Notes" },
+];
+
+export const EMPTY_CUSTOMER = Object.fromEntries(
+  CUSTOMER_FIELDS.map((f) => [f.key, ""])
+);
+
+export function equipmentText(c = {}) {
+  return [c.equipmentMake, c.equipmentModel, c.equipmentSerial]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function normalize(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9@.]+/g, " ")
+    .trim();
+}
+
+/**
+ * Filters saved quotes by free text and date range.
+ * `field` is a CUSTOMER_FIELDS key, "issue", or "all" (customer fields + issues).
+ * Phone searches ignore punctuation, so "5551234" matches "(555) 123-4".
+ * `from`/`to` are "YYYY-MM-DD" (inclusive, local time); `status` "all" or a status.
+ */
+export function filterQuotes(
+  quotes,
+  { query = "", field = "all", from, to, status = "all" }
+) {
+  const q = normalize(query);
+  const digits = query.replace(/\D/g, "");
+  const start = from ? new Date(`${from}T00:00`).getTime() : -Infinity;
+  const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+  return quotes.filter((s) => {
+    if (s.ts < start || s.ts > end) return false;
+    if (status !== "all" && quoteStatus(s) !== status) return false;
+    if (!q) return true;
+    const c = s.customer || {};
+    const values =
+      field === "all"
+        ? [...CUSTOMER_FIELDS.map((f) => c[f.key]), quoteTitle(s)]
+        : field === "issue"
+        ? [quoteTitle(s)]
+        : [c[field]];
+    return values.some(
+      (v) =>
+        normalize(v).includes(q) ||
+        (digits.length >= 3 &&
+          String(v ?? "")
+            .replace(/\D/g, "")
+            .includes(digits))
+    );
+  });
+}
+
+// Quote lifecycle. Legacy quotes without a status count as drafts.
+export const STATUSES = [
+  "draft",
+  "presented",
+  "approved",
+  "declined",
+  "invoiced",
+];
+export const STATUS_LABELS = {
+  draft: "Draft",
+  presented: "Presented",
+  approved: "Approved",
+  declined: "Declined",
+  invoiced: "Invoiced",
+};
+export const NEXT_STATUSES = {
+  draft: ["presented"],
+  presented: ["approved", "declined"],
+  approved: ["invoiced"],
+  declined: [],
+  invoiced: [],
+};
+
+export function quoteStatus(q) {
+  return q.status || "draft";
+}
+
+// Moves a quote to `status`, appending to its history; `extra` carries e.g. the signature.
+export function withStatus(q, status, extra = {}, at = Date.now()) {
+  const history = q.statusHistory || [{ status: quoteStatus(q), at: q.ts }];
+  return {
+    ...q,
+    ...extra,
+    status,
+    statusHistory: [...history, { status, at }],
+  };
+}
+
+export function statusAt(q, status) {
+  const hit = (q.statusHistory || [])
+    .slice()
+    .reverse()
+    .find((h) => h.status === status);
+  return hit ? hit.at : null;
+}
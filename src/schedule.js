@@ -0,0 +1,47 @@
+/**
+ * Business-hours rules for picking the after-hours labor rate.
+ * - Weekend days are JS day indexes (0 = Sunday).
+ * - Holidays are { date: "YYYY-MM-DD", name } entries.
+ * - Job times are local "YYYY-MM-DDTHH:mm" strings (datetime-local inputs).
+ */
+
+export const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+export function toLocalDateTime(d = new Date()) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(
+    d.getHours()
+  )}:${pad(d.getMinutes())}`;
+}
+
+function minutes(hhmm) {
+  const [h, m] = String(hhmm || "00:00").split(":");
+  return Number(h) * 60 + Number(m || 0);
+}
+
+// Returns why the after-hours rate applies at `jobAt`, or "" during business hours.
+export function afterHoursReason(
+  jobAt,
+  { dayStart, dayEnd, weekendDays = [], holidays = [] }
+) {
+  if (!jobAt) return "";
+  const [date, time = "00:00"] = jobAt.split("T");
+  const holiday = holidays.find((h) => h.date === date);
+  if (holiday) return `Holiday${holiday.name ? `: ${holiday.name}` : ""}`;
+
+  const day = new Date(`${date}T00:00`).getDay();
+  if (weekendDays.includes(day)) return `Weekend (${DAY_NAMES[day]})`;
+
+  const t = minutes(time);
+  const start = minutes(dayStart);
+  const end = minutes(dayEnd);
+  // Business hours may wrap past midnight (e.g. 20:00–04:00).
+  const open = start <= end ? t >= start && t < end : t >= start || t < end;
+  if (open) return "";
+  return start <= end && t < start
+    ? `Before business hours (${time})`
+    : `After business hours (${time})`;
+}
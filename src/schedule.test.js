@@ -0,0 +1,49 @@
+import { afterHoursReason, toLocalDateTime } from "./schedule";
+
+const hours = {
+  dayStart: "08:00",
+  dayEnd: "17:00",
+  weekendDays: [0, 6],
+  holidays: [{ date: "2025-12-25", name: "Christmas" }, { date: "2025-07-04" }],
+};
+
+describe("afterHoursReason", () => {
+  test("business hours on a weekday use the standard rate", () => {
+    expect(afterHoursReason("2025-06-04T08:00", hours)).toBe(""); // Wed
+    expect(afterHoursReason("2025-06-04T16:59", hours)).toBe("");
+  });
+
+  test("before opening and from closing time", () => {
+    expect(afterHoursReason("2025-06-04T07:59", hours)).toBe(
+      "Before business hours (07:59)"
+    );
+    expect(afterHoursReason("2025-06-04T17:00", hours)).toBe(
+      "After business hours (17:00)"
+    );
+  });
+
+  test("weekends and holidays, holidays first", () => {
+    expect(afterHoursReason("2025-06-07T10:00", hours)).toBe("Weekend (Sat)");
+    expect(afterHoursReason("2025-12-25T10:00", hours)).toBe(
+      "Holiday: Christmas"
+    );
+    expect(afterHoursReason("2025-07-04T10:00", hours)).toBe("Holiday");
+  });
+
+  test("hours that wrap past midnight", () => {
+    const night = { dayStart: "20:00", dayEnd: "04:00" };
+    expect(afterHoursReason("2025-06-04T23:30", night)).toBe("");
+    expect(afterHoursReason("2025-06-04T03:59", night)).toBe("");
+    expect(afterHoursReason("2025-06-04T12:00", night)).toBe(
+      "After business hours (12:00)"
+    );
+  });
+
+  test("no job time, no after-hours", () => {
+    expect(afterHoursReason("", hours)).toBe("");
+  });
+});
+
+test("toLocalDateTime formats for datetime-local inputs", () => {
+  expect(toLocalDateTime(new Date(2025, 0, 2, 3, 4))).toBe("2025-01-02T03:04");
+});
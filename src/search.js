@@ -0,0 +1,164 @@
+/**
+ * Fuzzy catalog search across all categories.
+ * - Query and fields are split into lowercase word tokens. Every query token must
+ *   match some word: exactly, as a prefix ("cap" → "capacitor"), by shared stem
+ *   ("cycling" → "cycles") or within a small edit distance ("ignitor" → "igniter").
+ * - Score: per query token, the best field weight × match quality; issue and
+ *   symptoms weigh most. A field containing the whole query adds a phrase bonus.
+ * - Each result carries the matched word ranges per field for highlighting.
+ */
+
+const FIELD_WEIGHTS = {
+  issue: 4,
+  symptoms: 3,
+  cause: 2,
+  sku: 2,
+  code: 2,
+  suggested: 1.5,
+  category: 1,
+};
+
+const QUALITY = { exact: 1, prefix: 0.8, stem: 0.6, typo: 0.5 };
+
+function tokenize(text) {
+  const tokens = [];
+  const re = /[\p{L}\p{N}]+/gu;
+  let m;
+  while ((m = re.exec(String(text).toLowerCase()))) {
+    tokens.push({ word: m[0], start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+// Typos allowed for a query token: none for short words, 1 up to 7 letters, then 2.
+function allowedTypos(token) {
+  if (token.length < 4) return 0;
+  return token.length <= 7 ? 1 : 2;
+}
+
+// Optimal string alignment distance (Levenshtein + adjacent swaps), capped at max + 1.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prev2 &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function commonPrefix(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+}
+
+// Match quality of query token `q` against a field word (0 = no match).
+function matchWord(q, word) {
+  if (word === q) return QUALITY.exact;
+  if (q.length >= 2 && word.startsWith(q)) return QUALITY.prefix;
+  if (q.length >= 4 && commonPrefix(q, word) >= Math.max(4, q.length - 3)) {
+    return QUALITY.stem;
+  }
+  const typos = allowedTypos(q);
+  if (!typos) return 0;
+  if (editDistance(q, word, typos) <= typos) return QUALITY.typo;
+  // Typo in a word that is still being typed: compare against the word's start.
+  if (
+    word.length > q.length &&
+    editDistance(q, word.slice(0, q.length), typos) <= typos
+  ) {
+    return QUALITY.typo * 0.8;
+  }
+  return 0;
+}
+
+/**
+ * Scores one issue; returns null unless every query token matches.
+ * Result: { score, matches: { field: [[start, end], ...] } }.
+ */
+export function scoreIssue(issue, category, query) {
+  const queryTokens = tokenize(query);
+  if (queryTokens.length === 0) return null;
+  const fields = Object.keys(FIELD_WEIGHTS)
+    .map((field) => {
+      const text = field === "category" ? category : issue[field];
+      return text
+        ? { field, text: String(text), tokens: tokenize(text) }
+        : null;
+    })
+    .filter(Boolean);
+
+  let score = 0;
+  const matches = {};
+  for (const { word: q } of queryTokens) {
+    let best = 0;
+    for (const { field, tokens } of fields) {
+      for (const t of tokens) {
+        const quality = matchWord(q, t.word);
+        if (!quality) continue;
+        best = Math.max(best, FIELD_WEIGHTS[field] * quality);
+        (matches[field] = matches[field] || []).push([t.start, t.end]);
+      }
+    }
+    if (!best) return null;
+    score += best;
+  }
+
+  const phrase = query.trim().toLowerCase();
+  if (queryTokens.length > 1) {
+    fields.forEach(({ field, text }) => {
+      if (text.toLowerCase().includes(phrase)) score += FIELD_WEIGHTS[field];
+    });
+  }
+  return { score, matches };
+}
+
+/**
+ * Searches every category; results are { issue, category, score, matches },
+ * best first (ties keep catalog order).
+ */
+export function searchCatalog(catalog, query) {
+  const results = [];
+  Object.entries(catalog).forEach(([category, issues]) => {
+    issues.forEach((issue) => {
+      const hit = scoreIssue(issue, category, query);
+      if (hit) results.push({ issue, category, ...hit });
+    });
+  });
+  return results.sort((a, b) => b.score - a.score);
+}
+
+// Splits `text` into [{ text, hit }] parts for the given match ranges.
+export function highlightParts(text, ranges = []) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const parts = [];
+  let at = 0;
+  for (const [start, end] of sorted) {
+    if (end <= at) continue;
+    const from = Math.max(start, at);
+    if (from > at) parts.push({ text: text.slice(at, from), hit: false });
+    parts.push({ text: text.slice(from, end), hit: true });
+    at = end;
+  }
+  if (at < text.length) parts.push({ text: text.slice(at), hit: false });
+  return parts;
+}
@@ -0,0 +1,91 @@
+import { highlightParts, scoreIssue, searchCatalog } from "./search";
+
+const catalog = {
+  "Gas Furnace – No Heat": [
+    {
+      id: "ig",
+      issue: "Failed Hot Surface Igniter",
+      symptoms: "Inducer runs; no ignition; retries then lockout",
+    },
+    { id: "fs", issue: "Dirty Flame Sensor", symptoms: "Short cycles" },
+  ],
+  Cooling: [
+    {
+      id: "cap",
+      issue: "Weak Run Capacitor",
+      symptoms: "Outdoor fan hums",
+      sku: "CAP-45-5",
+    },
+  ],
+};
+
+const ids = (query) => searchCatalog(catalog, query).map((r) => r.issue.id);
+
+describe("searchCatalog", () => {
+  test("searches every category", () => {
+    expect(ids("igniter")).toEqual(["ig"]);
+    expect(ids("capacitor")).toEqual(["cap"]);
+  });
+
+  test("prefix, shared stem and typo matches", () => {
+    expect(ids("cap")).toEqual(["cap"]);
+    expect(ids("cycling")).toEqual(["fs"]);
+    expect(ids("ignitor")).toEqual(["ig"]);
+    expect(ids("capactor")).toEqual(["cap"]);
+  });
+
+  test("every query word must match", () => {
+    expect(ids("flame sensor")).toEqual(["fs"]);
+    expect(ids("flame capacitor")).toEqual([]);
+  });
+
+  test("short words allow no typos", () => {
+    expect(ids("fen")).toEqual([]);
+  });
+
+  test("issue names outrank symptoms; the category counts too", () => {
+    const r = searchCatalog(
+      {
+        A: [
+          { id: "sym", issue: "Blower", symptoms: "Noisy motor" },
+          { id: "name", issue: "Motor", symptoms: "Hot" },
+        ],
+      },
+      "motor"
+    );
+    expect(r.map((x) => x.issue.id)).toEqual(["name", "sym"]);
+    expect(ids("furnace sensor")).toEqual(["fs"]);
+  });
+
+  test("SKUs are searchable", () => {
+    expect(ids("cap 45")).toEqual(["cap"]);
+  });
+
+  test("an empty query finds nothing", () => {
+    expect(ids("  ")).toEqual([]);
+  });
+});
+
+test("scoreIssue returns match ranges per field", () => {
+  const hit = scoreIssue(catalog.Cooling[0], "Cooling", "run cap");
+  expect(hit.matches.issue).toEqual([
+    [5, 8],
+    [9, 18],
+  ]);
+});
+
+test("highlightParts splits text at the matched ranges", () => {
+  expect(
+    highlightParts("Weak Run Capacitor", [
+      [9, 18],
+      [5, 8],
+      [6, 8],
+    ])
+  ).toEqual([
+    { text: "Weak ", hit: false },
+    { text: "Run", hit: true },
+    { text: " ", hit: false },
+    { text: "Capacitor", hit: true },
+  ]);
+  expect(highlightParts("Plain")).toEqual([{ text: "Plain", hit: false }]);
+});
@@ -0,0 +1,46 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Offline service worker (built by CRA's InjectManifest in production).
+ * - Precaches every built asset listed in self.__WB_MANIFEST, including the
+ *   lazily loaded PDF/spreadsheet chunks, so the app runs with no signal.
+ * - Navigations fall back to the cached index.html (app shell).
+ * - A new version waits until the page asks it to take over (SKIP_WAITING),
+ *   so an open quote is never swapped out from under the tech.
+ */
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { StaleWhileRevalidate } from "workbox-strategies";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// App shell: serve index.html for navigations, except URLs that look like files.
+const fileExtensionRegexp = new RegExp("/[^/?]+\\.[^/]+$");
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+// Same-origin files in public/ (icons, manifest) that are not precached.
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin &&
+    /\.(png|svg|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: "public-assets",
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,11 @@
+// Browser APIs the app uses that jsdom lacks (PIN hashing needs Web Crypto).
+import { webcrypto } from "crypto";
+import { TextDecoder, TextEncoder } from "util";
+
+globalThis.TextEncoder = TextEncoder;
+globalThis.TextDecoder = TextDecoder;
+Object.defineProperty(globalThis, "crypto", {
+  value: webcrypto,
+  configurable: true,
+});
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
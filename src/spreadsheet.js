@@ -0,0 +1,185 @@
+import { readSheet } from "read-excel-file/browser";
+
+/**
+ * Spreadsheet (CSV / XLSX) → catalog conversion.
+ * - Files are read into rows (arrays of cell values); row 0 is the header.
+ * - A mapping { field: columnIndex } picks which column feeds each issue field.
+ */
+
+// Target fields in the order the mapping step shows them.
+export const CATALOG_COLUMNS = [
+  { field: "category", label: "Category", aliases: ["category", "group"] },
+  { field: "id", label: "ID", aliases: ["id", "issue id", "key"] },
+  {
+    field: "issue",
+    label: "Issue",
+    aliases: ["issue", "issue name", "name", "title", "problem"],
+  },
+  { field: "symptoms", label: "Symptoms", aliases: ["symptoms", "symptom"] },
+  { field: "cause", label: "Cause", aliases: ["cause", "likely cause"] },
+  {
+    field: "diagnostics",
+    label: "Diagnostics",
+    aliases: ["diagnostics", "diagnostic notes", "diagnosis"],
+  },
+  {
+    field: "suggested",
+    label: "Suggested Line Item",
+    aliases: ["suggested", "suggested line item", "repair"],
+  },
+  {
+    field: "defaultLaborHrs",
+    label: "Labor Hours",
+    aliases: ["defaultlaborhrs", "labor hours", "labor hrs", "hours"],
+  },
+  {
+    field: "defaultPartsCost",
+    label: "Parts Cost",
+    aliases: ["defaultpartscost", "parts cost", "parts", "cost"],
+  },
+  {
+    field: "defaultQty",
+    label: "Quantity",
+    aliases: ["defaultqty", "qty", "quantity"],
+  },
+  { field: "sku", label: "SKU", aliases: ["sku", "part number", "part #"] },
+  { field: "code", label: "Code", aliases: ["code", "task code"] },
+  {
+    field: "taxExempt",
+    label: "Tax Exempt",
+    aliases: ["taxexempt", "tax exempt", "exempt", "non taxable"],
+  },
+];
+
+const NUMERIC = ["defaultLaborHrs", "defaultPartsCost", "defaultQty"];
+
+// Yes/no columns; other values are kept for the validator to flag.
+const FLAGS = ["taxExempt"];
+const YES = /^(true|yes|y|x|1)$/i;
+const NO = /^(false|no|n|0)$/i;
+
+export function isSpreadsheetFile(file) {
+  return /\.(csv|xlsx)$/i.test(file.name);
+}
+
+// RFC 4180 CSV: quoted fields, "" escapes, CRLF or LF line endings.
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ""));
+}
+
+export async function readSpreadsheet(file) {
+  if (/\.xlsx$/i.test(file.name)) {
+    const rows = await readSheet(file);
+    return rows.filter((r) => r.some((c) => c != null && c !== ""));
+  }
+  return parseCSV(await file.text());
+}
+
+function normalizeHeader(h) {
+  return String(h ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[_\s]+/g, " ");
+}
+
+// Best-effort { field: columnIndex } from header names; unmatched fields are omitted.
+export function guessMapping(headers) {
+  const norm = headers.map(normalizeHeader);
+  const mapping = {};
+  for (const col of CATALOG_COLUMNS) {
+    const idx = norm.findIndex(
+      (h) => col.aliases.includes(h) || h === col.field.toLowerCase()
+    );
+    if (idx !== -1) mapping[col.field] = idx;
+  }
+  return mapping;
+}
+
+function slug(s) {
+  return String(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Builds a catalog object from data rows (header excluded). Rows without a
+ * category column value land in `defaultCategory`. Missing ids are derived
+ * from the issue name. Output still goes through validateCatalog.
+ */
+export function rowsToCatalog(rows, mapping, { defaultCategory = "Imported" }) {
+  const catalog = {};
+  const usedIds = new Set();
+
+  for (const r of rows) {
+    const cell = (field) =>
+      mapping[field] == null ? undefined : r[mapping[field]];
+    const category = String(cell("category") ?? "").trim() || defaultCategory;
+    const item = {};
+
+    for (const { field } of CATALOG_COLUMNS) {
+      if (field === "category") continue;
+      let v = cell(field);
+      if (v == null || v === "") continue;
+      if (v instanceof Date) v = v.toISOString().slice(0, 10);
+      if (FLAGS.includes(field)) {
+        const text = String(v).trim();
+        v = YES.test(text) ? true : NO.test(text) ? false : text;
+      } else if (NUMERIC.includes(field) && typeof v === "string") {
+        // CSV cells are always text; keep unparseable values for the validator to flag.
+        const n = Number(v.replace(/[$,\s]/g, ""));
+        if (v.trim() !== "" && Number.isFinite(n)) v = n;
+      } else if (typeof v === "string") {
+        v = v.trim();
+      }
+      item[field] = v;
+    }
+
+    if (item.id == null && item.issue) {
+      const base = slug(`${category} ${item.issue}`) || "issue";
+      let id = base;
+      for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+      item.id = id;
+    }
+    if (item.id != null) usedIds.add(String(item.id));
+
+    (catalog[category] = catalog[category] || []).push(item);
+  }
+  return catalog;
+}
@@ -0,0 +1,61 @@
+import { guessMapping, parseCSV, rowsToCatalog } from "./spreadsheet";
+
+test("parseCSV handles quotes, escaped quotes and CRLF", () => {
+  expect(parseCSV('\uFEFFa,"b, c","say ""hi"""\r\n1,2,3\n\n')).toEqual([
+    ["a", "b, c", 'say "hi"'],
+    ["1", "2", "3"],
+  ]);
+});
+
+test("guessMapping matches header aliases", () => {
+  expect(
+    guessMapping(["Group", "Issue Name", "Labor_Hours", "Parts", "Tax Exempt"])
+  ).toEqual({
+    category: 0,
+    issue: 1,
+    defaultLaborHrs: 2,
+    defaultPartsCost: 3,
+    taxExempt: 4,
+  });
+});
+
+describe("rowsToCatalog", () => {
+  const mapping = { category: 0, issue: 1, defaultPartsCost: 2, taxExempt: 3 };
+
+  test("parses numbers and yes/no flags, derives ids", () => {
+    const catalog = rowsToCatalog(
+      [
+        ["Filters", "Filter swap", "$1,020.50", "yes"],
+        ["Filters", "Filter swap", "", "N"],
+        ["", "Odd one", "abc", "maybe"],
+      ],
+      mapping,
+      { defaultCategory: "Imported" }
+    );
+    expect(catalog.Filters).toEqual([
+      {
+        id: "filters-filter-swap",
+        issue: "Filter swap",
+        defaultPartsCost: 1020.5,
+        taxExempt: true,
+      },
+      { id: "filters-filter-swap-2", issue: "Filter swap", taxExempt: false },
+    ]);
+    expect(catalog.Imported[0]).toMatchObject({
+      defaultPartsCost: "abc",
+      taxExempt: "maybe",
+    });
+  });
+
+  test("XLSX booleans and numbers read as flags", () => {
+    const catalog = rowsToCatalog(
+      [
+        ["Coils", "Coil", 10, true],
+        ["Coils", "Coil 2", 10, 0],
+      ],
+      mapping,
+      {}
+    );
+    expect(catalog.Coils.map((i) => i.taxExempt)).toEqual([true, false]);
+  });
+});
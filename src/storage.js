@@ -0,0 +1,284 @@
+/**
+ * Device storage backed by IndexedDB (database "hvac", schema SCHEMA_VERSION).
+ * - `settings` store: one record per key (catalog, versions, auth, rates, company…).
+ * - `quotes` store: one record per saved quote, keyed by `ts`.
+ * - initStorage() opens the database, runs schema migrations, moves the old
+ *   `hvac_*` localStorage keys in on first run, and loads everything into
+ *   memory so reads stay synchronous. Writes update memory first, then IndexedDB.
+ * - Failed writes (storage full, IndexedDB unavailable) are reported through
+ *   onStorageError(); the in-memory data keeps working for the session.
+ */
+
+const DB_NAME = "hvac";
+
+// Schema migrations, applied in order on upgrade; index + 1 is the version.
+const MIGRATIONS = [
+  (db) => {
+    db.createObjectStore("settings");
+    db.createObjectStore("quotes", { keyPath: "ts" });
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+// Old localStorage key → [settings key, parse].
+const json = (raw) => JSON.parse(raw);
+const LEGACY_KEYS = {
+  hvac_catalog_json: ["catalog", json],
+  hvac_catalog_versions: ["catalogVersions", json],
+  hvac_catalog_version: ["catalogVersion", Number],
+  hvac_auth: ["auth", json],
+  hvac_pin: ["legacyPin", String],
+  hvac_std_rate: ["stdRate", Number],
+  hvac_after_rate: ["afterRate", Number],
+  hvac_day_start: ["dayStart", String],
+  hvac_day_end: ["dayEnd", String],
+  hvac_weekend_days: ["weekendDays", json],
+  hvac_holidays: ["holidays", json],
+  hvac_trip_fee: ["tripFee", Number],
+  hvac_tax_pct: ["taxPct", Number],
+  hvac_parts_markup: ["partsMarkupPct", Number],
+  hvac_markup_matrix: ["markupMatrix", json],
+  hvac_plans: ["plans", json],
+  hvac_company: ["company", json],
+};
+const LEGACY_QUOTES = "hvac_quotes";
+
+let db = null;
+const settings = new Map();
+let quotes = [];
+const errorListeners = new Set();
+let startupError = null;
+
+export function isQuotaError(e) {
+  return (
+    e?.name === "QuotaExceededError" || e?.name === "NS_ERROR_DOM_QUOTA_REACHED"
+  );
+}
+
+function describe(e) {
+  return isQuotaError(e)
+    ? "Device storage is full. Export and delete old quotes or catalog versions to free space; recent changes are kept only until the app is closed."
+    : `Could not save to device storage (${
+        e?.message || e
+      }); recent changes are kept only until the app is closed.`;
+}
+
+function report(e) {
+  const problem = { error: e, message: describe(e) };
+  errorListeners.forEach((fn) => fn(problem));
+}
+
+// A failure while opening storage is replayed to each new listener.
+export function onStorageError(fn) {
+  errorListeners.add(fn);
+  if (startupError)
+    fn({ error: startupError, message: describe(startupError) });
+  return () => errorListeners.delete(fn);
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+    req.onupgradeneeded = (e) => {
+      for (let v = e.oldVersion; v < SCHEMA_VERSION; v++) {
+        MIGRATIONS[v](req.result, req.transaction);
+      }
+    };
+    req.onsuccess = () => {
+      // Let a newer version of the app (another tab) upgrade the schema.
+      req.result.onversionchange = () => req.result.close();
+      resolve(req.result);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("Storage is open in another tab"));
+  });
+}
+
+// Runs `fn(stores)` in one readwrite transaction; resolves once it commits.
+// If `fn` throws partway, the transaction is aborted so none of it is kept.
+function write(storeNames, fn) {
+  if (!db) return Promise.reject(new Error("Device storage unavailable"));
+  return new Promise((resolve, reject) => {
+    let tx;
+    try {
+      tx = db.transaction(storeNames, "readwrite");
+      fn(Object.fromEntries(storeNames.map((n) => [n, tx.objectStore(n)])));
+    } catch (e) {
+      try {
+        tx?.abort();
+      } catch {
+        // Already finished; nothing left to roll back.
+      }
+      reject(e);
+      return;
+    }
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error("Write aborted"));
+  });
+}
+
+// Resolves to null on success or the error (already reported) on failure.
+async function tracked(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (err) {
+    report(err);
+    return err;
+  }
+}
+
+function readLegacy() {
+  const found = {};
+  for (const [old, [key, parse]] of Object.entries(LEGACY_KEYS)) {
+    const raw = localStorage.getItem(old);
+    if (raw == null) continue;
+    try {
+      found[key] = parse(raw);
+    } catch {
+      // Unreadable legacy value; the app default applies instead.
+    }
+  }
+  let legacyQuotes = [];
+  try {
+    legacyQuotes = JSON.parse(localStorage.getItem(LEGACY_QUOTES) || "[]");
+  } catch {
+    legacyQuotes = [];
+  }
+  return { found, legacyQuotes };
+}
+
+function hasLegacy() {
+  return [...Object.keys(LEGACY_KEYS), LEGACY_QUOTES].some(
+    (k) => localStorage.getItem(k) != null
+  );
+}
+
+function sortQuotes(list) {
+  return list.sort((a, b) => b.ts - a.ts);
+}
+
+/**
+ * Opens storage and loads it into memory. Never rejects: without IndexedDB
+ * the app runs from memory (seeded from any legacy localStorage data) and the
+ * problem is reported to onStorageError listeners.
+ */
+export async function initStorage() {
+  try {
+    db = await openDb();
+    const [keys, values, stored] = await new Promise((resolve, reject) => {
+      const tx = db.transaction(["settings", "quotes"]);
+      Promise.all([
+        request(tx.objectStore("settings").getAllKeys()),
+        request(tx.objectStore("settings").getAll()),
+        request(tx.objectStore("quotes").getAll()),
+      ]).then(resolve, reject);
+    });
+    keys.forEach((k, i) => settings.set(k, values[i]));
+    quotes = sortQuotes(stored);
+  } catch (e) {
+    db = null;
+    const { found, legacyQuotes } = readLegacy();
+    Object.entries(found).forEach(([k, v]) => settings.set(k, v));
+    quotes = sortQuotes(legacyQuotes);
+    startupError = e;
+    return;
+  }
+
+  if (!settings.has("migratedAt") && hasLegacy()) {
+    await migrateLegacy();
+  }
+}
+
+// First run after the move to IndexedDB: copy the localStorage keys in one
+// transaction and remove them only once it has committed.
+async function migrateLegacy() {
+  const { found, legacyQuotes } = readLegacy();
+  const migratedAt = Date.now();
+  const err = await tracked(
+    write(["settings", "quotes"], (s) => {
+      Object.entries(found).forEach(([k, v]) => s.settings.put(v, k));
+      legacyQuotes.forEach((q) => s.quotes.put(q));
+      s.settings.put(migratedAt, "migratedAt");
+    })
+  );
+  Object.entries(found).forEach(([k, v]) => settings.set(k, v));
+  const byTs = new Map(quotes.map((q) => [q.ts, q]));
+  legacyQuotes.forEach((q) => byTs.set(q.ts, q));
+  quotes = sortQuotes([...byTs.values()]);
+  if (err) return;
+  settings.set("migratedAt", migratedAt);
+  [...Object.keys(LEGACY_KEYS), LEGACY_QUOTES].forEach((k) =>
+    localStorage.removeItem(k)
+  );
+}
+
+export function getItem(key, fallback) {
+  return settings.has(key) ? settings.get(key) : fallback;
+}
+
+export function setItem(key, value) {
+  settings.set(key, value);
+  return tracked(write(["settings"], (s) => s.settings.put(value, key)));
+}
+
+export function removeItem(key) {
+  settings.delete(key);
+  return tracked(write(["settings"], (s) => s.settings.delete(key)));
+}
+
+// All saved quotes, newest first.
+export function getQuotes() {
+  return [...quotes];
+}
+
+export function putQuote(q) {
+  quotes = sortQuotes([q, ...quotes.filter((x) => x.ts !== q.ts)]);
+  return tracked(write(["quotes"], (s) => s.quotes.put(q)));
+}
+
+export function deleteQuote(ts) {
+  quotes = quotes.filter((q) => q.ts !== ts);
+  return tracked(write(["quotes"], (s) => s.quotes.delete(ts)));
+}
+
+// Everything on this device, for backups: { settings: { key: value }, quotes }.
+export function exportData() {
+  return { settings: Object.fromEntries(settings), quotes: getQuotes() };
+}
+
+/**
+ * Writes restored data in one transaction. `replace` clears the device first;
+ * otherwise the given settings and quotes are written over what is there.
+ * Memory is only updated once the write commits; resolves to null or the error.
+ */
+export async function importData(data, { replace }) {
+  const err = await tracked(
+    write(["settings", "quotes"], (s) => {
+      if (replace) {
+        s.settings.clear();
+        s.quotes.clear();
+      }
+      Object.entries(data.settings).forEach(([k, v]) => s.settings.put(v, k));
+      data.quotes.forEach((q) => s.quotes.put(q));
+    })
+  );
+  if (err) return err;
+  if (replace) {
+    settings.clear();
+    quotes = [];
+  }
+  Object.entries(data.settings).forEach(([k, v]) => settings.set(k, v));
+  const byTs = new Map(quotes.map((q) => [q.ts, q]));
+  data.quotes.forEach((q) => byTs.set(q.ts, q));
+  quotes = sortQuotes([...byTs.values()]);
+  return null;
+}
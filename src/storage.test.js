@@ -0,0 +1,134 @@
+import { IDBFactory } from "fake-indexeddb";
+import { deserialize, serialize } from "v8";
+
+// jsdom has no structuredClone, which fake-indexeddb needs to store values.
+if (typeof structuredClone === "undefined") {
+  global.structuredClone = (v) => deserialize(serialize(v));
+}
+
+// A fresh copy of the module, as on an app start.
+function loadStorage() {
+  let storage;
+  jest.isolateModules(() => {
+    storage = require("./storage");
+  });
+  return storage;
+}
+
+async function start() {
+  const storage = loadStorage();
+  const problems = [];
+  storage.onStorageError((p) => problems.push(p));
+  await storage.initStorage();
+  return { storage, problems };
+}
+
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  localStorage.clear();
+});
+afterEach(() => {
+  delete global.indexedDB;
+});
+
+describe("legacy localStorage migration", () => {
+  beforeEach(() => {
+    localStorage.setItem("hvac_std_rate", "170");
+    localStorage.setItem("hvac_plans", '[{"name":"Gold"}]');
+    localStorage.setItem("hvac_quotes", '[{"ts":1},{"ts":2}]');
+  });
+
+  test("moves legacy keys into IndexedDB and then removes them", async () => {
+    const { storage, problems } = await start();
+    expect(problems).toEqual([]);
+    expect(storage.getItem("stdRate")).toBe(170);
+    expect(storage.getItem("plans")).toEqual([{ name: "Gold" }]);
+    expect(storage.getQuotes().map((q) => q.ts)).toEqual([2, 1]);
+    expect(localStorage.length).toBe(0);
+
+    const { storage: next } = await start();
+    expect(next.getItem("stdRate")).toBe(170);
+    expect(next.getItem("migratedAt")).toEqual(expect.any(Number));
+    expect(next.getQuotes()).toHaveLength(2);
+  });
+
+  test("keeps legacy keys when the migration does not commit", async () => {
+    // A quote without its key path makes the put throw mid-transaction.
+    localStorage.setItem("hvac_quotes", '[{"ts":1},{"total":5}]');
+    const { storage, problems } = await start();
+    expect(problems).toHaveLength(1);
+    expect(storage.getItem("stdRate")).toBe(170);
+    expect(localStorage.getItem("hvac_std_rate")).toBe("170");
+    expect(localStorage.getItem("hvac_quotes")).not.toBeNull();
+
+    const { storage: next } = await start();
+    expect(next.getItem("stdRate")).toBe(170);
+    expect(next.getItem("migratedAt")).toBeUndefined();
+  });
+});
+
+test("without IndexedDB the app runs from memory and reports it", async () => {
+  delete global.indexedDB;
+  localStorage.setItem("hvac_trip_fee", "99");
+  const { storage } = await start();
+  // The startup failure is replayed to listeners added once the app renders.
+  const problems = [];
+  storage.onStorageError((p) => problems.push(p));
+  expect(problems).toHaveLength(1);
+  expect(problems[0].message).toMatch(/Could not save to device storage/);
+  expect(storage.getItem("tripFee")).toBe(99);
+  expect(localStorage.getItem("hvac_trip_fee")).toBe("99");
+
+  const err = await storage.setItem("taxPct", 8);
+  expect(err.message).toBe("Device storage unavailable");
+  expect(storage.getItem("taxPct")).toBe(8);
+  expect(problems).toHaveLength(2);
+});
+
+describe("importData", () => {
+  test("updates memory only after the write commits", async () => {
+    const { storage } = await start();
+    await storage.setItem("stdRate", 150);
+    await storage.putQuote({ ts: 1 });
+
+    const err = await storage.importData(
+      { settings: { stdRate: 200 }, quotes: [{ ts: 2 }, { total: 5 }] },
+      { replace: true }
+    );
+    expect(err).toBeTruthy();
+    expect(storage.getItem("stdRate")).toBe(150);
+    expect(storage.getQuotes().map((q) => q.ts)).toEqual([1]);
+
+    const { storage: next } = await start();
+    expect(next.getItem("stdRate")).toBe(150);
+    expect(next.getQuotes().map((q) => q.ts)).toEqual([1]);
+  });
+
+  test("replace clears the device; merge writes over it", async () => {
+    const { storage } = await start();
+    await storage.setItem("stdRate", 150);
+    await storage.setItem("tripFee", 89);
+    await storage.putQuote({ ts: 1 });
+
+    expect(
+      await storage.importData(
+        { settings: { tripFee: 99 }, quotes: [{ ts: 2 }] },
+        { replace: false }
+      )
+    ).toBeNull();
+    expect(storage.getItem("stdRate")).toBe(150);
+    expect(storage.getItem("tripFee")).toBe(99);
+    expect(storage.getQuotes().map((q) => q.ts)).toEqual([2, 1]);
+
+    await storage.importData(
+      { settings: { taxPct: 8 }, quotes: [{ ts: 3 }] },
+      { replace: true }
+    );
+    const { storage: next } = await start();
+    for (const s of [storage, next]) {
+      expect(s.getItem("stdRate")).toBeUndefined();
+      expect(s.getItem("taxPct")).toBe(8);
+      expect(s.getQuotes().map((q) => q.ts)).toEqual([3]);
+    }
+  });
+});
@@ -0,0 +1,359 @@
+import { validateCatalog } from "./catalog";
+import { getItem, getQuotes, putQuote, setItem } from "./storage";
+
+/**
+ * Sync with a shared pricing server (reference server: server/syncServer.js).
+ * - Pull: GET {endpoint}/profile returns the manager-published pricing profile
+ *   (catalog, diagnostic flows, rates, fees, markup, plans, business hours)
+ *   and its version; a newer version is handed to the app to apply. A profile
+ *   that fails `checkProfile` is rejected whole and its version is not recorded.
+ * - Publish (managers): PUT {endpoint}/profile with the version it was based on.
+ *   The server answers 409 if someone published since, so nothing is overwritten
+ *   unless the manager forces it.
+ * - Push: saved quotes are queued (persisted under `syncQueue`) and POSTed when
+ *   online. Each carries the server revision it was based on; a quote changed
+ *   elsewhere comes back as a conflict (`syncConflicts`) to keep mine / use server.
+ * - Components `subscribeSync(fn)` for status; App calls `startSync()` once.
+ */
+
+// Settings that make up a pricing profile; everything else stays per device.
+export const PROFILE_KEYS = [
+  "catalog",
+  "flows",
+  "stdRate",
+  "afterRate",
+  "dayStart",
+  "dayEnd",
+  "weekendDays",
+  "holidays",
+  "tripFee",
+  "taxPct",
+  "partsMarkupPct",
+  "markupMatrix",
+  "plans",
+  "taxJurisdictions",
+];
+
+const RATE_KEYS = [
+  "stdRate",
+  "afterRate",
+  "tripFee",
+  "taxPct",
+  "partsMarkupPct",
+];
+const LIST_KEYS = ["weekendDays", "holidays", "plans", "taxJurisdictions"];
+
+const isObject = (v) =>
+  Boolean(v) && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Checks a pulled profile before anything is applied. The catalog and flows go
+ * through validateCatalog (flows alone are checked against `currentCatalog`).
+ * Returns { profile, errors }: `profile` carries the normalized catalog/flows,
+ * `errors` is a list of messages; any error means the profile is unusable.
+ */
+export function checkProfile(profile, currentCatalog) {
+  if (!isObject(profile)) {
+    return { profile: null, errors: ["Profile must be an object"] };
+  }
+  const errors = [];
+  const next = { ...profile };
+  RATE_KEYS.forEach((k) => {
+    const v = profile[k];
+    if (v !== undefined && !(Number.isFinite(v) && v >= 0)) {
+      errors.push(`${k} must be a number of 0 or more`);
+    }
+  });
+  ["dayStart", "dayEnd"].forEach((k) => {
+    const v = profile[k];
+    if (v !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(v)) {
+      errors.push(`${k} must be a time like 08:00`);
+    }
+  });
+  LIST_KEYS.forEach((k) => {
+    if (profile[k] !== undefined && !Array.isArray(profile[k])) {
+      errors.push(`${k} must be a list`);
+    }
+  });
+  const matrix = profile.markupMatrix;
+  if (
+    matrix !== undefined &&
+    !(
+      isObject(matrix) &&
+      (matrix.tiers === undefined || Array.isArray(matrix.tiers)) &&
+      (matrix.categories === undefined || isObject(matrix.categories))
+    )
+  ) {
+    errors.push("markupMatrix must be { tiers: [], categories: {} }");
+  }
+  if (profile.catalog !== undefined || profile.flows !== undefined) {
+    const result = validateCatalog(
+      profile.flows === undefined
+        ? profile.catalog
+        : {
+            categories: profile.catalog ?? currentCatalog,
+            flows: profile.flows,
+          }
+    );
+    result.errors.forEach((e) =>
+      errors.push(
+        [e.category, e.row && `row ${e.row}`, e.field, e.message]
+          .filter(Boolean)
+          .join(" · ")
+      )
+    );
+    if (profile.catalog !== undefined) next.catalog = result.catalog;
+    if (profile.flows !== undefined) next.flows = result.flows;
+  }
+  return { profile: next, errors };
+}
+
+const AUTO_SYNC_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15000;
+
+let handlers = { onProfile: () => {}, onQuotes: () => {} };
+let busy = false;
+let again = false; // something was queued while a sync was running
+let lastError = "";
+const listeners = new Set();
+
+function newDeviceId() {
+  return `dev-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+}
+
+// { endpoint, key, deviceId }; a device id is created on first read.
+export function loadSyncConfig() {
+  const config = { endpoint: "", key: "", ...getItem("syncConfig") };
+  if (!config.deviceId) {
+    config.deviceId = newDeviceId();
+    setItem("syncConfig", config);
+  }
+  return config;
+}
+
+export function saveSyncConfig(config) {
+  setItem("syncConfig", {
+    ...config,
+    endpoint: config.endpoint.trim().replace(/\/+$/, ""),
+  });
+  lastError = "";
+  emit();
+}
+
+function syncState() {
+  return {
+    profileVersion: 0,
+    pulledAt: null,
+    pushedAt: null,
+    ...getItem("syncState"),
+  };
+}
+
+function updateSyncState(patch) {
+  setItem("syncState", { ...syncState(), ...patch });
+}
+
+const queue = () => getItem("syncQueue", []);
+const revs = () => getItem("syncRevs", {});
+const conflicts = () => getItem("syncConflicts", []);
+
+function snapshot() {
+  const state = syncState();
+  return {
+    configured: Boolean(loadSyncConfig().endpoint),
+    busy,
+    online: navigator.onLine !== false,
+    pending: queue().length,
+    conflicts: conflicts(),
+    profileVersion: state.profileVersion,
+    pulledAt: state.pulledAt,
+    pushedAt: state.pushedAt,
+    error: lastError,
+  };
+}
+
+function emit() {
+  const state = snapshot();
+  listeners.forEach((fn) => fn(state));
+}
+
+export function subscribeSync(fn) {
+  listeners.add(fn);
+  fn(snapshot());
+  return () => listeners.delete(fn);
+}
+
+// Sync errors carry `status` (HTTP) and `body` (parsed JSON, if any).
+async function call(path, { method = "GET", body } = {}) {
+  const { endpoint, key } = loadSyncConfig();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  let res;
+  try {
+    res = await fetch(`${endpoint}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(key ? { Authorization: `Bearer ${key}` } : {}),
+      },
+      body: body && JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } catch (e) {
+    throw new Error(
+      controller.signal.aborted
+        ? "Sync server did not answer in time"
+        : "Sync server unreachable"
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    const err = new Error(data?.error || `Sync server error (${res.status})`);
+    err.status = res.status;
+    err.body = data;
+    throw err;
+  }
+  return data;
+}
+
+async function pull() {
+  const data = await call("/profile");
+  const { profileVersion } = syncState();
+  if (data?.profile && data.version > profileVersion) {
+    await handlers.onProfile(data.profile, data.version);
+  }
+  updateSyncState({
+    profileVersion: Math.max(profileVersion, data?.version || 0),
+    pulledAt: Date.now(),
+  });
+}
+
+async function push() {
+  const pending = queue();
+  if (pending.length === 0) return;
+  const byTs = new Map(getQuotes().map((q) => [q.ts, q]));
+  const known = revs();
+  const batch = pending
+    .filter((ts) => byTs.has(ts)) // deleted on this device since it was queued
+    .map((ts) => ({ quote: byTs.get(ts), baseRev: known[ts] ?? null }));
+  const { deviceId } = loadSyncConfig();
+  const { results } = batch.length
+    ? await call("/quotes", {
+        method: "POST",
+        body: { deviceId, quotes: batch },
+      })
+    : { results: [] };
+
+  const nextRevs = { ...revs() };
+  const nextConflicts = conflicts().filter(
+    (c) => !results.some((r) => r.ts === c.ts)
+  );
+  results.forEach((r) => {
+    if (r.status === "ok") nextRevs[r.ts] = r.rev;
+    else nextConflicts.push({ ts: r.ts, rev: r.rev, server: r.quote });
+  });
+  // Quotes queued or edited while the request was in flight stay queued.
+  const sent = new Map(batch.map(({ quote }) => [quote.ts, quote]));
+  const current = new Map(getQuotes().map((q) => [q.ts, q]));
+  const requeued = queue().filter(
+    (ts) =>
+      !pending.includes(ts) ||
+      (sent.has(ts) &&
+        JSON.stringify(current.get(ts)) !== JSON.stringify(sent.get(ts)))
+  );
+  await setItem("syncRevs", nextRevs);
+  await setItem("syncConflicts", nextConflicts);
+  await setItem("syncQueue", requeued);
+  updateSyncState({ pushedAt: Date.now() });
+}
+
+// Pulls the profile, then pushes queued quotes. Safe to call at any time.
+export async function syncNow() {
+  if (!loadSyncConfig().endpoint) return;
+  if (busy) {
+    again = true;
+    return;
+  }
+  busy = true;
+  again = false;
+  lastError = "";
+  emit();
+  try {
+    await pull();
+    await push();
+  } catch (e) {
+    lastError = e.message;
+  }
+  busy = false;
+  emit();
+  if (again && !lastError) syncNow();
+}
+
+export async function queueQuote(ts) {
+  const pending = queue();
+  if (!pending.includes(ts)) await setItem("syncQueue", [...pending, ts]);
+  emit();
+  if (navigator.onLine !== false) syncNow();
+}
+
+/**
+ * Publishes `profile` (PROFILE_KEYS → value) as the next version. Resolves to
+ * { version } or, when someone else published first, { conflict: version }.
+ * `force` publishes over the newer version.
+ */
+export async function publishProfile(profile, { force = false } = {}) {
+  const { profileVersion } = syncState();
+  try {
+    const body = { baseVersion: profileVersion, profile };
+    if (force) body.force = true;
+    const { version } = await call("/profile", { method: "PUT", body });
+    updateSyncState({ profileVersion: version, pulledAt: Date.now() });
+    emit();
+    return { version };
+  } catch (e) {
+    if (e.status === 409) return { conflict: e.body?.version };
+    throw e;
+  }
+}
+
+// "mine" re-sends this device's copy over the server's; "server" takes theirs.
+export async function resolveConflict(ts, keep) {
+  const conflict = conflicts().find((c) => c.ts === ts);
+  if (!conflict) return;
+  await setItem("syncRevs", { ...revs(), [ts]: conflict.rev });
+  await setItem(
+    "syncConflicts",
+    conflicts().filter((c) => c.ts !== ts)
+  );
+  if (keep === "server") {
+    await putQuote(conflict.server);
+    handlers.onQuotes();
+    emit();
+  } else {
+    await queueQuote(ts);
+  }
+}
+
+/**
+ * Starts background sync: now, whenever the device comes back online, and
+ * every few minutes. `onProfile(profile, version)` applies a pulled profile;
+ * `onQuotes()` refreshes the app after a quote was replaced from the server.
+ */
+export function startSync(nextHandlers) {
+  handlers = nextHandlers;
+  const onOnline = () => syncNow();
+  const onNetworkChange = () => emit();
+  window.addEventListener("online", onOnline);
+  window.addEventListener("offline", onNetworkChange);
+  const timer = setInterval(syncNow, AUTO_SYNC_MS);
+  syncNow();
+  return () => {
+    window.removeEventListener("online", onOnline);
+    window.removeEventListener("offline", onNetworkChange);
+    clearInterval(timer);
+  };
+}
@@ -0,0 +1,241 @@
+import { getItem, getQuotes, putQuote, setItem } from "./storage";
+import {
+  checkProfile,
+  publishProfile,
+  queueQuote,
+  resolveConflict,
+  saveSyncConfig,
+  startSync,
+  subscribeSync,
+  syncNow,
+} from "./sync";
+
+const CATALOG = {
+  Cooling: [{ id: "c1", issue: "Capacitor", defaultLaborHrs: 1 }],
+};
+
+describe("checkProfile", () => {
+  test("passes a good profile through with the catalog normalized", () => {
+    const { profile, errors } = checkProfile(
+      {
+        stdRate: 150,
+        dayStart: "07:30",
+        plans: [],
+        catalog: { Heating: [{ id: 7, issue: "Igniter" }] },
+      },
+      CATALOG
+    );
+    expect(errors).toEqual([]);
+    expect(profile.stdRate).toBe(150);
+    expect(profile.catalog.Heating[0].id).toBe("7");
+  });
+
+  test("rejects a category that is not a list and bad rate values", () => {
+    const { errors } = checkProfile(
+      {
+        stdRate: "165",
+        taxPct: -1,
+        dayEnd: "5pm",
+        holidays: {},
+        catalog: { Cooling: { id: "c1" } },
+      },
+      CATALOG
+    );
+    expect(errors).toEqual([
+      "stdRate must be a number of 0 or more",
+      "taxPct must be a number of 0 or more",
+      "dayEnd must be a time like 08:00",
+      "holidays must be a list",
+      "Cooling · Category must be a list of issues",
+    ]);
+  });
+
+  test("checks flows alone against the current catalog", () => {
+    const { errors } = checkProfile({ flows: "none" }, CATALOG);
+    expect(errors).toEqual(["flows · Flows must be a list"]);
+  });
+
+  test("rejects a profile that is not an object", () => {
+    expect(checkProfile([], CATALOG).errors).toEqual([
+      "Profile must be an object",
+    ]);
+  });
+});
+
+describe("sync client", () => {
+  const onProfile = jest.fn();
+  const onQuotes = jest.fn();
+  let server;
+  let stop;
+
+  const reply = (status, body) =>
+    Promise.resolve({
+      ok: status < 400,
+      status,
+      json: () => Promise.resolve(body),
+    });
+  const lastState = () => {
+    let state;
+    subscribeSync((s) => (state = s))();
+    return state;
+  };
+  const posted = () =>
+    global.fetch.mock.calls
+      .filter(([, init]) => init.method === "POST")
+      .map(([, init]) => JSON.parse(init.body));
+
+  beforeAll(() => {
+    stop = startSync({ onProfile, onQuotes });
+  });
+  afterAll(() => stop());
+
+  beforeEach(() => {
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    ["syncQueue", "syncConflicts"].forEach((k) => setItem(k, []));
+    setItem("syncRevs", {});
+    setItem("syncState", {});
+    saveSyncConfig({ endpoint: "https://sync.test/", key: "k" });
+    onProfile.mockReset();
+    onQuotes.mockReset();
+    server = {
+      profile: () => ({ version: 0, profile: null }),
+      quotes: () => ({ results: [] }),
+    };
+    global.fetch = jest.fn((url, init) =>
+      url.endsWith("/profile")
+        ? reply(200, server.profile(init))
+        : reply(200, server.quotes(JSON.parse(init.body)))
+    );
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test("pushes queued quotes with their base revision and records conflicts", async () => {
+    putQuote({ ts: 1, total: 100 });
+    putQuote({ ts: 2, total: 200 });
+    setItem("syncRevs", { 2: 4 });
+    await queueQuote(1);
+    await queueQuote(2);
+    await queueQuote(99); // deleted since it was queued
+    server.quotes = () => ({
+      results: [
+        { ts: 1, status: "ok", rev: 1 },
+        { ts: 2, status: "conflict", rev: 5, quote: { ts: 2, total: 250 } },
+      ],
+    });
+    await syncNow();
+
+    expect(global.fetch.mock.calls[1][0]).toBe("https://sync.test/quotes");
+    expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe(
+      "Bearer k"
+    );
+    expect(posted()[0].quotes).toEqual([
+      { quote: { ts: 1, total: 100 }, baseRev: null },
+      { quote: { ts: 2, total: 200 }, baseRev: 4 },
+    ]);
+    expect(getItem("syncRevs")).toEqual({ 1: 1, 2: 4 });
+    expect(getItem("syncQueue")).toEqual([]);
+    expect(lastState()).toMatchObject({
+      pending: 0,
+      error: "",
+      conflicts: [{ ts: 2, rev: 5, server: { ts: 2, total: 250 } }],
+    });
+  });
+
+  test("quotes queued or edited while a push is in flight stay queued", async () => {
+    putQuote({ ts: 1, total: 100 });
+    putQuote({ ts: 2, total: 200 });
+    await queueQuote(1);
+    await queueQuote(2);
+    server.quotes = ({ quotes }) => {
+      putQuote({ ts: 1, total: 110 });
+      queueQuote(1);
+      putQuote({ ts: 3, total: 300 });
+      queueQuote(3);
+      return {
+        results: quotes.map(({ quote }) => ({
+          ts: quote.ts,
+          status: "ok",
+          rev: 1,
+        })),
+      };
+    };
+    await syncNow();
+    expect(getItem("syncQueue")).toEqual([1, 3]);
+    expect(getItem("syncRevs")).toEqual({ 1: 1, 2: 1 });
+  });
+
+  test("a failed push keeps the queue and reports the error", async () => {
+    putQuote({ ts: 1, total: 100 });
+    await queueQuote(1);
+    global.fetch = jest.fn((url) =>
+      url.endsWith("/profile")
+        ? reply(200, { version: 0, profile: null })
+        : reply(500, { error: "Disk full" })
+    );
+    await syncNow();
+    expect(getItem("syncQueue")).toEqual([1]);
+    expect(lastState().error).toBe("Disk full");
+  });
+
+  test("resolveConflict keeps the server copy or re-sends mine", async () => {
+    putQuote({ ts: 1, total: 100 });
+    putQuote({ ts: 2, total: 200 });
+    setItem("syncConflicts", [
+      { ts: 1, rev: 3, server: { ts: 1, total: 150 } },
+      { ts: 2, rev: 7, server: { ts: 2, total: 250 } },
+    ]);
+
+    await resolveConflict(1, "server");
+    expect(getQuotes().find((q) => q.ts === 1).total).toBe(150);
+    expect(onQuotes).toHaveBeenCalledTimes(1);
+    expect(getItem("syncRevs")).toEqual({ 1: 3 });
+
+    await resolveConflict(2, "mine");
+    expect(getQuotes().find((q) => q.ts === 2).total).toBe(200);
+    expect(getItem("syncRevs")).toEqual({ 1: 3, 2: 7 });
+    expect(getItem("syncQueue")).toEqual([2]);
+    expect(getItem("syncConflicts")).toEqual([]);
+  });
+
+  test("pull applies only a newer profile version", async () => {
+    server.profile = () => ({ version: 2, profile: { stdRate: 170 } });
+    await syncNow();
+    expect(onProfile).toHaveBeenCalledWith({ stdRate: 170 }, 2);
+    expect(lastState().profileVersion).toBe(2);
+
+    await syncNow();
+    expect(onProfile).toHaveBeenCalledTimes(1);
+  });
+
+  test("a rejected profile is not recorded as pulled", async () => {
+    server.profile = () => ({ version: 3, profile: { stdRate: "x" } });
+    onProfile.mockImplementation(() => {
+      throw new Error("Synced profile v3 rejected");
+    });
+    await syncNow();
+    expect(lastState()).toMatchObject({
+      profileVersion: 0,
+      error: "Synced profile v3 rejected",
+    });
+  });
+
+  test("publishProfile sends its base version and reports a 409 as a conflict", async () => {
+    setItem("syncState", { profileVersion: 4 });
+    server.profile = () => ({ version: 5 });
+    expect(await publishProfile({ stdRate: 170 })).toEqual({ version: 5 });
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      baseVersion: 4,
+      profile: { stdRate: 170 },
+    });
+    expect(lastState().profileVersion).toBe(5);
+
+    global.fetch = jest.fn(() =>
+      reply(409, { error: "Profile v6 was published", version: 6 })
+    );
+    expect(await publishProfile({ stdRate: 175 })).toEqual({ conflict: 6 });
+    expect(lastState().profileVersion).toBe(5);
+  });
+});
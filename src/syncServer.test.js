@@ -0,0 +1,167 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { createSyncServer, pushQuotes } from "../server/syncServer";
+
+describe("pushQuotes", () => {
+  const data = () => ({ quotes: {} });
+
+  test("stores new quotes at rev 1 and bumps the rev on a matching base", () => {
+    const d = data();
+    expect(
+      pushQuotes(d, { deviceId: "a", quotes: [{ quote: { ts: 1 } }] })
+    ).toEqual([{ ts: 1, status: "ok", rev: 1 }]);
+    expect(d.quotes[1]).toMatchObject({
+      quote: { ts: 1 },
+      rev: 1,
+      deviceId: "a",
+    });
+    expect(
+      pushQuotes(d, {
+        deviceId: "b",
+        quotes: [{ quote: { ts: 1, total: 5 }, baseRev: 1 }],
+      })
+    ).toEqual([{ ts: 1, status: "ok", rev: 2 }]);
+    expect(d.quotes[1]).toMatchObject({ rev: 2, deviceId: "b" });
+  });
+
+  test("a stale base rev is a conflict carrying the server copy", () => {
+    const d = data();
+    pushQuotes(d, { deviceId: "a", quotes: [{ quote: { ts: 1, total: 1 } }] });
+    pushQuotes(d, {
+      deviceId: "a",
+      quotes: [{ quote: { ts: 1, total: 2 }, baseRev: 1 }],
+    });
+    expect(
+      pushQuotes(d, {
+        deviceId: "b",
+        quotes: [{ quote: { ts: 1, total: 3 }, baseRev: 1 }],
+      })
+    ).toEqual([
+      { ts: 1, status: "conflict", rev: 2, quote: { ts: 1, total: 2 } },
+    ]);
+    expect(d.quotes[1].quote.total).toBe(2);
+  });
+
+  test("re-sending an identical copy is ok whatever its base rev", () => {
+    const d = data();
+    pushQuotes(d, { deviceId: "a", quotes: [{ quote: { ts: 1 } }] });
+    expect(
+      pushQuotes(d, {
+        deviceId: "b",
+        quotes: [{ quote: { ts: 1 }, baseRev: null }],
+      })
+    ).toEqual([{ ts: 1, status: "ok", rev: 1 }]);
+  });
+
+  test("rejects quotes without a numeric ts", () => {
+    expect(() => pushQuotes(data(), { quotes: [{ quote: {} }] })).toThrow(
+      "quotes must be"
+    );
+    expect(() => pushQuotes(data(), {})).toThrow("quotes must be");
+  });
+});
+
+describe("createSyncServer", () => {
+  let dir;
+  let server;
+  let port;
+
+  function call(method, route, body, key = "secret") {
+    return new Promise((resolve, reject) => {
+      const req = http.request(
+        {
+          port,
+          method,
+          path: route,
+          headers: {
+            "Content-Type": "application/json",
+            ...(key ? { Authorization: `Bearer ${key}` } : {}),
+          },
+        },
+        (res) => {
+          let text = "";
+          res.on("data", (chunk) => (text += chunk));
+          res.on("end", () =>
+            resolve({ status: res.statusCode, body: JSON.parse(text) })
+          );
+        }
+      );
+      req.on("error", reject);
+      req.end(body && JSON.stringify(body));
+    });
+  }
+
+  beforeEach((done) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sync-"));
+    server = createSyncServer({
+      dataFile: path.join(dir, "data.json"),
+      key: "secret",
+    });
+    server.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+  afterEach((done) => {
+    server.close(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  test("PUT /profile publishes on the current version and 409s on a stale one", async () => {
+    expect((await call("GET", "/profile")).body).toMatchObject({
+      version: 0,
+      profile: null,
+    });
+    const first = await call("PUT", "/profile", {
+      baseVersion: 0,
+      profile: { stdRate: 170 },
+    });
+    expect(first).toMatchObject({ status: 200, body: { version: 1 } });
+
+    const stale = await call("PUT", "/profile", {
+      baseVersion: 0,
+      profile: { stdRate: 180 },
+    });
+    expect(stale).toMatchObject({ status: 409, body: { version: 1 } });
+    expect((await call("GET", "/profile")).body.profile).toEqual({
+      stdRate: 170,
+    });
+
+    const forced = await call("PUT", "/profile", {
+      baseVersion: 0,
+      profile: { stdRate: 180 },
+      force: true,
+    });
+    expect(forced.body.version).toBe(2);
+    expect(
+      JSON.parse(fs.readFileSync(path.join(dir, "data.json"), "utf8"))
+    ).toMatchObject({ version: 2, profile: { stdRate: 180 } });
+  });
+
+  test("POST /quotes answers per quote and rejects a bad body", async () => {
+    const res = await call("POST", "/quotes", {
+      deviceId: "a",
+      quotes: [{ quote: { ts: 1 } }],
+    });
+    expect(res).toEqual({
+      status: 200,
+      body: { results: [{ ts: 1, status: "ok", rev: 1 }] },
+    });
+    expect(
+      (await call("POST", "/quotes", { quotes: [{ quote: {} }] })).status
+    ).toBe(400);
+    expect((await call("PUT", "/profile", {})).status).toBe(400);
+  });
+
+  test("requests need the sync key", async () => {
+    expect((await call("GET", "/profile", null, "wrong")).status).toBe(401);
+    expect((await call("GET", "/profile", null, "")).status).toBe(401);
+  });
+});
@@ -0,0 +1,150 @@
+import { quoteLines } from "./pricing";
+
+/**
+ * Job timer on a saved quote and the actual-vs-book labor report.
+ * - `timeLog` holds work segments { start, end } (end null while running);
+ *   stopping records `actualHrs`. A stopped job can be started again (callback).
+ * - The report splits each stopped job's actual hours across its lines in
+ *   proportion to their quoted hours, then summarizes per catalog issue/option.
+ */
+
+export function timerState(q) {
+  const log = q.timeLog || [];
+  if (log.length === 0) return "idle";
+  if (log[log.length - 1].end == null) return "running";
+  return q.actualHrs != null ? "stopped" : "paused";
+}
+
+export function elapsedMs(q, now = Date.now()) {
+  return (q.timeLog || []).reduce(
+    (sum, s) => sum + ((s.end ?? now) - s.start),
+    0
+  );
+}
+
+export function startTimer(q, now = Date.now()) {
+  if (timerState(q) === "running") return q;
+  const { actualHrs, ...rest } = q;
+  return {
+    ...rest,
+    timeLog: [...(q.timeLog || []), { start: now, end: null }],
+  };
+}
+
+function closeSegment(q, now) {
+  const log = q.timeLog || [];
+  if (timerState(q) !== "running") return log;
+  return [...log.slice(0, -1), { ...log[log.length - 1], end: now }];
+}
+
+export function pauseTimer(q, now = Date.now()) {
+  return { ...q, timeLog: closeSegment(q, now) };
+}
+
+export function stopTimer(q, now = Date.now()) {
+  const timeLog = closeSegment(q, now);
+  const ms = elapsedMs({ timeLog }, now);
+  return { ...q, timeLog, actualHrs: Math.round((ms / 3600000) * 100) / 100 };
+}
+
+// "1:05:09" style clock for the running timer.
+export function formatElapsed(ms) {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, "0");
+  const s = String(total % 60).padStart(2, "0");
+  return `${h}:${m}:${s}`;
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Current book hours for an issue (or one of its options) in the catalog.
+function bookHours(catalog, issueId, option) {
+  for (const [category, issues] of Object.entries(catalog)) {
+    const issue = issues.find((i) => i.id === issueId);
+    if (!issue) continue;
+    const opt = option && (issue.options || []).find((o) => o.name === option);
+    if (option && !opt) return null;
+    return {
+      category,
+      issue: issue.issue,
+      book: opt?.defaultLaborHrs ?? issue.defaultLaborHrs ?? null,
+    };
+  }
+  return null;
+}
+
+/**
+ * Per issue/option: { issueId, option, issue, category, book, jobs, mean,
+ * median, variance, diff } from stopped jobs. `book` is the
+ * catalog's current default hours, `diff` is mean actual minus book, and
+ * `variance` is the sample variance of actual hours (0 for a single job).
+ * Issues and options no longer in the catalog are left out.
+ */
+export function laborReport(quotes, catalog) {
+  const samples = new Map();
+  quotes.forEach((q) => {
+    if (timerState(q) !== "stopped" || !(q.actualHrs > 0)) return;
+    const lines = quoteLines(q).filter((l) => l.issueId);
+    if (lines.length === 0) return;
+    const quoted = lines.reduce((sum, l) => sum + Number(l.laborHrs || 0), 0);
+    lines.forEach((l) => {
+      const share = quoted
+        ? Number(l.laborHrs || 0) / quoted
+        : 1 / lines.length;
+      const key = `${l.issueId}|${l.option || ""}`;
+      if (!samples.has(key)) {
+        samples.set(key, { issueId: l.issueId, option: l.option, rows: [] });
+      }
+      samples.get(key).rows.push(q.actualHrs * share);
+    });
+  });
+
+  const report = [];
+  samples.forEach(({ issueId, option, rows }) => {
+    const found = bookHours(catalog, issueId, option);
+    if (!found) return;
+    const actual = [...rows].sort((a, b) => a - b);
+    const n = actual.length;
+    const mean = actual.reduce((a, b) => a + b, 0) / n;
+    const variance =
+      n > 1 ? actual.reduce((s, x) => s + (x - mean) ** 2, 0) / (n - 1) : 0;
+    report.push({
+      issueId,
+      option: option || null,
+      issue: found.issue,
+      category: found.category,
+      book: found.book,
+      jobs: n,
+      mean,
+      median: median(actual),
+      variance,
+      diff: found.book == null ? null : mean - found.book,
+    });
+  });
+  return report.sort((a, b) => Math.abs(b.diff ?? 0) - Math.abs(a.diff ?? 0));
+}
+
+// Catalog copy with the issue's (or option's) default hours set to `hrs`;
+// a missing issue or option leaves the catalog unchanged.
+export function withBookHours(catalog, issueId, option, hrs) {
+  return Object.fromEntries(
+    Object.entries(catalog).map(([category, issues]) => [
+      category,
+      issues.map((issue) => {
+        if (issue.id !== issueId) return issue;
+        if (!option) return { ...issue, defaultLaborHrs: hrs };
+        if (!(issue.options || []).some((o) => o.name === option)) return issue;
+        return {
+          ...issue,
+          options: issue.options.map((o) =>
+            o.name === option ? { ...o, defaultLaborHrs: hrs } : o
+          ),
+        };
+      }),
+    ])
+  );
+}
@@ -0,0 +1,133 @@
+import {
+  elapsedMs,
+  formatElapsed,
+  laborReport,
+  pauseTimer,
+  startTimer,
+  stopTimer,
+  timerState,
+  withBookHours,
+} from "./timeTracking";
+
+const HOUR = 3600000;
+
+describe("job timer", () => {
+  test("start, pause, resume and stop add up the worked segments", () => {
+    let q = { ts: 1 };
+    expect(timerState(q)).toBe("idle");
+    q = startTimer(q, 0);
+    expect(timerState(q)).toBe("running");
+    expect(startTimer(q, 10)).toBe(q);
+    q = pauseTimer(q, HOUR);
+    expect(timerState(q)).toBe("paused");
+    q = startTimer(q, 2 * HOUR);
+    expect(elapsedMs(q, 2.5 * HOUR)).toBe(1.5 * HOUR);
+    q = stopTimer(q, 3 * HOUR);
+    expect(timerState(q)).toBe("stopped");
+    expect(q.actualHrs).toBe(2);
+  });
+
+  test("starting a stopped job again clears its actual hours", () => {
+    const q = startTimer(stopTimer(startTimer({ ts: 1 }, 0), HOUR), 2 * HOUR);
+    expect(q.actualHrs).toBeUndefined();
+    expect(q.timeLog).toHaveLength(2);
+  });
+
+  test("formatElapsed", () => {
+    expect(formatElapsed(3909000)).toBe("1:05:09");
+  });
+});
+
+describe("laborReport", () => {
+  const catalog = {
+    Furnace: [
+      { id: "a", issue: "A", defaultLaborHrs: 1 },
+      {
+        id: "b",
+        issue: "B",
+        defaultLaborHrs: 2,
+        options: [{ name: "Best", defaultLaborHrs: 2.5 }],
+      },
+    ],
+  };
+  const job = (ts, lines, hours) =>
+    stopTimer(startTimer({ ts, lines }, 0), hours * HOUR);
+
+  test("splits actual hours by quoted hours and summarizes per issue", () => {
+    const report = laborReport(
+      [
+        job(
+          1,
+          [
+            { issueId: "a", laborHrs: 1 },
+            { issueId: "b", option: "Best", laborHrs: 3 },
+          ],
+          4
+        ),
+        job(2, [{ issueId: "a", laborHrs: 2 }], 2),
+        { ts: 3, lines: [{ issueId: "a", laborHrs: 1 }] },
+      ],
+      catalog
+    );
+    const a = report.find((r) => r.issueId === "a");
+    expect(a).toMatchObject({
+      jobs: 2,
+      mean: 1.5,
+      median: 1.5,
+      variance: 0.5,
+      book: 1,
+      diff: 0.5,
+    });
+    const b = report.find((r) => r.issueId === "b");
+    expect(b).toMatchObject({
+      option: "Best",
+      jobs: 1,
+      mean: 3,
+      book: 2.5,
+      variance: 0,
+    });
+  });
+
+  test("issues no longer in the catalog are left out", () => {
+    expect(
+      laborReport([job(1, [{ issueId: "gone", laborHrs: 1 }], 1)], catalog)
+    ).toEqual([]);
+  });
+
+  test("options no longer on the issue are left out", () => {
+    const jobs = [
+      job(1, [{ issueId: "a", option: "Gone", laborHrs: 1 }], 1),
+      job(2, [{ issueId: "b", option: "Gone", laborHrs: 1 }], 1),
+    ];
+    expect(laborReport(jobs, catalog)).toEqual([]);
+  });
+});
+
+test("withBookHours updates the issue or just the option", () => {
+  const catalog = {
+    C: [
+      {
+        id: "b",
+        defaultLaborHrs: 2,
+        options: [{ name: "Best", defaultLaborHrs: 2.5 }],
+      },
+    ],
+  };
+  expect(withBookHours(catalog, "b", "Best", 3).C[0]).toEqual({
+    id: "b",
+    defaultLaborHrs: 2,
+    options: [{ name: "Best", defaultLaborHrs: 3 }],
+  });
+  expect(withBookHours(catalog, "b", null, 1).C[0].defaultLaborHrs).toBe(1);
+});
+
+test("withBookHours leaves the catalog alone when the option is gone", () => {
+  const catalog = {
+    C: [
+      { id: "a", defaultLaborHrs: 1 },
+      { id: "b", defaultLaborHrs: 2, options: [{ name: "Best" }] },
+    ],
+  };
+  expect(withBookHours(catalog, "a", "Best", 3)).toEqual(catalog);
+  expect(withBookHours(catalog, "b", "Good", 3)).toEqual(catalog);
+});
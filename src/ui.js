@@ -0,0 +1,57 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { highlightParts } from "./search";
+
+export function Control({ label, children }) {
+  return (
+    <label className="text-sm">
+      <div className="text-slate-600 mb-1">{label}</div>
+      {children}
+    </label>
+  );
+}
+export function Tip({ title, text }) {
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 8 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="rounded-2xl border p-3 bg-slate-50"
+    >
+      <div className="text-xs uppercase tracking-wider text-slate-500 mb-1">
+        {title}
+      </div>
+      <div className="text-slate-800 text-sm leading-relaxed">{text}</div>
+    </motion.div>
+  );
+}
+export function Summary({ label, value, emphasize }) {
+  return (
+    <div
+      className={`rounded-xl border p-2 ${
+        emphasize ? "bg-emerald-50 border-emerald-200" : "bg-slate-50"
+      }`}
+    >
+      <div className="text-xs text-slate-500">{label}</div>
+      <div
+        className={`font-medium ${
+          emphasize ? "text-emerald-700" : "text-slate-800"
+        }`}
+      >
+        {value}
+      </div>
+    </div>
+  );
+}
+// Text with search matches (see search.js highlightParts) marked.
+export function Highlight({ text, ranges }) {
+  if (!ranges?.length) return text || null;
+  return highlightParts(text, ranges).map((p, n) =>
+    p.hit ? (
+      <mark key={n} className="bg-amber-100 text-inherit rounded-sm">
+        {p.text}
+      </mark>
+    ) : (
+      <React.Fragment key={n}>{p.text}</React.Fragment>
+    )
+  );
+}
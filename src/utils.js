@@ -0,0 +1,30 @@
+export function currency(n) {
+  if (Number.isNaN(n)) return "$0.00";
+  return Number(n).toLocaleString(undefined, {
+    style: "currency",
+    currency: "USD",
+  });
+}
+
+export function downloadCSV(filename, rows) {
+  const csv = rows
+    .map((r) =>
+      r.map((v) => `"${String(v ?? "").replaceAll('"', '""')}"`).join(",")
+    )
+    .join("\n");
+  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+}
+
+export function downloadJSON(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json",
+  });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+}
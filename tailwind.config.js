@@ -0,0 +1,8 @@
+/** Tailwind is compiled into the bundle (no CDN) so styles work offline. */
+module.exports = {
+  content: ["./src/**/*.{js,jsx}", "./public/index.html"],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};